@@ -0,0 +1,97 @@
+/**
+ * Account Management Module
+ * Handles student and parent accounts linked to siswa records
+ */
+
+const AccountService = {
+    /**
+     * Get accounts linked to a student NISN
+     */
+    getLinkedAccounts(nisn) {
+        return DataService.allData.filter(d => d.type === 'akun' && d.nisn === nisn);
+    },
+
+    /**
+     * Build the username for a student or parent account
+     */
+    buildUsername(nisn, kind, index = 1) {
+        if (kind === 'siswa') return nisn;
+        return index === 1 ? `ortu${nisn}` : `ortu${nisn}_${index}`;
+    },
+
+    /**
+     * Create the student account and parent accounts for a siswa record
+     * Returns the generated credentials so they can be printed once
+     */
+    async createStudentAccounts(siswa, parentCount = 1) {
+        const existing = this.getLinkedAccounts(siswa.nisn);
+        const credentials = [];
+
+        const accounts = [{ kind: 'siswa', name: siswa.title, index: 1 }];
+        for (let i = 1; i <= parentCount; i++) {
+            accounts.push({ kind: 'ortu', name: `Orang Tua ${siswa.title}`, index: i });
+        }
+
+        for (const account of accounts) {
+            const username = this.buildUsername(siswa.nisn, account.kind, account.index);
+            if (existing.some(d => d.username === username) || AuthService.users[username]) continue;
+
+            const password = SecurityService.generatePassword();
+            await DataService.createData('akun', {
+                title: account.name,
+                username,
+                password,
+                role: 'siswa',
+                account_kind: account.kind,
+                nisn: siswa.nisn,
+                must_change_password: true
+            }, { silent: true });
+
+            credentials.push({
+                name: account.name,
+                kind: account.kind,
+                student_name: siswa.title,
+                class: siswa.class,
+                nisn: siswa.nisn,
+                username,
+                password
+            });
+        }
+
+        return credentials;
+    },
+
+    /**
+     * Generate accounts for every siswa that has no student account yet
+     */
+    async generateMissingAccounts(className = '', parentCount = 1) {
+        const students = DataService.allData.filter(d =>
+            d.type === 'siswa' &&
+            (!className || d.class === className) &&
+            !this.getLinkedAccounts(d.nisn).some(a => a.account_kind === 'siswa')
+        );
+
+        const needed = students.length * (parentCount + 1);
+        if (DataService.getCappedCount() + needed > AppConfig.get('max_data_items')) {
+            throw new Error(`Membutuhkan ${needed} akun baru, melebihi batas maksimum data`);
+        }
+
+        const credentials = [];
+        for (const [index, siswa] of students.entries()) {
+            UIService.showLoading(`Membuat akun ${index + 1} dari ${students.length}...`);
+            credentials.push(...await this.createStudentAccounts(siswa, parentCount));
+        }
+
+        return credentials;
+    },
+
+    /**
+     * Find the siswa record for a NISN
+     */
+    getStudent(nisn) {
+        return DataService.allData.find(d => d.type === 'siswa' && d.nisn === nisn);
+    }
+};
+
+// Export for use in other modules
+window.AccountService = AccountService;
@@ -0,0 +1,275 @@
+/**
+ * Attendance Module
+ * Class-wide daily roll call for absensi records, monthly and semester
+ * recaps, and alerts when a student reaches an absence threshold
+ */
+
+const AttendanceService = {
+    // Statuses offered on the roll-call sheet, the first one is preselected
+    rollCallStatuses: ['Hadir', 'Sakit', 'Izin', 'Alpha', 'Terlambat'],
+
+    // Statuses counted in recaps; Hadir and Terlambat count as present
+    recapStatuses: ['Hadir', 'Sakit', 'Izin', 'Alpha', 'Terlambat'],
+    presentStatuses: ['Hadir', 'Terlambat'],
+
+    // Record types read by recaps; on a day with both, the BK record wins
+    // since BK corrects the roll call (late arrivals, verified permits)
+    recapTypes: ['absensi', 'bk_absensi'],
+
+    periodLabels: { month: 'bulan', semester: 'semester' },
+
+    /**
+     * Classes with students visible to the current user
+     */
+    getClasses() {
+        return Array.from(new Set(DataService.getFilteredData('siswa').map(s => s.class).filter(Boolean)))
+            .sort((a, b) => a.localeCompare(b, 'id', { numeric: true }));
+    },
+
+    /**
+     * Roll-call sheet of a class for one date
+     * Each student comes with the absensi record already stored for that day, if any
+     */
+    getSheet(className, date) {
+        const records = DataService.getFilteredData('absensi').filter(d => d.class === className && d.date === date);
+        const students = DataService.getFilteredData('siswa')
+            .filter(s => s.class === className)
+            .sort((a, b) => a.title.localeCompare(b.title, 'id'));
+
+        return {
+            className,
+            date,
+            existing: records.length,
+            rows: students.map(student => {
+                const link = { nisn: student.nisn, student_name: student.title, class: student.class };
+                return { student, record: records.find(record => DataService.matchesLinkedStudent(record, link)) || null };
+            })
+        };
+    },
+
+    /**
+     * Save a roll-call sheet in one batch
+     * entries: [{ nisn, status, keterangan }]; new students get a record,
+     * changed ones are updated and unchanged ones are left alone.
+     */
+    async saveSheet(className, date, entries) {
+        const sheet = this.getSheet(className, date);
+        const rows = entries.map(entry => ({ ...entry, row: sheet.rows.find(row => row.student.nisn === entry.nisn) }))
+            .filter(entry => entry.row);
+
+        const newCount = rows.filter(entry => !entry.row.record).length;
+        if (newCount > AppConfig.get('max_data_items') - DataService.getCappedCount()) {
+            throw new Error('Batas maksimum data telah tercapai');
+        }
+
+        const summary = { created: 0, updated: 0, unchanged: 0, failures: [] };
+        for (const entry of rows) {
+            const { student, record } = entry.row;
+            const keterangan = entry.keterangan || '';
+
+            try {
+                if (!record) {
+                    await DataService.createData('absensi', {
+                        student_name: student.title,
+                        class: className,
+                        nisn: student.nisn,
+                        status: entry.status,
+                        date,
+                        keterangan
+                    }, { silent: true });
+                    summary.created++;
+                } else if (record.status !== entry.status || (record.keterangan || '') !== keterangan) {
+                    await DataService.updateData(record.__backendId, { status: entry.status, keterangan }, { silent: true });
+                    summary.updated++;
+                } else {
+                    summary.unchanged++;
+                }
+            } catch (error) {
+                summary.failures.push({ name: student.title, message: error.message });
+            }
+        }
+        return summary;
+    },
+
+    /**
+     * Month period from its key (e.g. 2024-09)
+     */
+    getMonth(key) {
+        const [year, month] = key.split('-').map(Number);
+        const lastDay = new Date(year, month, 0).getDate();
+
+        return {
+            key,
+            label: new Date(year, month - 1, 1).toLocaleDateString('id-ID', { month: 'long', year: 'numeric' }),
+            start: `${key}-01`,
+            end: `${key}-${String(lastDay).padStart(2, '0')}`
+        };
+    },
+
+    /**
+     * Period of a kind (month | semester) from its key
+     */
+    getPeriod(kind, key) {
+        return kind === 'month' ? this.getMonth(key) : RaporService.getSemesterByKey(key);
+    },
+
+    /**
+     * Period of a kind that contains a date
+     */
+    getPeriodOf(kind, date) {
+        return kind === 'month' ? this.getMonth(date.slice(0, 7)) : RaporService.getSemester(date);
+    },
+
+    /**
+     * Current period and every period that has attendance records, newest first
+     */
+    getPeriodOptions(kind) {
+        if (kind === 'semester') {
+            return RaporService.getSemesterOptions(this.recapTypes);
+        }
+
+        const keys = new Set([SchemaService.today().slice(0, 7)]);
+        this.recapTypes.forEach(type => {
+            DataService.getFilteredData(type).forEach(record => {
+                if (record.date) keys.add(record.date.slice(0, 7));
+            });
+        });
+        return Array.from(keys).sort().reverse().map(key => this.getMonth(key));
+    },
+
+    /**
+     * Attendance records within a period, optionally for one class
+     */
+    getPeriodRecords(period, className = null) {
+        return this.recapTypes.flatMap(type => DataService.getFilteredData(type).filter(record =>
+            record.date >= period.start && record.date <= period.end &&
+            (!className || record.class === className)
+        ));
+    },
+
+    /**
+     * Recap of one student: totals per status, recorded days and attendance percentage
+     * records may be passed in when recapping many students over the same period.
+     * Used by the recap pages, the alerts and the report card alike.
+     */
+    recapStudent(student, period, records = this.getPeriodRecords(period)) {
+        const link = { nisn: student.nisn, student_name: student.title, class: student.class };
+        const days = {};
+
+        records.filter(record => DataService.matchesLinkedStudent(record, link)).forEach(record => {
+            if (!days[record.date] || record.type === 'bk_absensi') {
+                days[record.date] = record.status;
+            }
+        });
+
+        const totals = Object.fromEntries(this.recapStatuses.map(status => [status, 0]));
+        Object.values(days).forEach(status => {
+            if (totals[status] !== undefined) totals[status]++;
+        });
+
+        return { student, period, totals, ...this.summarize(totals) };
+    },
+
+    /**
+     * Recorded days and attendance percentage from status totals
+     */
+    summarize(totals) {
+        const days = Object.values(totals).reduce((sum, count) => sum + count, 0);
+        const present = this.presentStatuses.reduce((sum, status) => sum + totals[status], 0);
+        return { days, percentage: days ? Math.round(present / days * 1000) / 10 : null };
+    },
+
+    /**
+     * Recap of a class: one recap per student plus class totals
+     */
+    recapClass(className, period) {
+        const records = this.getPeriodRecords(period);
+        const students = DataService.getFilteredData('siswa')
+            .filter(s => s.class === className)
+            .sort((a, b) => a.title.localeCompare(b.title, 'id'));
+        const recaps = students.map(student => this.recapStudent(student, period, records));
+
+        const totals = Object.fromEntries(this.recapStatuses.map(status => [
+            status,
+            recaps.reduce((sum, recap) => sum + recap.totals[status], 0)
+        ]));
+
+        return { className, period, students: recaps, totals, ...this.summarize(totals) };
+    },
+
+    /**
+     * Alert thresholds: [{ status, period (month | semester), count }]
+     */
+    getAlertRules() {
+        return AppConfig.get('attendance.alerts') || [];
+    },
+
+    /**
+     * Store new alert thresholds for every user
+     */
+    async saveAlertRules(rules) {
+        rules.forEach(rule => {
+            if (!this.recapStatuses.includes(rule.status) || !this.periodLabels[rule.period]) {
+                throw new Error('Status atau periode batas tidak valid');
+            }
+            if (!Number.isInteger(rule.count) || rule.count < 1) {
+                throw new Error('Jumlah batas harus bilangan bulat positif');
+            }
+        });
+        await AppConfig.saveShared('attendance.alerts', rules);
+    },
+
+    /**
+     * Alerts for students whose totals reached a threshold in the period
+     * containing date: [{ key, student, rule, count, period }]
+     */
+    getAlerts(students, date = SchemaService.today()) {
+        const rules = this.getAlertRules();
+        if (rules.length === 0 || students.length === 0) return [];
+
+        const alerts = [];
+        Object.keys(this.periodLabels).forEach(kind => {
+            const kindRules = rules.filter(rule => rule.period === kind);
+            if (kindRules.length === 0) return;
+
+            const period = this.getPeriodOf(kind, date);
+            const records = this.getPeriodRecords(period);
+            students.forEach(student => {
+                const recap = this.recapStudent(student, period, records);
+                kindRules.forEach(rule => {
+                    const count = recap.totals[rule.status];
+                    if (count >= rule.count) {
+                        alerts.push({ key: `${student.nisn}|${rule.status}|${period.key}`, student, rule, count, period });
+                    }
+                });
+            });
+        });
+        return alerts;
+    },
+
+    /**
+     * Alerts routed to the current user: users of the BK page who see every
+     * attendance record get all students, a wali kelas the students of their classes
+     */
+    getAlertsForCurrentUser() {
+        const user = AuthService.currentUser;
+        if (!user) return [];
+
+        const seesAll = AuthService.hasPermission('bk', 'read') && DataService.hasFullAccess('absensi');
+        const classes = seesAll ? null : DataService.getWaliClasses(user);
+        if (classes && classes.length === 0) return [];
+
+        const students = DataService.getFilteredData('siswa').filter(s => !classes || classes.includes(s.class));
+        return this.getAlerts(students);
+    },
+
+    /**
+     * Readable description of an alert
+     */
+    describeAlert(alert) {
+        return `${alert.count}× ${alert.rule.status} pada ${this.periodLabels[alert.rule.period]} ${alert.period.label} (batas ${alert.rule.count})`;
+    }
+};
+
+// Export for use in other modules
+window.AttendanceService = AttendanceService;
@@ -0,0 +1,163 @@
+/**
+ * Audit Log Module
+ * Keeps an append-only trail of data changes, logins and approval decisions
+ */
+
+const AuditService = {
+    // Fields that change on every save and add noise to diffs
+    ignoredFields: ['__backendId', 'updatedAt', 'updatedBy', 'workflow_history', 'encrypted_payload', 'locked'],
+
+    // Fields whose values must never be written to the log; the restricted and
+    // confidential fields of DataService.recordPolicies are masked as well
+    maskedFields: ['password', 'password_hash', 'totp_secret', 'recovery_codes', 'totp_payload'],
+
+    // Action labels for the viewer
+    actionLabels: {
+        create: 'Tambah',
+        update: 'Ubah',
+        delete: 'Hapus',
+        restore: 'Pulihkan',
+        purge: 'Hapus Permanen',
+        login: 'Login',
+        login_failed: 'Login Gagal',
+        logout: 'Logout',
+        unlock: 'Buka Kunci Akun',
+        password_change: 'Ganti Password',
+        password_reset: 'Reset Password',
+        totp_enable: 'Aktifkan 2FA',
+        totp_disable: 'Nonaktifkan 2FA',
+        totp_recovery: 'Kode Pemulihan Baru',
+        totp_reset: 'Reset 2FA',
+        import: 'Impor Data'
+    },
+
+    /**
+     * Write an audit entry
+     * Never throws: a failed audit write must not break the action itself
+     */
+    async log(action, { record = null, before = null, after = null, comment = '', actor = null } = {}) {
+        try {
+            const user = AuthService.currentUser || {};
+            const subject = after || before || record || {};
+            const entry = {
+                type: 'audit',
+                action,
+                actor: actor || user.username || '-',
+                actor_name: user.name || actor || '-',
+                role: user.role || '-',
+                record_id: subject.__backendId || '',
+                record_type: subject.type || '',
+                record_label: subject.type ? DataService.getRecordLabel(subject) : '',
+                comment,
+                createdAt: new Date().toISOString()
+            };
+
+            // Only entries with changes carry an encrypted payload
+            const changes = this.diff(before, after);
+            if (changes.length > 0) {
+                entry.changes = changes;
+            }
+
+            await DataService.insertRecord(entry);
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+    },
+
+    /**
+     * Fields masked in the log of a record type
+     * Readers of the log may not be allowed to read them on the record itself
+     */
+    getMaskedFields(type) {
+        const policy = DataService.recordPolicies[type] || {};
+        return [
+            ...this.maskedFields,
+            ...Object.keys(policy.restrictedFields || {}),
+            ...(policy.confidentialFields || [])
+        ];
+    },
+
+    /**
+     * Field-level diff between two versions of a record
+     */
+    diff(before, after) {
+        const oldRecord = before || {};
+        const newRecord = after || {};
+        const fields = new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)]);
+        const maskedFields = this.getMaskedFields(newRecord.type || oldRecord.type);
+        const changes = [];
+
+        fields.forEach(field => {
+            if (this.ignoredFields.includes(field)) return;
+
+            const oldValue = oldRecord[field];
+            const newValue = newRecord[field];
+            if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+            const masked = maskedFields.includes(field);
+            changes.push({
+                field,
+                before: masked && oldValue !== undefined ? '••••' : oldValue,
+                after: masked && newValue !== undefined ? '••••' : newValue
+            });
+        });
+
+        return changes;
+    },
+
+    /**
+     * Search audit entries
+     */
+    search(filters = {}) {
+        const query = (filters.query || '').toLowerCase();
+
+        return DataService.getFilteredData('audit')
+            .filter(entry => !filters.action || entry.action === filters.action)
+            .filter(entry => !filters.record_type || entry.record_type === filters.record_type)
+            .filter(entry => !filters.from || entry.createdAt >= filters.from)
+            .filter(entry => !filters.to || entry.createdAt.slice(0, 10) <= filters.to)
+            .filter(entry => !query || [entry.actor, entry.actor_name, entry.record_id, entry.record_label, entry.comment]
+                .some(value => String(value || '').toLowerCase().includes(query)));
+    },
+
+    /**
+     * Full history of one record, oldest first
+     */
+    getRecordHistory(recordId) {
+        return DataService.getFilteredData('audit')
+            .filter(entry => entry.record_id === recordId)
+            .reverse();
+    },
+
+    /**
+     * Export audit entries as CSV, one row per changed field
+     */
+    toCSV(entries) {
+        const rows = [];
+        entries.forEach(entry => {
+            const base = {
+                waktu: entry.createdAt,
+                aksi: entry.action,
+                pengguna: entry.actor,
+                nama: entry.actor_name,
+                role: entry.role,
+                jenis_data: entry.record_type,
+                id_data: entry.record_id,
+                data: entry.record_label,
+                catatan: entry.comment
+            };
+            const changes = entry.changes && entry.changes.length ? entry.changes : [null];
+            changes.forEach(change => rows.push({
+                ...base,
+                field: change ? change.field : '',
+                sebelum: change ? JSON.stringify(change.before ?? '') : '',
+                sesudah: change ? JSON.stringify(change.after ?? '') : ''
+            }));
+        });
+
+        return DataService.convertToCSV(rows);
+    }
+};
+
+// Export for use in other modules
+window.AuditService = AuditService;
@@ -13,19 +13,114 @@ const AppConfig = {
         font_family: 'Inter',
         font_size: 16,
         max_data_items: 999,
-        session_timeout: 1800000, // 30 minutes
+        session_timeout: 1800000, // 30 minutes of inactivity
+        session_warning: 120000, // warn 2 minutes before logout
+        session_max_length: 43200000, // 12 hours regardless of activity; 0 = no limit
         enable_notifications: true,
         enable_export: true,
         enable_backup: true,
+        trash_retention_days: 30, // 0 disables automatic purge
+        rapor: {
+            // Weight in percent of each jenis_penilaian in the final score
+            weights: { 'Tugas': 20, 'Ulangan Harian': 20, 'PTS': 25, 'PAS': 35 }
+        },
+        discipline: {
+            // Tata tertib: points per violation
+            catalogue: [
+                { name: 'Terlambat masuk sekolah', kategori: 'Ringan', points: 5 },
+                { name: 'Tidak memakai seragam atau atribut lengkap', kategori: 'Ringan', points: 5 },
+                { name: 'Membuang sampah sembarangan', kategori: 'Ringan', points: 5 },
+                { name: 'Menggunakan ponsel saat pelajaran tanpa izin', kategori: 'Sedang', points: 10 },
+                { name: 'Meninggalkan sekolah tanpa izin (bolos)', kategori: 'Sedang', points: 15 },
+                { name: 'Merokok di lingkungan sekolah', kategori: 'Sedang', points: 25 },
+                { name: 'Merusak fasilitas sekolah', kategori: 'Berat', points: 40 },
+                { name: 'Berkelahi', kategori: 'Berat', points: 50 },
+                { name: 'Membawa atau menggunakan narkoba', kategori: 'Berat', points: 100 }
+            ],
+            // Escalation ladder by points within a semester; required stages must be followed up
+            stages: [
+                { name: 'Teguran lisan', min: 10, required: false },
+                { name: 'Surat Peringatan 1', min: 25, required: true },
+                { name: 'Surat Peringatan 2', min: 50, required: true },
+                { name: 'Surat Peringatan 3', min: 75, required: true },
+                { name: 'Panggilan orang tua', min: 100, required: true },
+                { name: 'Skorsing', min: 150, required: true }
+            ]
+        },
+        letters: {
+            city: 'Medan',
+            address: '', // printed under the school name on the letterhead
+            principal_name: '', // empty = name of the kepsek account
+            principal_nip: '',
+            number_format: '{nomor}/BK/SMAN20/{bulan}/{tahun}', // {nomor} restarts every year
+            templates: [
+                {
+                    key: 'peringatan',
+                    title: 'Surat Peringatan',
+                    subject: '{{tahap}}',
+                    stages: ['Surat Peringatan 1', 'Surat Peringatan 2', 'Surat Peringatan 3'],
+                    body: 'Kepada Yth.\nBapak/Ibu Orang Tua/Wali dari {{nama_siswa}}\ndi tempat\n\n' +
+                        'Dengan hormat,\n' +
+                        'Bersama surat ini kami sampaikan bahwa putra/putri Bapak/Ibu, {{nama_siswa}} (NISN {{nisn}}) kelas {{kelas}}, ' +
+                        'telah melakukan pelanggaran tata tertib sekolah berupa {{jenis_pelanggaran}} pada tanggal {{tanggal_pelanggaran}}.\n\n' +
+                        'Kronologi: {{kronologi}}\n\n' +
+                        'Dengan jumlah poin pelanggaran {{total_poin}} pada semester {{semester}}, kepada siswa tersebut diberikan {{tahap}}. ' +
+                        'Kami mohon Bapak/Ibu membimbing putra/putri Bapak/Ibu agar tidak mengulangi pelanggaran tersebut.\n\n' +
+                        'Demikian surat ini kami sampaikan. Atas perhatian dan kerja sama Bapak/Ibu, kami ucapkan terima kasih.'
+                },
+                {
+                    key: 'panggilan_orang_tua',
+                    title: 'Surat Panggilan Orang Tua',
+                    subject: 'Panggilan Orang Tua/Wali',
+                    stages: ['Panggilan orang tua'],
+                    body: 'Kepada Yth.\nBapak/Ibu Orang Tua/Wali dari {{nama_siswa}}\ndi tempat\n\n' +
+                        'Dengan hormat,\n' +
+                        'Sehubungan dengan pelanggaran tata tertib sekolah yang dilakukan oleh putra/putri Bapak/Ibu, {{nama_siswa}} (NISN {{nisn}}) kelas {{kelas}}, ' +
+                        'berupa {{jenis_pelanggaran}} pada tanggal {{tanggal_pelanggaran}}, dengan jumlah poin pelanggaran {{total_poin}} pada semester {{semester}}, ' +
+                        'kami mengharapkan kehadiran Bapak/Ibu di sekolah untuk membicarakan pembinaan putra/putri Bapak/Ibu pada:\n\n' +
+                        'Hari/Tanggal : ....................................\n' +
+                        'Pukul : ....................................\n' +
+                        'Tempat : Ruang Bimbingan Konseling {{nama_sekolah}}\n\n' +
+                        'Kronologi: {{kronologi}}\n\n' +
+                        'Mengingat pentingnya pertemuan ini, kami mohon Bapak/Ibu dapat hadir tepat waktu. Atas perhatian Bapak/Ibu, kami ucapkan terima kasih.'
+                }
+            ]
+        },
+        attendance: {
+            // A student is flagged once they reach count days of a status within the period (month | semester)
+            alerts: [
+                { status: 'Alpha', period: 'month', count: 3 },
+                { status: 'Terlambat', period: 'month', count: 5 },
+                { status: 'Alpha', period: 'semester', count: 6 }
+            ]
+        },
         security: {
             enable_csrf: true,
             sanitize_input: true,
             encrypt_sensitive: true,
-            max_login_attempts: 5,
-            password_min_length: 6
+            encryption_passphrase: '', // optional fixed secret; config.js is public, so leave it empty and let the first administrator login set the school data key (the REST backend uses SISPIN_DATA_KEY instead); never written to localStorage
+            data_key_min_length: 12,
+            data_key_check: null, // shared: the check value of the school data key, written by the first administrator login
+            encryption_salt: 'sispin-sman20-medan',
+            max_login_attempts: 5, // failed logins within lockout_window before the account locks
+            lockout_window: 900000, // 15 minutes
+            lockout_duration: 60000, // first lock 1 minute, doubling with every further lock
+            lockout_max_duration: 3600000, // 1 hour
+            device_login_attempts: 10, // login attempts per minute from one browser
+            password_min_length: 6,
+            password_max_age_days: 0, // 0 = passwords never expire
+            temp_password_ttl: 259200000, // temporary passwords from an admin reset expire after 3 days
+            totp_required_roles: [], // roles that must set up two-factor authentication, e.g. ['admin', 'kepsek']
+            password_hash_iterations: 150000
+        },
+        storage: {
+            adapter: 'datasdk', // datasdk | local | rest
+            rest_url: '/api',
+            poll_interval: 15000
         },
         performance: {
             enable_virtual_scrolling: true,
+            table_page_size: 25,
             enable_lazy_loading: true,
             cache_enabled: true,
             cache_ttl: 300000 // 5 minutes
@@ -35,6 +130,9 @@ const AppConfig = {
     // Current configuration
     current: {},
 
+    // Values of pengaturan records by key: { value, recordId }
+    shared: {},
+
     /**
      * Initialize configuration
      */
@@ -44,24 +142,73 @@ const AppConfig = {
     },
 
     /**
-     * Load configuration from storage or defaults
+     * Load configuration from storage or defaults, then apply shared settings
      */
     load() {
         try {
             const stored = localStorage.getItem('sispin_config');
-            this.current = stored ? { ...this.defaults, ...JSON.parse(stored) } : { ...this.defaults };
+            this.current = this.merge(this.defaults, stored ? JSON.parse(stored) : {});
         } catch (error) {
             console.error('Error loading config:', error);
-            this.current = { ...this.defaults };
+            this.current = this.merge(this.defaults, {});
         }
+        Object.entries(this.shared).forEach(([key, setting]) => this.assign(key, setting.value));
+    },
+
+    /**
+     * Apply the shared settings stored in pengaturan records
+     * The newest record wins if two browsers created the same key
+     */
+    loadShared(data = []) {
+        this.shared = {};
+        data.filter(d => d.type === 'pengaturan' && AccessPolicies.settingPages[d.key])
+            .sort((a, b) => new Date(a.updatedAt || a.createdAt) - new Date(b.updatedAt || b.createdAt))
+            .forEach(record => {
+                this.shared[record.key] = { value: record.value, recordId: record.__backendId };
+            });
+        this.load();
+    },
+
+    /**
+     * Store a setting for every user in a pengaturan record
+     * DataService checks the update permission of the setting's page
+     */
+    async saveShared(key, value) {
+        const existing = this.shared[key];
+        const saved = existing
+            ? await DataService.updateData(existing.recordId, { value }, { silent: true })
+            : await DataService.createData('pengaturan', { key, title: key, value }, { silent: true });
+
+        this.shared[key] = { value, recordId: existing ? existing.recordId : saved && saved.__backendId };
+        this.assign(key, value);
+        this.notifyChange(key, value);
+    },
+
+    /**
+     * Merge stored values over defaults, keeping nested defaults
+     * that were added after the stored config was written
+     */
+    merge(base, override) {
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        const result = JSON.parse(JSON.stringify(base));
+
+        Object.keys(override || {}).forEach(key => {
+            const value = override[key];
+            result[key] = isObject(value) && isObject(result[key]) ? this.merge(result[key], value) : value;
+        });
+        return result;
     },
 
     /**
      * Save configuration to storage
+     * Shared settings live in pengaturan records and are left out
      */
     save() {
         try {
-            localStorage.setItem('sispin_config', JSON.stringify(this.current));
+            const stored = this.merge(this.current, {});
+            delete stored.security.encryption_passphrase;
+            Object.keys(AccessPolicies.settingPages).forEach(key => this.unset(stored, key));
+            localStorage.setItem('sispin_config', JSON.stringify(stored));
         } catch (error) {
             console.error('Error saving config:', error);
         }
@@ -78,6 +225,15 @@ const AppConfig = {
      * Set configuration value
      */
     set(key, value) {
+        this.assign(key, value);
+        this.save();
+        this.notifyChange(key, value);
+    },
+
+    /**
+     * Set a value in the current configuration without saving it
+     */
+    assign(key, value) {
         const keys = key.split('.');
         const lastKey = keys.pop();
         const target = keys.reduce((obj, i) => {
@@ -86,8 +242,16 @@ const AppConfig = {
         }, this.current);
         
         target[lastKey] = value;
-        this.save();
-        this.notifyChange(key, value);
+    },
+
+    /**
+     * Remove a dotted key from a configuration object
+     */
+    unset(config, key) {
+        const keys = key.split('.');
+        const lastKey = keys.pop();
+        const target = keys.reduce((obj, i) => obj?.[i], config);
+        if (target) delete target[lastKey];
     },
 
     /**
@@ -150,7 +314,7 @@ const AppConfig = {
      * Reset configuration to defaults
      */
     reset() {
-        this.current = { ...this.defaults };
+        this.current = this.merge(this.defaults, {});
         this.save();
         window.location.reload();
     }
@@ -0,0 +1,215 @@
+/**
+ * Counseling Module
+ * BK counseling cases: a case per student and problem, sessions with notes
+ * and agreed actions, scheduled follow-ups and a closing outcome.
+ * Notes of confidential cases are readable only by the assigned counselor
+ * and the kepsek.
+ */
+
+const CounselingService = {
+    caseTypes: ['Pribadi', 'Sosial', 'Belajar', 'Karir'],
+
+    /**
+     * BK accounts that can be assigned to a case
+     */
+    getCounselorOptions() {
+        return Object.entries(AuthService.users)
+            .filter(([, user]) => user.role === 'bk')
+            .map(([username, user]) => ({ value: username, label: user.name }));
+    },
+
+    /**
+     * Assigned counselors must be BK accounts
+     */
+    checkCounselor(value) {
+        const user = AuthService.users[value];
+        return user && user.role === 'bk' ? null : 'Konselor harus berupa akun Guru BK yang terdaftar';
+    },
+
+    /**
+     * Default counselor of a new case: the current user when they are BK
+     */
+    getDefaultCounselor() {
+        const user = AuthService.currentUser;
+        return user && user.role === 'bk' ? user.username : '';
+    },
+
+    /**
+     * Cases are open until they are closed with an outcome
+     */
+    isOpen(caseRecord) {
+        return caseRecord.status !== 'Ditutup';
+    },
+
+    /**
+     * Case a record belongs to: the case itself or the case of a session
+     * Looked up in the stored records, trash included, so redaction or
+     * deletion of the case does not hide its flags
+     */
+    getCaseOf(record) {
+        const id = record.type === 'konseling' ? record.__backendId : record.case_id;
+        return [...DataService.allData, ...DataService.trashedData].find(d => d.type === 'konseling' && d.__backendId === id) || null;
+    },
+
+    /**
+     * Whether the current user may read the notes of a case or session
+     * Notes of confidential cases stay with the assigned counselor and the kepsek;
+     * sessions whose case is gone stay with their author and the kepsek
+     */
+    canReadNotes(record) {
+        const user = AuthService.currentUser;
+        if (!user) return false;
+
+        const caseRecord = this.getCaseOf(record);
+        if (!caseRecord) {
+            return record.type === 'konseling' || user.role === 'kepsek' || record.author === user.name;
+        }
+        if (!caseRecord.rahasia) return true;
+
+        return user.role === 'kepsek' || caseRecord.konselor === user.username;
+    },
+
+    /**
+     * The kepsek, administrators and the assigned counselor may hand a case
+     * over, also when the assigned counselor has left
+     */
+    canReassign(caseRecord) {
+        const user = AuthService.currentUser;
+        if (!user) return false;
+
+        return user.role === 'kepsek' ||
+               (AuthService.getDataScope() === 'all' && AuthService.hasPermission('bk', 'update')) ||
+               caseRecord.konselor === user.username;
+    },
+
+    /**
+     * Assign a case to another counselor
+     * Saved directly like workflow transitions: the user handing over a
+     * confidential case may not be able to read, and so edit, its notes
+     */
+    async reassign(caseId, username) {
+        const caseRecord = DataService.allData.find(d => d.type === 'konseling' && d.__backendId === caseId);
+        if (!caseRecord) {
+            throw new Error('Kasus tidak ditemukan');
+        }
+        if (!this.canReassign(caseRecord)) {
+            throw new Error('Tidak memiliki izin untuk mengalihkan kasus ini');
+        }
+        const error = this.checkCounselor(username);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const updated = {
+            ...caseRecord,
+            konselor: username,
+            updatedAt: new Date().toISOString(),
+            updatedBy: AuthService.currentUser.name
+        };
+        await DataService.saveRecord(updated);
+        await AuditService.log('update', { before: caseRecord, after: updated, comment: 'Pengalihan konselor' });
+        return updated;
+    },
+
+    /**
+     * Visible case by id
+     */
+    getCase(caseId) {
+        return DataService.getFilteredData('konseling').find(d => d.__backendId === caseId) || null;
+    },
+
+    /**
+     * Sessions of a case, oldest first
+     */
+    getSessions(caseId) {
+        return DataService.getFilteredData('konseling_sesi')
+            .filter(session => session.case_id === caseId)
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+    },
+
+    /**
+     * Follow-up date of an open case: the one set by its latest session
+     */
+    getNextFollowUp(caseRecord) {
+        if (!this.isOpen(caseRecord)) return null;
+
+        const sessions = this.getSessions(caseRecord.__backendId);
+        const latest = sessions[sessions.length - 1];
+        return latest && latest.tanggal_tindak_lanjut ? latest.tanggal_tindak_lanjut : null;
+    },
+
+    /**
+     * Scheduled follow-ups of open cases, soonest first
+     * mine limits the list to cases assigned to the current user
+     */
+    getFollowUps(mine = false) {
+        const username = AuthService.currentUser ? AuthService.currentUser.username : null;
+
+        return DataService.getFilteredData('konseling')
+            .filter(caseRecord => !mine || caseRecord.konselor === username)
+            .map(caseRecord => ({ caseRecord, date: this.getNextFollowUp(caseRecord) }))
+            .filter(item => item.date)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Every case of the student of a case, newest first, whoever handled it
+     */
+    getStudentCases(caseRecord) {
+        const key = DisciplineService.getStudentKey(caseRecord);
+        return DataService.getFilteredData('konseling')
+            .filter(other => DisciplineService.getStudentKey(other) === key)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    /**
+     * Log a session on an open case
+     */
+    async addSession(caseId, data) {
+        const caseRecord = this.getCase(caseId);
+        if (!caseRecord) {
+            throw new Error('Kasus tidak ditemukan');
+        }
+        if (!this.isOpen(caseRecord)) {
+            throw new Error('Kasus sudah ditutup');
+        }
+
+        return DataService.createData('konseling_sesi', this.buildSession(caseRecord, data));
+    },
+
+    /**
+     * Session record of a case; student fields are copied so the session is
+     * scoped like its case
+     */
+    buildSession(caseRecord, data) {
+        return {
+            ...data,
+            case_id: caseRecord.__backendId,
+            student_name: caseRecord.student_name,
+            class: caseRecord.class,
+            nisn: caseRecord.nisn
+        };
+    },
+
+    /**
+     * Close a case with its outcome
+     */
+    async closeCase(caseId, outcome) {
+        const caseRecord = this.getCase(caseId);
+        if (!caseRecord) {
+            throw new Error('Kasus tidak ditemukan');
+        }
+        if (!outcome || !outcome.trim()) {
+            throw new Error('Hasil konseling wajib diisi');
+        }
+
+        return DataService.updateData(caseId, {
+            status: 'Ditutup',
+            hasil_konseling: outcome.trim(),
+            tanggal_selesai: SchemaService.today()
+        });
+    }
+};
+
+// Export for use in other modules
+window.CounselingService = CounselingService;
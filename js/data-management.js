@@ -6,9 +6,24 @@
 const DataService = {
     // Data storage
     allData: [],
+    trashedData: [],
+    rawData: [],
+    purgePromise: null,
+    initPromise: null,
     cache: new Map(),
     cacheTimer: null,
 
+    // Record types, pages and access rules, shared with the REST backend
+    encryptedFields: AccessPolicies.encryptedFields,
+    typePages: AccessPolicies.typePages,
+    settingPages: AccessPolicies.settingPages,
+    recordPolicies: AccessPolicies.recordPolicies,
+    systemTypes: AccessPolicies.systemTypes,
+    appendOnlyTypes: AccessPolicies.appendOnlyTypes,
+
+    // Bookkeeping written as a side effect of normal use; not counted against max_data_items
+    uncappedTypes: ['audit', 'versi', 'login_lock', 'pengaturan'],
+
     // Page definitions
     pages: {
         beranda: { title: 'Beranda', icon: '🏠' },
@@ -18,32 +33,38 @@ const DataService = {
         jurnal: { title: 'Jurnal dan Supervisi', icon: '📝' },
         bk: { title: 'Bimbingan Konseling', icon: '💬' },
         manajemen: { title: 'Manajemen Data', icon: '⚙️' },
-        persetujuan: { title: 'Persetujuan Data', icon: '✅' }
+        persetujuan: { title: 'Persetujuan Data', icon: '✅' },
+        // Personal pages are open to every signed-in user and not part of role permissions
+        profil: { title: 'Profil Saya', icon: '👤', personal: true }
     },
 
     /**
      * Initialize data service
+     * Safe to call more than once; accounts must be loaded before login
      */
-    async init() {
-        await this.initializeDataSDK();
-        this.setupCache();
-        this.setupDataHandlers();
+    init() {
+        if (!this.initPromise) {
+            this.initPromise = (async () => {
+                await this.initializeDataSDK();
+                this.setupCache();
+                this.setupDataHandlers();
+            })();
+        }
+        return this.initPromise;
     },
 
     /**
-     * Initialize Data SDK
+     * Initialize Data SDK through the offline sync layer
      */
     async initializeDataSDK() {
-        if (window.dataSdk) {
-            const result = await window.dataSdk.init({
-                onDataChanged: (data) => this.handleDataChange(data),
-                onError: (error) => this.handleDataError(error)
-            });
-            
-            if (!result.isOk) {
-                console.error('Failed to initialize Data SDK');
-                NotificationService.show('Gagal menginisialisasi data service', 'error');
-            }
+        const result = await SyncService.init({
+            onDataChanged: (data) => this.handleDataChange(data),
+            onError: (error) => this.handleDataError(error)
+        });
+        
+        if (!result.isOk) {
+            console.error('Failed to initialize Data SDK');
+            NotificationService.show('Gagal menginisialisasi data service', 'error');
         }
     },
 
@@ -79,17 +100,30 @@ const DataService = {
     /**
      * Handle data changes
      */
-    handleDataChange(data) {
-        this.allData = data;
-        this.updateUsersFromData(data);
+    async handleDataChange(data) {
+        this.rawData = data;
+        const records = await this.openRecords(data);
+        this.allData = records.filter(d => !d.deleted);
+        this.trashedData = records.filter(d => d.deleted);
+        AuthService.loadRoles(this.allData);
+        AppConfig.loadShared(this.allData);
+        this.updateUsersFromData(this.allData);
         this.invalidateCache();
         
         // Update UI if user is logged in
         if (AuthService.currentUser) {
             UIService.renderCurrentPage();
+            UIService.notifyAttendanceAlerts();
         }
     },
 
+    /**
+     * Re-process the last received data (e.g. after the encryption key changes)
+     */
+    async reloadData() {
+        await this.handleDataChange(this.rawData);
+    },
+
     /**
      * Handle data errors
      */
@@ -101,30 +135,247 @@ const DataService = {
     /**
      * Update users from data
      */
-    updateUsersFromData(data) {
-        // Keep default users and add new ones
-        const defaultUsers = {
-            'admin': { password: 'admin123', role: 'admin', name: 'Administrator' },
-            'kepsek': { password: 'kepsek123', role: 'kepsek', name: 'Kepala Sekolah' },
-            'guru': { password: 'guru123', role: 'guru', name: 'Guru Matematika' },
-            'bk': { password: 'bk123', role: 'bk', name: 'Guru BK' },
-            'siswa': { password: 'siswa123', role: 'siswa', name: 'Siswa/Orang Tua' }
-        };
-
+    updateUsersFromData(data = this.allData) {
         // Start with default users
-        Object.assign(AuthService.users, defaultUsers);
+        AuthService.resetUsers();
 
         // Add users from guru data
-        const guruUsers = data.filter(d => d.type === 'guru' && d.username && d.password);
+        // The REST backend never sends hashes, so accounts are listed without them;
+        // two-factor secrets stay sealed on the record (see sealAccountSecrets)
+        const guruUsers = data.filter(d => d.type === 'guru' && d.username);
         guruUsers.forEach(guru => {
             AuthService.users[guru.username] = {
-                password: guru.password,
+                password_hash: guru.password_hash,
+                password: guru.password_hash ? undefined : guru.password,
                 role: guru.role || 'guru',
                 name: guru.title,
                 nip: guru.nip,
-                mapel: guru.mapel
+                mapel: guru.mapel,
+                password_changed_at: guru.password_changed_at,
+                must_change_password: guru.must_change_password,
+                temp_password_expires_at: guru.temp_password_expires_at,
+                totp_enabled: guru.totp_enabled,
+                totp_last_counter: guru.totp_last_counter,
+                recovery_codes_remaining: guru.recovery_codes_remaining
             };
         });
+
+        // Add student and parent accounts, and password overrides of built-in accounts
+        data.filter(d => d.type === 'akun' && d.username).forEach(akun => {
+            const student = data.find(d => d.type === 'siswa' && d.nisn === akun.nisn);
+            AuthService.users[akun.username] = {
+                password_hash: akun.password_hash,
+                role: akun.role || 'siswa',
+                name: akun.title,
+                account_kind: akun.account_kind,
+                nisn: akun.nisn,
+                student_name: student ? student.title : undefined,
+                class: student ? student.class : undefined,
+                password_changed_at: akun.password_changed_at,
+                must_change_password: akun.must_change_password,
+                temp_password_expires_at: akun.temp_password_expires_at,
+                totp_enabled: akun.totp_enabled,
+                totp_last_counter: akun.totp_last_counter,
+                recovery_codes_remaining: akun.recovery_codes_remaining
+            };
+        });
+    },
+
+    /**
+     * Replace the plaintext password on a guru record with its hash
+     */
+    async migratePasswordRecord(username, passwordHash) {
+        const record = this.allData.find(d => d.type === 'guru' && d.username === username && d.password);
+        if (!record) return;
+
+        const { password, ...migrated } = record;
+        await this.saveRecord({ ...migrated, password_hash: passwordHash });
+    },
+
+    /**
+     * Update the credentials of an account
+     * Built-in accounts get an akun record that overrides the default
+     */
+    async updateAccount(username, fields) {
+        const record = this.findAccountRecord(username);
+        const now = new Date().toISOString();
+        fields = await this.sealAccountSecrets(record, fields);
+
+        if (record) {
+            // A new hash replaces a legacy plaintext password
+            const { password, ...rest } = record;
+            await this.saveRecord({ ...(fields.password_hash ? rest : record), ...fields, updatedAt: now });
+            return;
+        }
+
+        const user = AuthService.users[username];
+        if (!user) {
+            throw new Error('Akun tidak ditemukan');
+        }
+        await this.insertRecord({
+            type: 'akun',
+            title: user.name,
+            username,
+            role: user.role,
+            account_kind: 'staf',
+            password_hash: user.password_hash,
+            ...fields,
+            createdAt: now
+        });
+    },
+
+    /**
+     * The record holding an account's credentials: an akun override or the guru record
+     */
+    findAccountRecord(username) {
+        const accounts = this.allData.filter(d => d.username === username);
+        return accounts.find(d => d.type === 'akun') || accounts.find(d => d.type === 'guru');
+    },
+
+    /**
+     * Replace a two-factor secret and recovery codes with a sealed totp_payload
+     * The payload is only opened to check a code, so the secrets never reach
+     * AuthService.users, which is filled before anyone has signed in
+     */
+    async sealAccountSecrets(record, fields) {
+        if (!('totp_secret' in fields) && !('recovery_codes' in fields)) return fields;
+
+        const { totp_secret, recovery_codes, ...rest } = fields;
+        const secrets = record ? await this.openAccountSecrets(record) : { totp_secret: null, recovery_codes: [] };
+        if (totp_secret !== undefined) secrets.totp_secret = totp_secret;
+        if (recovery_codes !== undefined) secrets.recovery_codes = recovery_codes;
+
+        return {
+            ...rest,
+            totp_payload: secrets.totp_secret ? await SecurityService.encryptData(secrets) : null
+        };
+    },
+
+    /**
+     * Open the two-factor secret and recovery codes of an account record
+     */
+    async openAccountSecrets(record) {
+        if (!record || !record.totp_payload) {
+            return { totp_secret: record?.totp_secret ?? null, recovery_codes: record?.recovery_codes || [] };
+        }
+        return SecurityService.decryptData(record.totp_payload);
+    },
+
+    /**
+     * Store a new password hash for an account
+     */
+    async setAccountPassword(username, passwordHash, fields = {}) {
+        await this.updateAccount(username, {
+            password_hash: passwordHash,
+            password_changed_at: new Date().toISOString(),
+            must_change_password: false,
+            temp_password_expires_at: null,
+            ...fields
+        });
+    },
+
+    /**
+     * Hash any plaintext password field before it is stored
+     */
+    async hashPasswordFields(data) {
+        if (!data.password) return data;
+
+        const { password, ...rest } = data;
+        return {
+            ...rest,
+            password_hash: await SecurityService.hashPassword(password)
+        };
+    },
+
+    /**
+     * Move sensitive fields of a record into an encrypted payload
+     * The REST backend encrypts them itself, after it has checked who may read them
+     */
+    async sealRecord(record) {
+        const fields = this.encryptedFields[record.type];
+        if (!fields || !AppConfig.get('security.encrypt_sensitive') || StorageService.usesServerAuth()) return record;
+
+        const sealed = { ...record };
+        const payload = {};
+        fields.forEach(field => {
+            if (field in sealed) {
+                payload[field] = sealed[field];
+                delete sealed[field];
+            }
+        });
+        delete sealed.locked;
+
+        if (Object.keys(payload).length > 0) {
+            sealed.encrypted_payload = await SecurityService.encryptData(payload);
+        }
+        return sealed;
+    },
+
+    /**
+     * Restore the sensitive fields of a sealed record
+     * Records that cannot be decrypted are kept but marked as locked
+     */
+    async openRecord(record) {
+        if (!record.encrypted_payload) return record;
+
+        try {
+            const payload = await SecurityService.decryptData(record.encrypted_payload);
+            const { encrypted_payload, ...rest } = record;
+            return { ...rest, ...payload };
+        } catch (error) {
+            console.error('Decryption error:', error);
+            return { ...record, locked: true };
+        }
+    },
+
+    /**
+     * Open all sealed records
+     */
+    async openRecords(data) {
+        return Promise.all(data.map(record => this.openRecord(record)));
+    },
+
+    /**
+     * Create a record without validation or permission checks (internal use)
+     */
+    async insertRecord(record) {
+        const result = await SyncService.create(await this.sealRecord(record));
+        if (!result.isOk) {
+            throw new Error('Gagal menyimpan data');
+        }
+
+        this.invalidateCache();
+        return result.data;
+    },
+
+    /**
+     * Persist a full record without permission checks (internal use)
+     */
+    async saveRecord(record) {
+        if (record.locked) {
+            throw new Error('Data terenkripsi tidak dapat dibuka dengan kunci ini');
+        }
+
+        const result = await SyncService.update(await this.sealRecord(record));
+        if (!result.isOk) {
+            throw new Error('Gagal mengupdate data');
+        }
+
+        this.invalidateCache();
+        return result.data;
+    },
+
+    /**
+     * Delete a record from the store without permission checks (internal use)
+     */
+    async removeRecord(record) {
+        const result = await SyncService.delete(record);
+        if (!result.isOk) {
+            throw new Error('Gagal menghapus data');
+        }
+
+        this.invalidateCache();
+        return true;
     },
 
     /**
@@ -175,11 +426,9 @@ const DataService = {
         
         // Apply role-based filtering
         if (AuthService.currentUser) {
-            if (AuthService.currentUser.role === 'siswa') {
-                filteredData = filteredData.filter(d => d.approved === true);
-            } else if (AuthService.currentUser.role === 'guru' || AuthService.currentUser.role === 'bk') {
-                filteredData = filteredData.filter(d => d.author === AuthService.currentUser.name);
-            }
+            filteredData = filteredData
+                .filter(d => this.isRecordVisible(d))
+                .map(d => this.redactRecord(d));
         }
         
         // Apply additional filters
@@ -210,37 +459,151 @@ const DataService = {
         return filteredData;
     },
 
+    /**
+     * Check whether the current user may see a record
+     */
+    isRecordVisible(record) {
+        const user = AuthService.currentUser;
+        if (!user) return false;
+
+        const scope = AuthService.getDataScope();
+        const policy = this.recordPolicies[record.type];
+
+        if (!policy) {
+            if (scope === 'approved') return record.approved === true;
+            if (scope === 'own') return record.author === user.name;
+            return true;
+        }
+
+        if (this.hasFullAccess(record.type)) return true;
+
+        // Students and parents only see their own child's records
+        if (scope === 'approved') {
+            return (record.approved === true || Boolean(policy.shownWithoutReview)) && this.matchesLinkedStudent(record, user);
+        }
+
+        return record.author === user.name || this.getWaliClasses(user).includes(record.class);
+    },
+
+    /**
+     * Whether the current user sees every record of a type with a record policy
+     */
+    hasFullAccess(type) {
+        const user = AuthService.currentUser;
+        const policy = this.recordPolicies[type];
+        if (!user || !policy) return false;
+
+        return AuthService.getDataScope() === 'all' || policy.fullAccessRoles.includes(user.role);
+    },
+
+    /**
+     * Check whether a record belongs to the student linked to an account
+     * Older records without NISN are matched by student name and class
+     */
+    matchesLinkedStudent(record, user) {
+        if (!user.nisn) return false;
+        if (record.nisn) return record.nisn === user.nisn;
+
+        return Boolean(user.student_name) &&
+               record.student_name === user.student_name &&
+               record.class === user.class;
+    },
+
+    /**
+     * Remove fields the current user may not read
+     */
+    redactRecord(record) {
+        const policy = this.recordPolicies[record.type];
+        if (!policy) return record;
+
+        const role = AuthService.currentUser.role;
+        const redacted = { ...record };
+        Object.entries(policy.restrictedFields).forEach(([field, roles]) => {
+            if (!roles.includes(role)) {
+                delete redacted[field];
+            }
+        });
+        if (policy.confidentialFields && !CounselingService.canReadNotes(record)) {
+            policy.confidentialFields.forEach(field => delete redacted[field]);
+        }
+        return redacted;
+    },
+
+    /**
+     * Get the classes a user is homeroom (wali) teacher of
+     */
+    getWaliClasses(user) {
+        return this.allData
+            .filter(d => d.type === 'kelas' && d.wali_kelas && (d.wali_kelas === user.username || d.wali_kelas === user.name))
+            .map(d => d.title);
+    },
+
+    /**
+     * Fill in the student's NISN from the siswa records when missing
+     */
+    attachStudentNisn(type, data) {
+        if (!this.recordPolicies[type] || data.nisn) return data;
+
+        const student = this.allData.find(d =>
+            d.type === 'siswa' && d.title === data.student_name && d.class === data.class
+        );
+        return student ? { ...data, nisn: student.nisn } : data;
+    },
+
     /**
      * Create new data
      */
-    async createData(type, data) {
+    async createData(type, data, options = {}) {
         try {
+            // Account options on siswa records are not stored on the record
+            const { create_account, parent_accounts, ...fields } = data;
+            if (type === 'siswa') {
+                data = fields;
+            }
+            if (type === 'bk_pelanggaran') {
+                data = DisciplineService.applyCatalogue(data);
+            }
+            
             // Validate data
             const validation = this.validateData(type, data);
             if (!validation.valid) {
                 throw new Error(validation.message);
             }
             
+            // Check create permission
+            if (!AuthService.hasPermission(this.getPageForRecord({ ...data, type }), 'create')) {
+                throw new Error('Tidak memiliki izin untuk menambah data ini');
+            }
+            
             // Check data limit
-            if (this.allData.length >= AppConfig.get('max_data_items')) {
+            if (this.getCappedCount() >= AppConfig.get('max_data_items')) {
                 throw new Error('Batas maksimum data telah tercapai');
             }
             
             // Prepare data
             const newData = {
                 type,
-                ...data,
+                ...(await this.hashPasswordFields(this.attachStudentNisn(type, data))),
                 author: AuthService.currentUser.name,
                 createdAt: new Date().toISOString(),
-                approved: AuthService.currentUser.role === 'admin' || AuthService.currentUser.role === 'kepsek'
+                ...WorkflowService.getInitialFields(type, options.draft)
             };
             
             // Create via SDK
-            const result = await window.dataSdk.create(newData);
+            const result = await SyncService.create(await this.sealRecord(newData));
             
             if (result.isOk) {
                 this.invalidateCache();
-                NotificationService.show('Data berhasil disimpan', 'success');
+                await AuditService.log('create', { after: { ...newData, ...(result.data || {}) } });
+                if (!options.silent) {
+                    NotificationService.show('Data berhasil disimpan', 'success');
+                }
+                
+                if (type === 'siswa' && create_account) {
+                    const credentials = await AccountService.createStudentAccounts(newData, parseInt(parent_accounts, 10) || 1);
+                    UIService.showCredentialSlips(credentials);
+                }
+                
                 return result.data;
             } else {
                 throw new Error('Gagal menyimpan data');
@@ -255,7 +618,7 @@ const DataService = {
     /**
      * Update data
      */
-    async updateData(id, data) {
+    async updateData(id, data, options = {}) {
         try {
             // Find existing data
             const existingData = this.allData.find(d => d.__backendId === id);
@@ -268,23 +631,49 @@ const DataService = {
                 throw new Error('Tidak memiliki izin untuk mengupdate data ini');
             }
             
+            // Workflow fields only change through WorkflowService
+            const { workflow_status, workflow_history, approved, ...editable } = data;
+
+            // A changed violation takes its kategori and points from the catalogue
+            const fields = existingData.type === 'bk_pelanggaran' && editable.jenis_pelanggaran &&
+                           editable.jenis_pelanggaran !== existingData.jenis_pelanggaran
+                ? DisciplineService.applyCatalogue(editable)
+                : editable;
+
+            // Validate the edited record; passwords left out keep the stored one
+            if (SchemaService.get(existingData.type)) {
+                const validation = this.validateData(existingData.type, { ...existingData, ...fields }, { existing: existingData });
+                if (!validation.valid) {
+                    throw new Error(validation.message);
+                }
+            }
+
             // Prepare update data
             const updateData = {
                 ...existingData,
-                ...data,
-                updatedAt: new Date().toISOString()
+                ...(await this.hashPasswordFields(fields)),
+                ...WorkflowService.getUpdateFields(existingData),
+                updatedAt: new Date().toISOString(),
+                updatedBy: AuthService.currentUser.name
             };
+            if (VersionService.isVersioned(existingData.type)) {
+                updateData.revision = (existingData.revision || 1) + 1;
+            }
+            if (updateData.password_hash) {
+                delete updateData.password;
+            }
             
+            // Keep the previous content first: if the version cannot be stored
+            // the update is aborted instead of overwriting it
+            await VersionService.recordVersion(existingData);
+
             // Update via SDK
-            const result = await window.dataSdk.update(updateData);
-            
-            if (result.isOk) {
-                this.invalidateCache();
+            const result = await this.saveRecord(updateData);
+            await AuditService.log('update', { before: existingData, after: updateData });
+            if (!options.silent) {
                 NotificationService.show('Data berhasil diupdate', 'success');
-                return result.data;
-            } else {
-                throw new Error('Gagal mengupdate data');
             }
+            return result;
         } catch (error) {
             console.error('Update data error:', error);
             NotificationService.show('Error: ' + error.message, 'error');
@@ -293,7 +682,8 @@ const DataService = {
     },
 
     /**
-     * Delete data
+     * Move data to the recycle bin
+     * Trashed records are kept in the store and can be restored or purged
      */
     async deleteData(id) {
         try {
@@ -308,16 +698,15 @@ const DataService = {
                 throw new Error('Tidak memiliki izin untuk menghapus data ini');
             }
             
-            // Delete via SDK
-            const result = await window.dataSdk.delete(existingData);
-            
-            if (result.isOk) {
-                this.invalidateCache();
-                NotificationService.show('Data berhasil dihapus', 'success');
-                return true;
-            } else {
-                throw new Error('Gagal menghapus data');
-            }
+            await this.saveRecord({
+                ...existingData,
+                deleted: true,
+                deleted_at: new Date().toISOString(),
+                deleted_by: AuthService.currentUser.name
+            });
+            await AuditService.log('delete', { before: existingData });
+            NotificationService.show('Data dipindahkan ke Tempat Sampah', 'success');
+            return true;
         } catch (error) {
             console.error('Delete data error:', error);
             NotificationService.show('Error: ' + error.message, 'error');
@@ -326,343 +715,169 @@ const DataService = {
     },
 
     /**
-     * Validate data based on type
+     * Get trashed records the current user may restore or purge
      */
-    validateData(type, data) {
-        const validators = {
-            guru: this.validateGuruData,
-            siswa: this.validateSiswaData,
-            kelas: this.validateKelasData,
-            intra: this.validateIntraData,
-            jurnal: this.validateJurnalData,
-            absensi: this.validateAbsensiData,
-            nilai: this.validateNilaiData,
-            perilaku: this.validatePerilakuData,
-            bk_absensi: this.validateBKAbsensiData,
-            bk_pelanggaran: this.validateBKPelanggaranData
-        };
-        
-        const validator = validators[type];
-        if (validator) {
-            return validator(data);
-        }
-        
-        // Basic validation for unknown types
-        if (!data.title || !data.content) {
-            return {
-                valid: false,
-                message: 'Title dan content wajib diisi'
-            };
-        }
-        
-        return { valid: true };
+    getTrashedData() {
+        return this.trashedData
+            .filter(d => this.canDeleteData(d))
+            .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
     },
 
     /**
-     * Validate guru data
+     * Restore a record from the recycle bin
      */
-    validateGuruData(data) {
-        const required = ['title', 'nip', 'mapel', 'role', 'username', 'password'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
+    async restoreData(id) {
+        try {
+            const trashed = this.trashedData.find(d => d.__backendId === id);
+            if (!trashed) {
+                throw new Error('Data tidak ditemukan di Tempat Sampah');
             }
+
+            if (!this.canDeleteData(trashed)) {
+                throw new Error('Tidak memiliki izin untuk memulihkan data ini');
+            }
+
+            // Another account may have taken the username in the meantime
+            if (trashed.username && AuthService.users[trashed.username]) {
+                throw new Error(`Username ${trashed.username} sudah digunakan`);
+            }
+
+            const { deleted, deleted_at, deleted_by, ...restored } = trashed;
+            await this.saveRecord({ ...restored, updatedAt: new Date().toISOString() });
+            await AuditService.log('restore', { record: restored });
+            NotificationService.show('Data berhasil dipulihkan', 'success');
+            return true;
+        } catch (error) {
+            console.error('Restore data error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+            throw error;
         }
-        
-        // Validate NIP format (18 digits)
-        if (!/^\d{18}$/.test(data.nip)) {
-            return {
-                valid: false,
-                message: 'NIP harus 18 digit'
-            };
-        }
-        
-        // Validate password
-        const passwordValidation = SecurityService.validatePassword(data.password);
-        if (!passwordValidation.valid) {
-            return passwordValidation;
-        }
-        
-        // Check username uniqueness
-        if (AuthService.users[data.username] && AuthService.users[data.username].username !== data.username) {
-            return {
-                valid: false,
-                message: 'Username sudah digunakan'
-            };
-        }
-        
-        return { valid: true };
     },
 
     /**
-     * Validate siswa data
+     * Permanently remove a record from the recycle bin
      */
-    validateSiswaData(data) {
-        const required = ['title', 'nisn', 'jenis_kelamin', 'class'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
+    async purgeData(id) {
+        try {
+            const trashed = this.trashedData.find(d => d.__backendId === id);
+            if (!trashed) {
+                throw new Error('Data tidak ditemukan di Tempat Sampah');
             }
+
+            if (!this.canDeleteData(trashed)) {
+                throw new Error('Tidak memiliki izin untuk menghapus data ini');
+            }
+
+            await this.removeRecord(trashed);
+            await AuditService.log('purge', { record: trashed });
+            NotificationService.show('Data dihapus permanen', 'success');
+            return true;
+        } catch (error) {
+            console.error('Purge data error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+            throw error;
         }
-        
-        // Validate NISN (10 digits)
-        if (!/^\d{10}$/.test(data.nisn)) {
-            return {
-                valid: false,
-                message: 'NISN harus 10 digit'
-            };
-        }
-        
-        // Validate jenis kelamin
-        if (!['L', 'P'].includes(data.jenis_kelamin)) {
-            return {
-                valid: false,
-                message: 'Jenis kelamin harus L atau P'
-            };
-        }
-        
-        return { valid: true };
     },
 
     /**
-     * Validate kelas data
+     * Permanently remove trashed records older than the retention period
+     * Runs once at a time; a retention of 0 days disables automatic purge
      */
-    validateKelasData(data) {
-        const required = ['title', 'tingkat', 'jurusan'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
+    purgeExpiredTrash() {
+        const days = Number(AppConfig.get('trash_retention_days'));
+        if (!days || this.purgePromise) return this.purgePromise;
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = this.trashedData.filter(d => new Date(d.deleted_at).getTime() < cutoff);
+
+        this.purgePromise = (async () => {
+            for (const record of expired) {
+                try {
+                    await this.removeRecord(record);
+                    await AuditService.log('purge', { record, comment: `Otomatis setelah ${days} hari` });
+                } catch (error) {
+                    console.error('Auto purge error:', error);
+                }
             }
-        }
-        
-        // Validate tingkat
-        if (!['X', 'XI', 'XII'].includes(data.tingkat)) {
-            return {
-                valid: false,
-                message: 'Tingkat harus X, XI, atau XII'
-            };
-        }
-        
-        return { valid: true };
+        })().finally(() => {
+            this.purgePromise = null;
+        });
+        return this.purgePromise;
     },
 
     /**
-     * Validate intra data
+     * Validate data against the schema of its type
      */
-    validateIntraData(data) {
-        const required = ['judul_modul', 'mata_pelajaran', 'kelas', 'fase', 'penulis'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
-            }
-        }
-        
-        return { valid: true };
+    validateData(type, data, context = {}) {
+        return SchemaService.validate(type, data, context);
     },
 
     /**
-     * Validate jurnal data
+     * Get a human readable label for any record
      */
-    validateJurnalData(data) {
-        const required = ['nama_guru', 'kelas', 'hari', 'tanggal', 'mata_pelajaran', 'materi_pokok'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
-            }
-        }
-        
-        // Validate time format
-        if (data.waktu_mulai && data.waktu_selesai) {
-            if (data.waktu_mulai >= data.waktu_selesai) {
-                return {
-                    valid: false,
-                    message: 'Waktu mulai harus sebelum waktu selesai'
-                };
-            }
-        }
-        
-        return { valid: true };
+    getRecordLabel(record) {
+        return record.title || record.judul_modul || record.materi_pokok || record.student_name || record.type;
     },
 
     /**
-     * Validate absensi data
+     * Number of records counted against max_data_items
      */
-    validateAbsensiData(data) {
-        const required = ['student_name', 'class', 'status', 'date'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
-            }
-        }
-        
-        // Validate status
-        const validStatus = ['Hadir', 'Sakit', 'Izin', 'Alpha'];
-        if (!validStatus.includes(data.status)) {
-            return {
-                valid: false,
-                message: 'Status tidak valid'
-            };
-        }
-        
-        return { valid: true };
+    getCappedCount() {
+        return this.allData.filter(d => !this.uncappedTypes.includes(d.type)).length;
     },
 
     /**
-     * Validate nilai data
+     * Get the page that governs a record type
      */
-    validateNilaiData(data) {
-        const required = ['student_name', 'class', 'mata_pelajaran', 'jenis_penilaian', 'nilai', 'date'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
-            }
-        }
-        
-        // Validate nilai range
-        const nilai = parseFloat(data.nilai);
-        if (isNaN(nilai) || nilai < 0 || nilai > 100) {
-            return {
-                valid: false,
-                message: 'Nilai harus antara 0 dan 100'
-            };
-        }
-        
-        return { valid: true };
+    getPageForType(type) {
+        return this.typePages[type] || type;
     },
 
     /**
-     * Validate perilaku data
+     * Get the page that governs a record; shared settings are governed per key
      */
-    validatePerilakuData(data) {
-        const required = ['student_name', 'class', 'jenis_perilaku', 'catatan', 'date'];
-        
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
-            }
-        }
-        
-        // Validate jenis perilaku
-        const validTypes = ['Positif', 'Negatif', 'Netral'];
-        if (!validTypes.includes(data.jenis_perilaku)) {
-            return {
-                valid: false,
-                message: 'Jenis perilaku tidak valid'
-            };
-        }
-        
-        return { valid: true };
+    getPageForRecord(record) {
+        if (record.type === 'pengaturan') return this.settingPages[record.key] || 'manajemen';
+        return this.getPageForType(record.type);
     },
 
     /**
-     * Validate BK absensi data
+     * Check if user can perform an action on a record
      */
-    validateBKAbsensiData(data) {
-        const required = ['student_name', 'class', 'status', 'date', 'waktu'];
+    canAccessRecord(data, action) {
+        if (!AuthService.currentUser) return false;
         
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
-            }
-        }
+        if (this.appendOnlyTypes.includes(data.type)) return false;
         
-        // Validate status
-        const validStatus = ['Hadir', 'Sakit', 'Izin', 'Alpha', 'Terlambat'];
-        if (!validStatus.includes(data.status)) {
-            return {
-                valid: false,
-                message: 'Status tidak valid'
-            };
-        }
+        if (!AuthService.hasPermission(this.getPageForRecord(data), action)) return false;
         
-        return { valid: true };
-    },
-
-    /**
-     * Validate BK pelanggaran data
-     */
-    validateBKPelanggaranData(data) {
-        const required = ['student_name', 'class', 'kategori_pelanggaran', 'jenis_pelanggaran', 'lokasi', 'kronologi', 'tindak_lanjut'];
+        // Shared settings belong to everyone who may edit their page
+        if (data.type === 'pengaturan') return true;
         
-        for (const field of required) {
-            if (!data[field]) {
-                return {
-                    valid: false,
-                    message: `${field} wajib diisi`
-                };
-            }
-        }
+        // Records whose hidden notes would be lost on save stay read-only
+        const policy = this.recordPolicies[data.type];
+        if (policy && policy.confidentialFields && !CounselingService.canReadNotes(data)) return false;
         
-        // Validate kategori
-        const validKategori = ['Ringan', 'Sedang', 'Berat'];
-        if (!validKategori.includes(data.kategori_pelanggaran)) {
-            return {
-                valid: false,
-                message: 'Kategori pelanggaran tidak valid'
-            };
-        }
+        // Roles scoped to all data may act on any record
+        if (AuthService.getDataScope() === 'all') return true;
         
-        return { valid: true };
+        // Users can act on their own data and on records assigned to them
+        return data.author === AuthService.currentUser.name ||
+               Boolean(policy && policy.ownerField && data[policy.ownerField] === AuthService.currentUser.username);
     },
 
     /**
      * Check if user can update data
      */
     canUpdateData(data) {
-        if (!AuthService.currentUser) return false;
-        
-        // Admin can update everything
-        if (AuthService.currentUser.role === 'admin') return true;
-        
-        // Users can only update their own data
-        return data.author === AuthService.currentUser.name;
+        return this.canAccessRecord(data, 'update');
     },
 
     /**
      * Check if user can delete data
      */
     canDeleteData(data) {
-        if (!AuthService.currentUser) return false;
-        
-        // Admin can delete everything
-        if (AuthService.currentUser.role === 'admin') return true;
-        
-        // Users can only delete their own data
-        return data.author === AuthService.currentUser.name;
+        return this.canAccessRecord(data, 'delete');
     },
 
     /**
@@ -676,6 +891,7 @@ const DataService = {
             siswa: this.allData.filter(d => d.type === 'siswa').length,
             guru: this.allData.filter(d => d.type === 'guru').length,
             absensi: this.allData.filter(d => d.type === 'absensi').length,
+            absensi_today: this.allData.filter(d => d.type === 'absensi' && d.date === SchemaService.today()).length,
             nilai: this.allData.filter(d => d.type === 'nilai').length,
             perilaku: this.allData.filter(d => d.type === 'perilaku').length,
             bk_absensi: this.allData.filter(d => d.type === 'bk_absensi').length,
@@ -689,7 +905,9 @@ const DataService = {
      * Export data to format
      */
     exportData(type, format = 'json') {
-        const data = this.getFilteredData(type);
+        // Never export credentials; schema types get labelled columns in schema order
+        const records = this.getFilteredData(type).map(({ password, password_hash, ...record }) => record);
+        const data = format !== 'json' && SchemaService.get(type) ? SchemaService.toExportRows(type, records) : records;
         
         switch (format) {
             case 'json':
@@ -703,6 +921,40 @@ const DataService = {
         }
     },
 
+    /**
+     * Create an encrypted backup of all data
+     * Returns a JSON string whose payload is an AES-GCM envelope
+     */
+    async createBackup() {
+        if (!AppConfig.get('enable_backup')) {
+            throw new Error('Fitur backup tidak diaktifkan');
+        }
+
+        return JSON.stringify({
+            app: 'sispin',
+            version: 1,
+            createdAt: new Date().toISOString(),
+            createdBy: AuthService.currentUser?.username,
+            payload: await SecurityService.encryptData(this.allData)
+        });
+    },
+
+    /**
+     * Read records from a backup created by createBackup
+     */
+    async readBackup(backupText) {
+        const backup = JSON.parse(backupText);
+        if (backup.app !== 'sispin' || backup.version !== 1) {
+            throw new Error('Format backup tidak dikenali');
+        }
+
+        const records = await SecurityService.decryptData(backup.payload);
+        if (!Array.isArray(records)) {
+            throw new Error('Isi backup tidak valid');
+        }
+        return records;
+    },
+
     /**
      * Convert data to CSV
      */
@@ -713,7 +965,7 @@ const DataService = {
         const csvHeaders = headers.join(',');
         const csvRows = data.map(row => 
             headers.map(header => {
-                const value = row[header] || '';
+                const value = row[header] ?? '';
                 return `"${String(value).replace(/"/g, '""')}"`;
             }).join(',')
         );
@@ -0,0 +1,243 @@
+/**
+ * Discipline Module
+ * Tata tertib points for bk_pelanggaran: a violation catalogue with point
+ * values, running totals per student per semester and the escalation ladder
+ * of follow-up stages
+ */
+
+const DisciplineService = {
+    categories: ['Ringan', 'Sedang', 'Berat'],
+
+    // Points of older records whose jenis_pelanggaran is not in the catalogue
+    categoryPoints: { Ringan: 5, Sedang: 15, Berat: 40 },
+
+    /**
+     * Violation catalogue: [{ name, kategori, points }]
+     */
+    getCatalogue() {
+        return AppConfig.get('discipline.catalogue') || [];
+    },
+
+    /**
+     * Catalogue entry of a violation name
+     */
+    findViolation(name) {
+        return this.getCatalogue().find(item => item.name === name) || null;
+    },
+
+    /**
+     * Catalogue entries as select options
+     */
+    getCatalogueOptions() {
+        return this.getCatalogue().map(item => ({ value: item.name, label: `${item.name} (${item.kategori}, ${item.points} poin)` }));
+    },
+
+    /**
+     * New violations must come from the catalogue; older records keep their free-text jenis
+     */
+    checkViolation(value, context) {
+        if (context.existing && context.existing.jenis_pelanggaran === value) return null;
+        return this.findViolation(value) ? null : 'Jenis pelanggaran harus dipilih dari daftar tata tertib';
+    },
+
+    /**
+     * Fill in kategori and points from the catalogue
+     * The points are stored so later catalogue changes do not rewrite history
+     */
+    applyCatalogue(data) {
+        const item = this.findViolation(data.jenis_pelanggaran);
+        return item ? { ...data, kategori_pelanggaran: item.kategori, poin: item.points } : data;
+    },
+
+    /**
+     * Points of a violation record
+     */
+    getPoints(record) {
+        if (record.poin !== undefined && record.poin !== null && record.poin !== '') {
+            return Number(record.poin);
+        }
+        const item = this.findViolation(record.jenis_pelanggaran);
+        return item ? item.points : (this.categoryPoints[record.kategori_pelanggaran] || 0);
+    },
+
+    /**
+     * Store a new catalogue for every user
+     */
+    async saveCatalogue(items) {
+        const names = new Set();
+        items.forEach(item => {
+            if (!item.name) {
+                throw new Error('Nama pelanggaran wajib diisi');
+            }
+            if (names.has(item.name)) {
+                throw new Error(`Pelanggaran "${item.name}" tercantum lebih dari sekali`);
+            }
+            if (!this.categories.includes(item.kategori)) {
+                throw new Error('Kategori pelanggaran tidak valid');
+            }
+            if (!Number.isInteger(item.points) || item.points < 0) {
+                throw new Error('Poin harus bilangan bulat tidak negatif');
+            }
+            names.add(item.name);
+        });
+        await AppConfig.saveShared('discipline.catalogue', items);
+    },
+
+    /**
+     * Escalation stages, lowest first: [{ name, min, required }]
+     */
+    getStages() {
+        return [...(AppConfig.get('discipline.stages') || [])].sort((a, b) => a.min - b.min);
+    },
+
+    /**
+     * Store new escalation stages for every user
+     */
+    async saveStages(stages) {
+        const names = new Set();
+        stages.forEach(stage => {
+            if (!stage.name) {
+                throw new Error('Nama tahap wajib diisi');
+            }
+            if (names.has(stage.name)) {
+                throw new Error(`Tahap "${stage.name}" tercantum lebih dari sekali`);
+            }
+            if (!Number.isInteger(stage.min) || stage.min < 1) {
+                throw new Error('Batas poin tahap harus bilangan bulat positif');
+            }
+            names.add(stage.name);
+        });
+        await AppConfig.saveShared('discipline.stages', stages);
+    },
+
+    /**
+     * Stage names as select options
+     */
+    getStageOptions() {
+        return this.getStages().map(stage => ({ value: stage.name, label: `${stage.name} (≥ ${stage.min} poin)` }));
+    },
+
+    /**
+     * Highest stage reached by a point total
+     */
+    getStageFor(total) {
+        return this.getStages().filter(stage => total >= stage.min).pop() || null;
+    },
+
+    /**
+     * Key identifying the student of a record; older records without NISN
+     * are matched to a siswa record by name and class
+     */
+    getStudentKey(record) {
+        if (record.nisn) return record.nisn;
+
+        const student = DataService.allData.find(d =>
+            d.type === 'siswa' && d.title === record.student_name && d.class === record.class
+        );
+        return student ? student.nisn : `${record.student_name}|${record.class}`;
+    },
+
+    /**
+     * Date a violation counts from
+     */
+    getRecordDate(record) {
+        return record.date || (record.createdAt || '').slice(0, 10);
+    },
+
+    /**
+     * Violations of one student within a semester, oldest first
+     */
+    getStudentViolations(key, semester, records = DataService.getFilteredData('bk_pelanggaran')) {
+        return records
+            .filter(record => {
+                const date = this.getRecordDate(record);
+                return date >= semester.start && date <= semester.end && this.getStudentKey(record) === key;
+            })
+            .sort((a, b) => this.getRecordDate(a).localeCompare(this.getRecordDate(b)) ||
+                            (a.createdAt || '').localeCompare(b.createdAt || ''));
+    },
+
+    /**
+     * Escalation history of a student in a semester
+     * Every violation adds to the running total; each stage is reached by the
+     * violation that crosses its threshold and is settled by a violation record
+     * whose tahap_tindak_lanjut names it. An open stage below a settled one is
+     * covered by that higher follow-up.
+     */
+    getHistory(key, semester, records) {
+        const violations = this.getStudentViolations(key, semester, records);
+        const stages = this.getStages();
+        const reached = [];
+        let total = 0;
+
+        const entries = violations.map(record => {
+            const points = this.getPoints(record);
+            total += points;
+            const newStages = stages.filter(stage => total >= stage.min && !reached.some(item => item.stage.name === stage.name));
+            newStages.forEach(stage => reached.push({ stage, reachedAt: this.getRecordDate(record), record }));
+            return { record, points, total, stages: newStages };
+        });
+
+        const settled = reached.map(item => violations.find(record => record.tahap_tindak_lanjut === item.stage.name) || null);
+        const highestSettled = settled.reduce((highest, followUp, index) => followUp ? index : highest, -1);
+        const ladder = reached.map((item, index) => ({
+            ...item,
+            followUp: settled[index],
+            status: settled[index] ? 'Selesai'
+                : index < highestSettled ? 'Dilampaui'
+                : item.stage.required ? 'Wajib' : 'Disarankan'
+        }));
+
+        const last = violations[violations.length - 1];
+        return {
+            key,
+            student_name: last ? last.student_name : '',
+            class: last ? last.class : '',
+            semester,
+            total,
+            stage: this.getStageFor(total),
+            entries,
+            ladder,
+            pending: ladder.filter(item => item.status === 'Wajib')
+        };
+    },
+
+    /**
+     * Point totals of every student with violations in a semester, highest first
+     */
+    getSemesterSummaries(semester) {
+        const records = DataService.getFilteredData('bk_pelanggaran');
+        const keys = new Set(records
+            .filter(record => {
+                const date = this.getRecordDate(record);
+                return date >= semester.start && date <= semester.end;
+            })
+            .map(record => this.getStudentKey(record)));
+
+        return Array.from(keys)
+            .map(key => this.getHistory(key, semester, records))
+            .sort((a, b) => b.total - a.total || a.student_name.localeCompare(b.student_name, 'id'));
+    },
+
+    /**
+     * A follow-up stage may only be recorded once the student's semester total
+     * (including this violation) has reached it
+     */
+    checkStage(value, data, context) {
+        if (!value) return null;
+
+        const stage = this.getStages().find(item => item.name === value);
+        if (!stage) return 'Tahap tindak lanjut tidak valid';
+
+        const date = this.getRecordDate(data) || SchemaService.today();
+        const semester = RaporService.getSemester(date);
+        const others = this.getStudentViolations(this.getStudentKey(data), semester)
+            .filter(record => !context.existing || record.__backendId !== context.existing.__backendId);
+        const total = others.reduce((sum, record) => sum + this.getPoints(record), 0) + this.getPoints(this.applyCatalogue(data));
+
+        return total >= stage.min ? null : `Poin siswa semester ini (${total}) belum mencapai tahap ${stage.name}`;
+    }
+};
+
+// Export for use in other modules
+window.DisciplineService = DisciplineService;
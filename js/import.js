@@ -0,0 +1,258 @@
+/**
+ * Import Module
+ * Bulk import of master data (siswa, guru, kelas) from Excel or CSV files:
+ * column mapping, schema validation, duplicate detection and batch commit
+ */
+
+const ImportService = {
+    // Types that can be imported, with the field that identifies a record
+    types: {
+        siswa: { key: 'nisn' },
+        guru: { key: 'nip' },
+        kelas: { key: 'title' }
+    },
+
+    // Common header names that do not match a field name or label
+    aliases: {
+        title: ['nama', 'nama lengkap'],
+        class: ['kelas', 'rombel', 'rombongan belajar'],
+        jenis_kelamin: ['jk', 'l/p', 'gender'],
+        mapel: ['mapel', 'mata pelajaran'],
+        wali_kelas: ['wali']
+    },
+
+    /**
+     * Read the first sheet of an .xlsx or .csv file as header and data rows
+     * CSV is parsed as text so NISN/NIP keep their leading zeros
+     */
+    async readFile(file) {
+        const name = file.name.toLowerCase();
+        let table;
+
+        if (name.endsWith('.csv')) {
+            table = this.parseCSV(await file.text());
+        } else if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+            if (!window.XLSX) {
+                throw new Error('Library XLSX tidak tersedia');
+            }
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+        } else {
+            throw new Error('Format file harus .xlsx atau .csv');
+        }
+
+        const rows = table.filter(row => row.some(cell => String(cell).trim() !== ''));
+        if (rows.length < 2) {
+            throw new Error('File tidak berisi data');
+        }
+
+        return {
+            headers: rows[0].map(cell => String(cell).trim()),
+            rows: rows.slice(1)
+        };
+    },
+
+    /**
+     * Parse CSV text; accepts comma or semicolon separators and quoted values
+     */
+    parseCSV(text) {
+        const clean = text.replace(/^\uFEFF/, '');
+        const firstLine = clean.split(/\r?\n/, 1)[0];
+        const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < clean.length; i++) {
+            const char = clean[i];
+            if (quoted) {
+                if (char === '"' && clean[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && clean[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (value !== '' || row.length) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    /**
+     * Fields that can be filled from a file
+     */
+    getFields(type) {
+        return SchemaService.getFormFields(type).filter(field => !field.virtual);
+    },
+
+    /**
+     * Guess which column holds each field from the header names
+     * Returns { field: columnIndex }
+     */
+    suggestMapping(type, headers) {
+        const normalize = text => String(text).toLowerCase().replace(/[^a-z0-9/]/g, '');
+        const normalized = headers.map(normalize);
+        const mapping = {};
+
+        this.getFields(type).forEach(field => {
+            const names = [field.name, field.label, ...(this.aliases[field.name] || [])].map(normalize);
+            const index = normalized.findIndex(header => names.includes(header));
+            if (index !== -1) {
+                mapping[field.name] = index;
+            }
+        });
+        return mapping;
+    },
+
+    /**
+     * Build a record from a row; select values may be given by their label
+     */
+    buildRecord(type, row, mapping) {
+        const data = {};
+        this.getFields(type).forEach(field => {
+            const index = mapping[field.name];
+            if (index === undefined || index === null || index === '') return;
+
+            let value = String(row[index] ?? '').trim();
+            if (value && field.options) {
+                const option = SchemaService.getOptions(field).find(item =>
+                    String(item.value).toLowerCase() === value.toLowerCase() || item.label.toLowerCase() === value.toLowerCase()
+                );
+                if (option) value = option.value;
+            }
+            data[field.name] = value;
+        });
+        return data;
+    },
+
+    /**
+     * Validate every row and flag duplicates
+     * Returns [{ row, data, errors, generatedPassword }] where row is the line number in the file
+     */
+    analyze(type, rows, mapping) {
+        const { key } = this.types[type];
+        const keyLabel = SchemaService.get(type).fields.find(field => field.name === key).label;
+        const existing = new Set(DataService.allData.filter(d => d.type === type).map(d => String(d[key])));
+        const seenKeys = {};
+        const seenUsernames = {};
+
+        return rows.map((cells, index) => {
+            const row = index + 2;
+            const data = this.buildRecord(type, cells, mapping);
+
+            // Teachers without a password in the file get a temporary one
+            let generatedPassword = null;
+            if (type === 'guru' && !data.password) {
+                generatedPassword = SecurityService.generatePassword(10);
+                data.password = generatedPassword;
+            }
+
+            const errors = SchemaService.collectErrors(type, data).map(error => error.message);
+
+            const value = data[key];
+            if (value) {
+                if (existing.has(String(value))) {
+                    errors.push(`${keyLabel} sudah terdaftar`);
+                } else if (seenKeys[value]) {
+                    errors.push(`${keyLabel} ganda dengan baris ${seenKeys[value]}`);
+                } else {
+                    seenKeys[value] = row;
+                }
+            }
+
+            if (data.username) {
+                if (seenUsernames[data.username]) {
+                    errors.push(`Username ganda dengan baris ${seenUsernames[data.username]}`);
+                } else {
+                    seenUsernames[data.username] = row;
+                }
+            }
+
+            return { row, data, errors, generatedPassword };
+        });
+    },
+
+    /**
+     * Number of records that still fit under max_data_items
+     */
+    getCapacity() {
+        return Math.max(0, AppConfig.get('max_data_items') - DataService.getCappedCount());
+    },
+
+    /**
+     * Save the valid rows
+     * Rows beyond max_data_items are skipped and reported
+     */
+    async commit(type, items) {
+        const valid = items.filter(item => item.errors.length === 0);
+        const capacity = this.getCapacity();
+        const batch = valid.slice(0, capacity);
+        const summary = {
+            created: 0,
+            invalid: items.length - valid.length,
+            skipped: valid.length - batch.length,
+            failures: [],
+            credentials: []
+        };
+
+        for (const item of batch) {
+            const data = { ...item.data };
+            if (item.generatedPassword) {
+                data.must_change_password = true;
+                data.temp_password_expires_at = new Date(Date.now() + AppConfig.get('security.temp_password_ttl')).toISOString();
+            }
+
+            try {
+                await DataService.createData(type, data, { silent: true });
+                summary.created++;
+                if (item.generatedPassword) {
+                    summary.credentials.push({
+                        name: data.title,
+                        class: data.mapel,
+                        username: data.username,
+                        password: item.generatedPassword
+                    });
+                }
+            } catch (error) {
+                summary.failures.push({ row: item.row, message: error.message });
+            }
+        }
+
+        await AuditService.log('import', {
+            record: { type, title: `${summary.created} data` },
+            comment: `${summary.created} berhasil, ${summary.invalid} tidak valid, ${summary.skipped} dilewati, ${summary.failures.length} gagal`
+        });
+        return summary;
+    },
+
+    /**
+     * CSV template with the schema headers of a type
+     */
+    buildTemplate(type) {
+        return this.getFields(type).map(field => `"${field.label}"`).join(',') + '\n';
+    }
+};
+
+// Export for use in other modules
+window.ImportService = ImportService;
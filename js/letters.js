@@ -0,0 +1,264 @@
+/**
+ * Letters Module
+ * Official BK letters (surat peringatan, panggilan orang tua) generated
+ * from templates with placeholders, numbered from a per-year register of
+ * surat records and printed as PDF
+ */
+
+const LetterService = {
+    // Placeholders available in letter templates, written as {{name}}
+    placeholders: {
+        nama_siswa: 'Nama siswa',
+        nisn: 'NISN',
+        kelas: 'Kelas',
+        jenis_pelanggaran: 'Jenis pelanggaran',
+        tanggal_pelanggaran: 'Tanggal pelanggaran',
+        kronologi: 'Kronologi pelanggaran',
+        tindak_lanjut: 'Tindak lanjut yang dicatat',
+        tahap: 'Tahap tindak lanjut',
+        total_poin: 'Total poin semester',
+        semester: 'Semester',
+        nomor_surat: 'Nomor surat',
+        tanggal: 'Tanggal surat',
+        nama_kepsek: 'Nama kepala sekolah',
+        nip_kepsek: 'NIP kepala sekolah',
+        nama_sekolah: 'Nama sekolah'
+    },
+
+    /**
+     * Letter templates: [{ key, title, subject, stages, body }]
+     */
+    getTemplates() {
+        return AppConfig.get('letters.templates') || [];
+    },
+
+    /**
+     * Template by key
+     */
+    getTemplate(key) {
+        return this.getTemplates().find(template => template.key === key) || null;
+    },
+
+    /**
+     * First template meant for an escalation stage
+     */
+    getTemplateForStage(stageName) {
+        return this.getTemplates().find(template => (template.stages || []).includes(stageName)) || null;
+    },
+
+    /**
+     * Store new templates for every user; unknown placeholders are rejected so typos do not reach a printed letter
+     */
+    async saveTemplates(templates) {
+        templates.forEach(template => {
+            if (!template.title || !template.subject || !template.body) {
+                throw new Error('Judul, perihal dan isi surat wajib diisi');
+            }
+            const unknown = this.findUnknownPlaceholders(`${template.subject}\n${template.body}`);
+            if (unknown.length) {
+                throw new Error(`Placeholder tidak dikenal: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+            }
+        });
+        await AppConfig.saveShared('letters.templates', templates);
+    },
+
+    /**
+     * Placeholder names in a text that are not supported
+     */
+    findUnknownPlaceholders(text) {
+        const names = Array.from(text.matchAll(/\{\{\s*(\w+)\s*\}\}/g), match => match[1]);
+        return Array.from(new Set(names.filter(name => !this.placeholders[name])));
+    },
+
+    /**
+     * Replace placeholders with values
+     */
+    fill(text, values) {
+        return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? match);
+    },
+
+    /**
+     * Long Indonesian date, e.g. 5 Agustus 2024
+     */
+    formatLongDate(date) {
+        if (!date) return '-';
+        return new Date(`${date.slice(0, 10)}T00:00:00`).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+    },
+
+    /**
+     * Principal who signs letters; the configured name wins over the kepsek account
+     */
+    getPrincipal() {
+        const account = Object.values(AuthService.users).find(user => user.role === 'kepsek');
+        return {
+            name: AppConfig.get('letters.principal_name') || (account ? account.name : ''),
+            nip: AppConfig.get('letters.principal_nip') || ''
+        };
+    },
+
+    /**
+     * Placeholder values for a violation record and escalation stage
+     */
+    buildValues(record, stageName, date = SchemaService.today()) {
+        const key = DisciplineService.getStudentKey(record);
+        const semester = RaporService.getSemester(DisciplineService.getRecordDate(record) || date);
+        const history = DisciplineService.getHistory(key, semester);
+        const principal = this.getPrincipal();
+
+        return {
+            nama_siswa: record.student_name,
+            nisn: record.nisn || (/^\d+$/.test(key) ? key : '-'),
+            kelas: record.class,
+            jenis_pelanggaran: record.jenis_pelanggaran,
+            tanggal_pelanggaran: this.formatLongDate(DisciplineService.getRecordDate(record)),
+            kronologi: record.kronologi || '-',
+            tindak_lanjut: record.tindak_lanjut || '-',
+            tahap: stageName || (history.stage ? history.stage.name : '-'),
+            total_poin: String(history.total),
+            semester: semester.label,
+            tanggal: this.formatLongDate(date),
+            nama_kepsek: principal.name || '-',
+            nip_kepsek: principal.nip || '-',
+            nama_sekolah: AppConfig.get('app_title')
+        };
+    },
+
+    /**
+     * Subject and body of a letter before it gets its number
+     */
+    preview(templateKey, record, stageName) {
+        const template = this.getTemplate(templateKey);
+        if (!template) {
+            throw new Error('Template surat tidak ditemukan');
+        }
+
+        const values = { ...this.buildValues(record, stageName), nomor_surat: '(nomor otomatis)' };
+        return { subject: this.fill(template.subject, values), body: this.fill(template.body, values) };
+    },
+
+    /**
+     * Next sequence number in the register of a year
+     * Counts every surat record, not only the visible ones, so numbers never repeat
+     */
+    getNextSequence(year) {
+        return DataService.allData
+            .filter(d => d.type === 'surat' && Number(d.tahun) === year)
+            .reduce((max, d) => Math.max(max, Number(d.urutan) || 0), 0) + 1;
+    },
+
+    /**
+     * Letter number from the configured format
+     */
+    formatNumber(sequence, date) {
+        const romanMonths = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+        const month = Number(date.slice(5, 7));
+
+        return AppConfig.get('letters.number_format')
+            .replace('{nomor}', String(sequence).padStart(3, '0'))
+            .replace('{bulan}', romanMonths[month - 1])
+            .replace('{tahun}', date.slice(0, 4));
+    },
+
+    /**
+     * Issue a letter: take the next register number, log it against the
+     * student as a surat record and download the PDF
+     */
+    async issue(templateKey, record, stageName) {
+        const template = this.getTemplate(templateKey);
+        if (!template) {
+            throw new Error('Template surat tidak ditemukan');
+        }
+
+        // Fail before a number is taken when the PDF cannot be produced
+        const doc = PdfService.create();
+
+        const date = SchemaService.today();
+        const year = Number(date.slice(0, 4));
+        const sequence = this.getNextSequence(year);
+        const nomor = this.formatNumber(sequence, date);
+        const values = { ...this.buildValues(record, stageName, date), nomor_surat: nomor };
+        const principal = this.getPrincipal();
+
+        const letter = {
+            title: `${template.title} ${nomor}`,
+            nomor,
+            tahun: year,
+            urutan: sequence,
+            date,
+            perihal: this.fill(template.subject, values),
+            template: template.key,
+            student_name: record.student_name,
+            class: record.class,
+            nisn: record.nisn,
+            tahap: values.tahap === '-' ? '' : values.tahap,
+            isi: this.fill(template.body, values),
+            penandatangan: principal.name,
+            nip_penandatangan: principal.nip,
+            source_id: record.__backendId
+        };
+
+        const saved = await DataService.createData('surat', letter, { silent: true });
+        this.render(doc, letter);
+        PdfService.save(doc, this.getFilename(letter));
+        return saved || letter;
+    },
+
+    /**
+     * Print a registered letter again exactly as issued
+     */
+    reprint(letter) {
+        if (!letter.isi) {
+            throw new Error('Isi surat tidak dapat dibaca');
+        }
+
+        const doc = PdfService.create();
+        this.render(doc, letter);
+        PdfService.save(doc, this.getFilename(letter));
+    },
+
+    /**
+     * Download name of a letter
+     */
+    getFilename(letter) {
+        return `Surat_${letter.nomor.replace(/[^A-Za-z0-9]+/g, '-')}_${letter.student_name.replace(/[^A-Za-z0-9]+/g, '_')}.pdf`;
+    },
+
+    /**
+     * Draw a letter: letterhead, number and subject, body and the principal's signature
+     */
+    render(doc, letter) {
+        PdfService.heading(doc, AppConfig.get('app_title').toUpperCase(), { size: 14 });
+        if (AppConfig.get('letters.address')) {
+            PdfService.text(doc, AppConfig.get('letters.address'), { size: 9, align: 'center' });
+        }
+        PdfService.rule(doc, 0.8);
+        PdfService.space(doc, 2);
+
+        PdfService.keyValues(doc, [
+            ['Nomor', letter.nomor],
+            ['Lampiran', '-'],
+            ['Perihal', letter.perihal]
+        ], 22);
+        PdfService.space(doc, 6);
+
+        letter.isi.split('\n').forEach(line => {
+            if (line.trim()) {
+                PdfService.text(doc, line);
+            } else {
+                PdfService.space(doc, 3);
+            }
+        });
+        PdfService.space(doc, 8);
+
+        PdfService.signature(doc, {
+            place: AppConfig.get('letters.city'),
+            date: `${letter.date}T00:00:00`,
+            role: 'Kepala Sekolah',
+            name: letter.penandatangan,
+            id: letter.nip_penandatangan ? `NIP. ${letter.nip_penandatangan}` : ''
+        });
+    }
+};
+
+// Export for use in other modules
+window.LetterService = LetterService;
@@ -0,0 +1,107 @@
+/**
+ * Local Data SDK
+ * Stand-in for window.dataSdk backed by localStorage, used by the
+ * "local" storage adapter for single-device installs, development and
+ * testing offline behaviour without the hosted SDK
+ */
+
+const LocalDataSdk = {
+    storageKey: 'sispin_local_sdk',
+    records: [],
+    handlers: null,
+    offline: false,
+
+    /**
+     * Initialize and deliver the stored records
+     */
+    async init(handlers) {
+        this.handlers = handlers;
+        try {
+            this.records = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Error loading local data:', error);
+            this.records = [];
+        }
+
+        this.notify();
+        return { isOk: true };
+    },
+
+    /**
+     * Create a record and assign it an id
+     */
+    async create(record) {
+        this.checkConnection();
+
+        const created = { ...record, __backendId: `local_${Date.now()}_${Math.random().toString(36).slice(2, 10)}` };
+        this.records.push(created);
+        this.persist();
+        return { isOk: true, data: created };
+    },
+
+    /**
+     * Replace a record
+     */
+    async update(record) {
+        this.checkConnection();
+
+        const index = this.records.findIndex(d => d.__backendId === record.__backendId);
+        if (index === -1) return { isOk: false, error: 'Data tidak ditemukan' };
+
+        this.records[index] = { ...record };
+        this.persist();
+        return { isOk: true, data: this.records[index] };
+    },
+
+    /**
+     * Delete a record
+     */
+    async delete(record) {
+        this.checkConnection();
+
+        const before = this.records.length;
+        this.records = this.records.filter(d => d.__backendId !== record.__backendId);
+        if (this.records.length === before) return { isOk: false, error: 'Data tidak ditemukan' };
+
+        this.persist();
+        return { isOk: true };
+    },
+
+    /**
+     * Simulate losing or regaining the connection
+     * e.g. LocalDataSdk.setOffline(true) from the browser console
+     */
+    setOffline(offline) {
+        this.offline = offline;
+        window.dispatchEvent(new Event(offline ? 'offline' : 'online'));
+    },
+
+    /**
+     * Throw like a failed network request while offline
+     */
+    checkConnection() {
+        if (this.offline) {
+            throw new TypeError('Failed to fetch');
+        }
+    },
+
+    /**
+     * Save records and notify the listener
+     */
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        this.notify();
+    },
+
+    /**
+     * Deliver a copy of all records to the listener
+     */
+    notify() {
+        if (this.handlers?.onDataChanged) {
+            this.handlers.onDataChanged(this.records.map(record => ({ ...record })));
+        }
+    }
+};
+
+// Export for use in other modules
+window.LocalDataSdk = LocalDataSdk;
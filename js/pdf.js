@@ -0,0 +1,209 @@
+/**
+ * PDF Module
+ * Small layout helpers on top of jsPDF for printable documents
+ * (A4 portrait, millimetres). The document keeps its own cursor so
+ * callers only append blocks; page breaks are handled here.
+ */
+
+const PdfService = {
+    pageWidth: 210,
+    pageHeight: 297,
+    margin: 18,
+    lineHeight: 5,
+
+    /**
+     * Start a new document
+     */
+    create() {
+        if (!window.jspdf) {
+            throw new Error('Library PDF tidak tersedia');
+        }
+
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.cursorY = this.margin;
+        return doc;
+    },
+
+    /**
+     * Width available for content
+     */
+    contentWidth() {
+        return this.pageWidth - this.margin * 2;
+    },
+
+    /**
+     * Start a new page
+     */
+    newPage(doc) {
+        doc.addPage();
+        doc.cursorY = this.margin;
+    },
+
+    /**
+     * Break the page when the next block does not fit
+     */
+    ensureSpace(doc, height) {
+        if (doc.cursorY + height > this.pageHeight - this.margin - 8) {
+            this.newPage(doc);
+        }
+    },
+
+    /**
+     * Vertical gap
+     */
+    space(doc, height = 4) {
+        doc.cursorY += height;
+    },
+
+    /**
+     * Document or section heading
+     */
+    heading(doc, text, { size = 13, align = 'center' } = {}) {
+        this.ensureSpace(doc, size * 0.5 + 2);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(size);
+        const x = align === 'center' ? this.pageWidth / 2 : this.margin;
+        doc.text(String(text), x, doc.cursorY, { align });
+        doc.cursorY += size * 0.45 + 2;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+    },
+
+    /**
+     * Wrapped paragraph
+     */
+    text(doc, text, { bold = false, size = 10, align = 'left' } = {}) {
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        doc.setFontSize(size);
+        const lines = doc.splitTextToSize(String(text ?? ''), this.contentWidth());
+        lines.forEach(line => {
+            this.ensureSpace(doc, this.lineHeight);
+            const x = align === 'center' ? this.pageWidth / 2 : align === 'right' ? this.pageWidth - this.margin : this.margin;
+            doc.text(line, x, doc.cursorY, { align });
+            doc.cursorY += this.lineHeight;
+        });
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+    },
+
+    /**
+     * Horizontal rule
+     */
+    rule(doc, width = 0.5) {
+        doc.setLineWidth(width);
+        doc.line(this.margin, doc.cursorY, this.pageWidth - this.margin, doc.cursorY);
+        doc.setLineWidth(0.2);
+        doc.cursorY += 3;
+    },
+
+    /**
+     * Label/value pairs aligned in two columns
+     */
+    keyValues(doc, pairs, labelWidth = 40) {
+        pairs.forEach(([label, value]) => {
+            const lines = doc.splitTextToSize(String(value ?? '-'), this.contentWidth() - labelWidth - 4);
+            this.ensureSpace(doc, lines.length * this.lineHeight);
+            doc.text(String(label), this.margin, doc.cursorY);
+            doc.text(':', this.margin + labelWidth, doc.cursorY);
+            doc.text(lines, this.margin + labelWidth + 3, doc.cursorY);
+            doc.cursorY += lines.length * this.lineHeight;
+        });
+    },
+
+    /**
+     * Bordered table; the header row is repeated after a page break
+     * columns: [{ label, width (mm), align }], rows: arrays of cell text
+     */
+    table(doc, columns, rows) {
+        const padding = 1.5;
+        const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+        const scale = this.contentWidth() / totalWidth;
+        const widths = columns.map(column => column.width * scale);
+
+        const drawRow = (cells, bold) => {
+            doc.setFont('helvetica', bold ? 'bold' : 'normal');
+            const wrapped = cells.map((cell, i) => doc.splitTextToSize(String(cell ?? ''), widths[i] - padding * 2));
+            const height = Math.max(...wrapped.map(lines => lines.length)) * this.lineHeight + padding * 2;
+
+            if (doc.cursorY + height > this.pageHeight - this.margin - 8) {
+                this.newPage(doc);
+                if (!bold) drawRow(columns.map(column => column.label), true);
+                doc.setFont('helvetica', 'normal');
+            }
+
+            let x = this.margin;
+            wrapped.forEach((lines, i) => {
+                if (bold) {
+                    doc.setFillColor(235, 235, 235);
+                    doc.rect(x, doc.cursorY, widths[i], height, 'FD');
+                } else {
+                    doc.rect(x, doc.cursorY, widths[i], height);
+                }
+                const align = columns[i].align || 'left';
+                const textX = align === 'center' ? x + widths[i] / 2 : align === 'right' ? x + widths[i] - padding : x + padding;
+                doc.text(lines, textX, doc.cursorY + padding + 3.5, { align });
+                x += widths[i];
+            });
+            doc.cursorY += height;
+        };
+
+        doc.setFontSize(9);
+        doc.setLineWidth(0.2);
+        drawRow(columns.map(column => column.label), true);
+        rows.forEach(row => drawRow(row, false));
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.cursorY += 4;
+    },
+
+    /**
+     * Signature block on the right: place and date, role, space to sign, name
+     */
+    signature(doc, { place = '', date = new Date(), role = '', name = '', id = '' } = {}) {
+        this.ensureSpace(doc, 40);
+        const x = this.pageWidth - this.margin - 60;
+        const dateText = new Date(date).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+
+        doc.text(place ? `${place}, ${dateText}` : dateText, x, doc.cursorY);
+        doc.text(role, x, doc.cursorY + this.lineHeight);
+        doc.setFont('helvetica', 'bold');
+        doc.text(name || '(....................................)', x, doc.cursorY + 28);
+        doc.setFont('helvetica', 'normal');
+        if (id) {
+            doc.text(id, x, doc.cursorY + 28 + this.lineHeight);
+        }
+        doc.cursorY += 40;
+    },
+
+    /**
+     * Write "Halaman x dari n" on every page
+     * Per-student documents in one file restart their numbering at each
+     * entry of sections (the page where a new document starts).
+     */
+    addPageNumbers(doc, sections = [1]) {
+        const total = doc.getNumberOfPages();
+        const starts = [...sections, total + 1];
+
+        doc.setFontSize(8);
+        for (let s = 0; s < starts.length - 1; s++) {
+            const count = starts[s + 1] - starts[s];
+            for (let page = starts[s]; page < starts[s + 1]; page++) {
+                doc.setPage(page);
+                doc.text(`Halaman ${page - starts[s] + 1} dari ${count}`, this.pageWidth / 2, this.pageHeight - 10, { align: 'center' });
+            }
+        }
+        doc.setFontSize(10);
+    },
+
+    /**
+     * Download the document
+     */
+    save(doc, filename) {
+        doc.save(filename);
+    }
+};
+
+// Export for use in other modules
+window.PdfService = PdfService;
@@ -0,0 +1,232 @@
+/**
+ * Access Policies Module
+ * Built-in accounts and roles, record types, the pages that govern them
+ * and per-record access rules.
+ * Loaded by the browser (AuthService, DataService) and by the reference
+ * backend (server/auth.js, server/permissions.js), so both sides enforce
+ * the same rules.
+ */
+
+const AccessPolicies = {
+    // Built-in accounts (PBKDF2 hashes, see SecurityService.hashPassword)
+    defaultUsers: {
+        'admin': { password_hash: 'pbkdf2-sha256$150000$oY40NW37LazfgEsxO4Puvw==$6vSncXn74kakB9wLdarmibMbO4r8U7ckNeWx0JriCBc=', role: 'admin', name: 'Administrator' },
+        'kepsek': { password_hash: 'pbkdf2-sha256$150000$K5KMLVl1TMohi8NBN5Lfyw==$O60EVm9zdT2NCZ7tKtykwMO6SHFv92OAOYquq/BL5W0=', role: 'kepsek', name: 'Kepala Sekolah' },
+        'guru': { password_hash: 'pbkdf2-sha256$150000$OMDUQsjYZJldb8cNhriIJA==$63nL1WLfrM42K6a2fn8nAvfOL7qn+fdB+7YSuwS5Wmo=', role: 'guru', name: 'Guru Matematika' },
+        'bk': { password_hash: 'pbkdf2-sha256$150000$VDwU+jqbhcqeHvwvYzgmkw==$mNwUwkktQwMCAMkxj6ZOJAkEeFQtnEFe9gCvYgV84d4=', role: 'bk', name: 'Guru BK' },
+        'siswa': { password_hash: 'pbkdf2-sha256$150000$7g72AK6KmVpLnGc8wqX0vg==$tCb1YymC2X+tVk3CKzZdfg1UDNPBXWOEh38PHhP9lQw=', role: 'siswa', name: 'Siswa/Orang Tua' }
+    },
+
+    // Built-in roles; records of type 'role' override or extend these
+    // data_scope: 'all' (every record), 'own' (own records), 'approved' (approved records)
+    defaultRoles: {
+        admin: {
+            name: 'Administrator',
+            icon: '👨‍💼',
+            data_scope: 'all',
+            pages: {
+                beranda: ['read'],
+                intra: ['read', 'create', 'update', 'delete'],
+                kokurikuler: ['read', 'create', 'update', 'delete'],
+                wali: ['read', 'create', 'update', 'delete'],
+                jurnal: ['read', 'create', 'update', 'delete'],
+                bk: ['read', 'create', 'update', 'delete'],
+                manajemen: ['read', 'create', 'update', 'delete'],
+                persetujuan: ['approve']
+            }
+        },
+        kepsek: {
+            name: 'Kepala Sekolah',
+            icon: '🎓',
+            data_scope: 'all',
+            pages: {
+                beranda: ['read'],
+                persetujuan: ['read', 'approve']
+            }
+        },
+        guru: {
+            name: 'Guru',
+            icon: '👩‍🏫',
+            data_scope: 'own',
+            pages: {
+                beranda: ['read'],
+                intra: ['read', 'create', 'update', 'delete'],
+                kokurikuler: ['read', 'create', 'update', 'delete'],
+                wali: ['read', 'create', 'update', 'delete'],
+                jurnal: ['read', 'create', 'update', 'delete']
+            }
+        },
+        bk: {
+            name: 'Guru BK',
+            icon: '💬',
+            data_scope: 'own',
+            pages: {
+                beranda: ['read'],
+                intra: ['read', 'create', 'update', 'delete'],
+                kokurikuler: ['read', 'create', 'update', 'delete'],
+                wali: ['read', 'create', 'update', 'delete'],
+                jurnal: ['read', 'create', 'update', 'delete'],
+                bk: ['read', 'create', 'update', 'delete']
+            }
+        },
+        siswa: {
+            name: 'Siswa/Orang Tua',
+            icon: '👨‍🎓',
+            data_scope: 'approved',
+            pages: {
+                beranda: ['read'],
+                intra: ['read'],
+                kokurikuler: ['read'],
+                wali: ['read'],
+                jurnal: ['read'],
+                bk: ['read']
+            }
+        }
+    },
+
+    // Fields stored only inside the encrypted payload
+    encryptedFields: {
+        bk_pelanggaran: ['jenis_pelanggaran', 'lokasi', 'kronologi', 'tindak_lanjut'],
+        konseling: ['permasalahan', 'hasil_konseling'],
+        konseling_sesi: ['catatan_konseling', 'kesepakatan'],
+        surat: ['isi'],
+        audit: ['changes'],
+        // Sealed at rest by the server; browsers without one keep them in totp_payload
+        guru: ['totp_secret', 'recovery_codes'],
+        akun: ['totp_secret', 'recovery_codes']
+    },
+
+    // Page that governs permissions for each record type
+    typePages: {
+        intra: 'intra',
+        kokurikuler: 'kokurikuler',
+        kebiasaan: 'kokurikuler',
+        absensi: 'wali',
+        nilai: 'wali',
+        perilaku: 'wali',
+        jurnal: 'jurnal',
+        bk_absensi: 'bk',
+        bk_pelanggaran: 'bk',
+        surat: 'bk',
+        konseling: 'bk',
+        konseling_sesi: 'bk',
+        guru: 'manajemen',
+        siswa: 'manajemen',
+        kelas: 'manajemen',
+        akun: 'manajemen',
+        role: 'manajemen',
+        pengaturan: 'manajemen',
+        audit: 'manajemen',
+        versi: 'manajemen',
+        login_lock: 'manajemen'
+    },
+
+    // Settings shared by every browser: one pengaturan record per AppConfig
+    // key, editable by users who may update the page listed here
+    settingPages: {
+        session_timeout: 'manajemen',
+        session_warning: 'manajemen',
+        session_max_length: 'manajemen',
+        trash_retention_days: 'manajemen',
+        'security.password_max_age_days': 'manajemen',
+        'security.temp_password_ttl': 'manajemen',
+        'security.totp_required_roles': 'manajemen',
+        'security.data_key_check': 'manajemen',
+        'rapor.weights': 'manajemen',
+        'attendance.alerts': 'manajemen',
+        'discipline.catalogue': 'bk',
+        'discipline.stages': 'bk',
+        'letters.templates': 'bk'
+    },
+
+    // Per-record and per-field access rules for student records
+    // fullAccessRoles see every record; other users see their own records,
+    // records of classes they are homeroom (wali) teacher of, or - for
+    // students and parents - records matching their NISN once approved, or
+    // at once for types shownWithoutReview.
+    recordPolicies: {
+        bk_pelanggaran: {
+            fullAccessRoles: ['bk', 'kepsek'],
+            restrictedFields: {
+                kronologi: ['bk', 'kepsek'],
+                tindak_lanjut: ['bk', 'kepsek']
+            }
+        },
+        perilaku: {
+            fullAccessRoles: ['bk', 'kepsek'],
+            restrictedFields: {}
+        },
+        siswa: {
+            fullAccessRoles: ['bk'],
+            restrictedFields: {}
+        },
+        nilai: {
+            fullAccessRoles: [],
+            restrictedFields: {}
+        },
+        // Roll calls are recorded, not reviewed
+        absensi: {
+            fullAccessRoles: ['bk'],
+            restrictedFields: {},
+            shownWithoutReview: true
+        },
+        bk_absensi: {
+            fullAccessRoles: ['bk', 'kepsek'],
+            restrictedFields: {}
+        },
+        surat: {
+            fullAccessRoles: ['bk', 'kepsek'],
+            restrictedFields: {
+                isi: ['bk', 'kepsek']
+            }
+        },
+        // Confidential cases hide their notes from everyone but the assigned
+        // counselor and the kepsek; the assigned counselor may manage the case
+        konseling: {
+            fullAccessRoles: ['bk', 'kepsek'],
+            restrictedFields: {
+                permasalahan: ['bk', 'kepsek'],
+                hasil_konseling: ['bk', 'kepsek']
+            },
+            confidentialFields: ['permasalahan', 'hasil_konseling'],
+            ownerField: 'konselor'
+        },
+        konseling_sesi: {
+            fullAccessRoles: ['bk', 'kepsek'],
+            restrictedFields: {
+                catatan_konseling: ['bk', 'kepsek'],
+                kesepakatan: ['bk', 'kepsek']
+            },
+            confidentialFields: ['catatan_konseling', 'kesepakatan']
+        },
+        kebiasaan: {
+            fullAccessRoles: [],
+            restrictedFields: {}
+        }
+    },
+
+    // Record types used internally and hidden from activity feeds
+    systemTypes: ['role', 'pengaturan', 'akun', 'audit', 'versi', 'login_lock'],
+
+    // Record types outside the approval workflow: confidential BK records
+    // are never shown to reviewers and never need their approval, and a
+    // class roll call would fill the review inbox with one record per student
+    workflowExemptTypes: ['konseling', 'konseling_sesi', 'surat', 'absensi'],
+
+    // Record types that can never be updated or deleted
+    appendOnlyTypes: ['audit', 'versi', 'surat'],
+
+    // Record types that keep version history (VersionService)
+    versionedTypes: ['intra', 'jurnal'],
+
+    // Fields that describe a versioned record rather than its content
+    versionMetaFields: ['__backendId', 'type', 'author', 'createdAt', 'updatedAt', 'updatedBy', 'revision', 'restored_from',
+        'workflow_status', 'workflow_history', 'approved', 'reviewed_by', 'reviewed_at', 'review_comment']
+};
+
+// Export for use in other modules and in the reference backend
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessPolicies;
+} else {
+    window.AccessPolicies = AccessPolicies;
+}
@@ -0,0 +1,247 @@
+/**
+ * Rapor Module
+ * Report cards per semester: weighted final scores per subject from nilai,
+ * attendance totals from the AttendanceService recap and behaviour notes
+ * from perilaku
+ */
+
+const RaporService = {
+    // Predikat thresholds, highest first
+    predikat: [
+        { min: 90, label: 'A' },
+        { min: 80, label: 'B' },
+        { min: 70, label: 'C' },
+        { min: 0, label: 'D' }
+    ],
+
+    attendanceStatuses: ['Sakit', 'Izin', 'Alpha', 'Terlambat'],
+
+    /**
+     * Weights per jenis_penilaian
+     */
+    getWeights() {
+        return AppConfig.get('rapor.weights');
+    },
+
+    /**
+     * Store new weights for every user; they must add up to 100
+     */
+    async saveWeights(weights) {
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        if (Object.values(weights).some(weight => isNaN(weight) || weight < 0)) {
+            throw new Error('Bobot harus berupa angka positif');
+        }
+        if (total !== 100) {
+            throw new Error(`Jumlah bobot harus 100, saat ini ${total}`);
+        }
+        await AppConfig.saveShared('rapor.weights', weights);
+    },
+
+    /**
+     * Semester of a date: Ganjil runs July-December, Genap January-June
+     */
+    getSemester(date = new Date()) {
+        // Record dates are local calendar dates, not UTC midnight
+        const value = typeof date === 'string' ? new Date(`${date.slice(0, 10)}T00:00:00`) : date;
+        const year = value.getFullYear();
+        const ganjil = value.getMonth() >= 6;
+        const startYear = ganjil ? year : year - 1;
+
+        return {
+            key: `${startYear}-${ganjil ? 1 : 2}`,
+            label: `${ganjil ? 'Ganjil' : 'Genap'} ${startYear}/${startYear + 1}`,
+            tahun_ajaran: `${startYear}/${startYear + 1}`,
+            semester: ganjil ? 'Ganjil' : 'Genap',
+            start: ganjil ? `${year}-07-01` : `${year}-01-01`,
+            end: ganjil ? `${year}-12-31` : `${year}-06-30`
+        };
+    },
+
+    /**
+     * Semester from its key (e.g. 2024-1)
+     */
+    getSemesterByKey(key) {
+        const [year, part] = key.split('-').map(Number);
+        return this.getSemester(part === 1 ? `${year}-08-15` : `${year + 1}-02-15`);
+    },
+
+    /**
+     * Current semester and every semester that has records of the given types
+     */
+    getSemesterOptions(types = ['nilai', 'absensi', 'perilaku']) {
+        const semesters = { [this.getSemester().key]: this.getSemester() };
+        types.forEach(type => {
+            DataService.getFilteredData(type).forEach(record => {
+                if (!record.date) return;
+                const semester = this.getSemester(record.date);
+                semesters[semester.key] = semester;
+            });
+        });
+        return Object.values(semesters).sort((a, b) => b.key.localeCompare(a.key));
+    },
+
+    /**
+     * Records of a type for one student within a semester
+     */
+    getStudentRecords(type, student, semester) {
+        const link = { nisn: student.nisn, student_name: student.title, class: student.class };
+        return DataService.getFilteredData(type).filter(record =>
+            DataService.matchesLinkedStudent(record, link) &&
+            record.date >= semester.start && record.date <= semester.end
+        );
+    },
+
+    /**
+     * Final score per subject
+     * Each component is the average of its scores; the final score is the
+     * weighted average over the components that have scores, so a subject
+     * without a PAS yet is not pulled down to zero.
+     */
+    computeScores(student, semester) {
+        const weights = this.getWeights();
+        const bySubject = {};
+
+        this.getStudentRecords('nilai', student, semester).forEach(record => {
+            const subject = bySubject[record.mata_pelajaran] = bySubject[record.mata_pelajaran] || {};
+            (subject[record.jenis_penilaian] = subject[record.jenis_penilaian] || []).push(parseFloat(record.nilai));
+        });
+
+        return Object.keys(bySubject).sort((a, b) => a.localeCompare(b, 'id')).map(mapel => {
+            const components = {};
+            let weighted = 0;
+            let weightTotal = 0;
+
+            Object.entries(bySubject[mapel]).forEach(([jenis, scores]) => {
+                const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+                components[jenis] = Math.round(average * 10) / 10;
+                const weight = weights[jenis] || 0;
+                weighted += average * weight;
+                weightTotal += weight;
+            });
+
+            const final = weightTotal ? Math.round(weighted / weightTotal) : null;
+            return { mapel, components, final, predikat: final === null ? '-' : this.getPredikat(final) };
+        });
+    },
+
+    /**
+     * Predikat letter for a score
+     */
+    getPredikat(score) {
+        return this.predikat.find(item => score >= item.min).label;
+    },
+
+    /**
+     * Attendance totals by status, from the same recap as the attendance page
+     * (BK corrections override the roll call)
+     */
+    computeAttendance(student, semester) {
+        return AttendanceService.recapStudent(student, semester).totals;
+    },
+
+    /**
+     * Behaviour notes, oldest first
+     */
+    getBehaviourNotes(student, semester) {
+        return this.getStudentRecords('perilaku', student, semester)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(record => ({ date: record.date, jenis: record.jenis_perilaku, catatan: record.catatan }));
+    },
+
+    /**
+     * Everything printed on one report card
+     */
+    buildReport(student, semester) {
+        const kelas = DataService.getFilteredData('kelas').find(k => k.title === student.class);
+        const wali = kelas && kelas.wali_kelas ? AuthService.users[kelas.wali_kelas] : null;
+
+        return {
+            student,
+            semester,
+            scores: this.computeScores(student, semester),
+            attendance: this.computeAttendance(student, semester),
+            notes: this.getBehaviourNotes(student, semester),
+            wali: wali ? wali.name : (kelas && kelas.wali_kelas) || ''
+        };
+    },
+
+    /**
+     * Draw one report card starting on the current page
+     */
+    renderReport(doc, report) {
+        const { student, semester } = report;
+        const weights = this.getWeights();
+        const jenis = Object.keys(weights);
+
+        PdfService.heading(doc, 'LAPORAN HASIL BELAJAR');
+        PdfService.heading(doc, AppConfig.get('app_title'), { size: 11 });
+        PdfService.rule(doc);
+        PdfService.keyValues(doc, [
+            ['Nama Siswa', student.title],
+            ['NISN', student.nisn],
+            ['Kelas', student.class],
+            ['Semester', semester.semester],
+            ['Tahun Ajaran', semester.tahun_ajaran]
+        ]);
+        PdfService.space(doc);
+
+        PdfService.text(doc, 'A. Nilai Akademik', { bold: true });
+        PdfService.table(doc, [
+            { label: 'No', width: 8, align: 'center' },
+            { label: 'Mata Pelajaran', width: 44 },
+            ...jenis.map(item => ({ label: `${item} (${weights[item]}%)`, width: 20, align: 'center' })),
+            { label: 'Nilai Akhir', width: 16, align: 'center' },
+            { label: 'Predikat', width: 14, align: 'center' }
+        ], report.scores.length
+            ? report.scores.map((score, index) => [
+                index + 1,
+                score.mapel,
+                ...jenis.map(item => score.components[item] ?? '-'),
+                score.final ?? '-',
+                score.predikat
+            ])
+            : [['', 'Belum ada nilai', ...jenis.map(() => ''), '', '']]
+        );
+
+        PdfService.text(doc, 'B. Kehadiran', { bold: true });
+        PdfService.table(doc, [
+            { label: 'Keterangan', width: 60 },
+            { label: 'Jumlah Hari', width: 30, align: 'center' }
+        ], this.attendanceStatuses.map(status => [status === 'Alpha' ? 'Tanpa Keterangan (Alpha)' : status, report.attendance[status]]));
+
+        PdfService.text(doc, 'C. Catatan Perilaku', { bold: true });
+        PdfService.table(doc, [
+            { label: 'Tanggal', width: 30 },
+            { label: 'Jenis', width: 20 },
+            { label: 'Catatan', width: 110 }
+        ], report.notes.length
+            ? report.notes.map(note => [UIService.formatDate(note.date), note.jenis, note.catatan])
+            : [['-', '-', 'Tidak ada catatan']]
+        );
+
+        PdfService.signature(doc, { role: 'Wali Kelas', name: report.wali });
+    },
+
+    /**
+     * Build a PDF for a list of students, one report card each
+     * Each card starts on its own page with its own page numbers
+     */
+    generate(students, semester, filename) {
+        if (students.length === 0) {
+            throw new Error('Tidak ada siswa untuk dibuatkan rapor');
+        }
+
+        const doc = PdfService.create();
+        const sections = [];
+        students.forEach((student, index) => {
+            if (index > 0) PdfService.newPage(doc);
+            sections.push(doc.getNumberOfPages());
+            this.renderReport(doc, this.buildReport(student, semester));
+        });
+        PdfService.addPageNumbers(doc, sections);
+        PdfService.save(doc, filename);
+    }
+};
+
+// Export for use in other modules
+window.RaporService = RaporService;
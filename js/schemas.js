@@ -0,0 +1,708 @@
+/**
+ * Data Schema Module
+ * One declarative schema per record type. Forms, validation messages,
+ * table columns and CSV/Excel headers are all generated from it.
+ *
+ * Field options:
+ *   name, label      record key and display label
+ *   input            text, number, date, time, select, textarea, password or checkbox
+ *   required         true, or 'create' when only new records need it
+ *   pattern          RegExp with patternMessage
+ *   options          fixed values (enforced) or a function for select lists built from data
+ *   suggestions      function returning values offered as a datalist
+ *   min, max         range for number fields
+ *   check            (value, data, context) => message or null
+ *   virtual          form-only option that is not stored on the record
+ *   form, table, csv set to false to leave the field out of forms, tables or exports
+ *
+ * The reference backend (server/index.js) loads this file too and checks
+ * the formats of stored values with checkStored.
+ */
+
+const SchemaService = {
+    schemas: {
+        guru: {
+            title: 'Data Guru',
+            fields: [
+                { name: 'title', label: 'Nama Guru', required: true },
+                { name: 'nip', label: 'NIP', required: true, pattern: /^\d{18}$/, patternMessage: 'NIP harus 18 digit', placeholder: '18 digit' },
+                { name: 'mapel', label: 'Mata Pelajaran', required: true },
+                { name: 'role', label: 'Role', input: 'select', required: true, options: () => SchemaService.getRoleOptions() },
+                { name: 'username', label: 'Username', required: true, check: (value, data, context) => SchemaService.checkUsername(value, context) },
+                { name: 'password', label: 'Password', input: 'password', required: 'create', check: value => SchemaService.checkPassword(value) }
+            ]
+        },
+
+        siswa: {
+            title: 'Data Siswa',
+            fields: [
+                { name: 'title', label: 'Nama Siswa', required: true },
+                { name: 'nisn', label: 'NISN', required: true, pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', placeholder: '10 digit' },
+                { name: 'jenis_kelamin', label: 'Jenis Kelamin', input: 'select', required: true, options: [{ value: 'L', label: 'Laki-laki' }, { value: 'P', label: 'Perempuan' }] },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'create_account', label: 'Buat akun siswa & orang tua', input: 'checkbox', virtual: true },
+                { name: 'parent_accounts', label: 'Akun Orang Tua', input: 'number', min: 0, max: 2, value: 1, virtual: true }
+            ]
+        },
+
+        kelas: {
+            title: 'Data Kelas',
+            fields: [
+                { name: 'title', label: 'Nama Kelas', required: true, placeholder: 'Contoh: X IPA 1' },
+                { name: 'tingkat', label: 'Tingkat', input: 'select', required: true, options: ['X', 'XI', 'XII'] },
+                { name: 'jurusan', label: 'Jurusan', required: true },
+                { name: 'wali_kelas', label: 'Wali Kelas', input: 'select', options: () => SchemaService.getStaffOptions(), check: value => SchemaService.checkUserExists(value) }
+            ]
+        },
+
+        intra: {
+            title: 'Perencanaan Intra Kurikuler',
+            fields: [
+                { name: 'judul_modul', label: 'Judul Modul', required: true },
+                { name: 'mata_pelajaran', label: 'Mata Pelajaran', required: true },
+                { name: 'kelas', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'fase', label: 'Fase', input: 'select', required: true, options: ['E', 'F'] },
+                { name: 'penulis', label: 'Penulis', required: true, value: () => AuthService.currentUser?.name },
+                { name: 'alokasi_waktu', label: 'Alokasi Waktu', placeholder: 'Contoh: 2 x 45 menit' },
+                { name: 'tujuan_pembelajaran', label: 'Tujuan Pembelajaran', input: 'textarea', table: false },
+                { name: 'kegiatan_pembelajaran', label: 'Kegiatan Pembelajaran', input: 'textarea', table: false },
+                { name: 'asesmen', label: 'Asesmen', input: 'textarea', table: false }
+            ]
+        },
+
+        kokurikuler: {
+            title: 'Kegiatan Kokurikuler',
+            fields: [
+                { name: 'title', label: 'Nama Kegiatan', required: true },
+                { name: 'date', label: 'Tanggal', input: 'date' },
+                { name: 'content', label: 'Deskripsi', input: 'textarea', required: true, table: false }
+            ]
+        },
+
+        kebiasaan: {
+            title: 'Kebiasaan Anak Indonesia Hebat',
+            fields: [
+                { name: 'student_name', label: 'Nama Siswa', required: true, suggestions: () => SchemaService.getStudentNames() },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                {
+                    name: 'kebiasaan_type',
+                    label: 'Kebiasaan',
+                    input: 'select',
+                    required: true,
+                    options: [
+                        { value: 'bangun_pagi', label: 'Bangun Pagi' },
+                        { value: 'beribadah', label: 'Beribadah' },
+                        { value: 'berolahraga', label: 'Berolahraga' },
+                        { value: 'makan_sehat', label: 'Makan Sehat dan Bergizi' },
+                        { value: 'gemar_belajar', label: 'Gemar Belajar' },
+                        { value: 'bermasyarakat', label: 'Bermasyarakat' },
+                        { value: 'tidur_cepat', label: 'Tidur Cepat' }
+                    ]
+                },
+                { name: 'date', label: 'Tanggal', input: 'date', required: true, value: () => SchemaService.today() },
+                { name: 'catatan', label: 'Catatan', input: 'textarea', table: false }
+            ]
+        },
+
+        jurnal: {
+            title: 'Jurnal Mengajar',
+            fields: [
+                { name: 'nama_guru', label: 'Nama Guru', required: true, value: () => AuthService.currentUser?.name },
+                { name: 'kelas', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'hari', label: 'Hari', input: 'select', required: true, options: ['Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'] },
+                { name: 'tanggal', label: 'Tanggal', input: 'date', required: true, value: () => SchemaService.today() },
+                { name: 'waktu_mulai', label: 'Waktu Mulai', input: 'time' },
+                { name: 'waktu_selesai', label: 'Waktu Selesai', input: 'time' },
+                { name: 'mata_pelajaran', label: 'Mata Pelajaran', required: true },
+                { name: 'materi_pokok', label: 'Materi Pokok', required: true },
+                { name: 'catatan', label: 'Catatan', input: 'textarea', table: false }
+            ],
+            rules: [
+                data => data.waktu_mulai && data.waktu_selesai && data.waktu_mulai >= data.waktu_selesai
+                    ? { field: 'waktu_selesai', message: 'Waktu mulai harus sebelum waktu selesai' }
+                    : null
+            ]
+        },
+
+        absensi: {
+            title: 'Absensi Siswa',
+            fields: [
+                { name: 'student_name', label: 'Nama Siswa', required: true, suggestions: () => SchemaService.getStudentNames() },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                { name: 'status', label: 'Status', input: 'select', required: true, options: ['Hadir', 'Sakit', 'Izin', 'Alpha', 'Terlambat'] },
+                { name: 'date', label: 'Tanggal', input: 'date', required: true, value: () => SchemaService.today() },
+                { name: 'keterangan', label: 'Keterangan' }
+            ]
+        },
+
+        nilai: {
+            title: 'Nilai Siswa',
+            fields: [
+                { name: 'student_name', label: 'Nama Siswa', required: true, suggestions: () => SchemaService.getStudentNames() },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                { name: 'mata_pelajaran', label: 'Mata Pelajaran', required: true },
+                { name: 'jenis_penilaian', label: 'Jenis Penilaian', input: 'select', required: true, options: ['Tugas', 'Ulangan Harian', 'PTS', 'PAS'] },
+                { name: 'nilai', label: 'Nilai', input: 'number', required: true, min: 0, max: 100 },
+                { name: 'date', label: 'Tanggal', input: 'date', required: true, value: () => SchemaService.today() }
+            ]
+        },
+
+        perilaku: {
+            title: 'Catatan Perilaku',
+            fields: [
+                { name: 'student_name', label: 'Nama Siswa', required: true, suggestions: () => SchemaService.getStudentNames() },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                { name: 'jenis_perilaku', label: 'Jenis Perilaku', input: 'select', required: true, options: ['Positif', 'Negatif', 'Netral'] },
+                { name: 'catatan', label: 'Catatan', input: 'textarea', required: true },
+                { name: 'date', label: 'Tanggal', input: 'date', required: true, value: () => SchemaService.today() }
+            ]
+        },
+
+        bk_absensi: {
+            title: 'Absensi BK',
+            fields: [
+                { name: 'student_name', label: 'Nama Siswa', required: true, suggestions: () => SchemaService.getStudentNames() },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                { name: 'status', label: 'Status', input: 'select', required: true, options: ['Hadir', 'Sakit', 'Izin', 'Alpha', 'Terlambat'] },
+                { name: 'date', label: 'Tanggal', input: 'date', required: true, value: () => SchemaService.today() },
+                { name: 'waktu', label: 'Waktu', input: 'time', required: true },
+                { name: 'keterangan', label: 'Keterangan' }
+            ]
+        },
+
+        bk_pelanggaran: {
+            title: 'Pelanggaran Siswa',
+            fields: [
+                { name: 'student_name', label: 'Nama Siswa', required: true, suggestions: () => SchemaService.getStudentNames() },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                { name: 'date', label: 'Tanggal', input: 'date', value: () => SchemaService.today() },
+                {
+                    name: 'jenis_pelanggaran',
+                    label: 'Jenis Pelanggaran',
+                    input: 'select',
+                    required: true,
+                    options: () => DisciplineService.getCatalogueOptions(),
+                    check: (value, data, context) => DisciplineService.checkViolation(value, context)
+                },
+                // Filled in from the violation catalogue when saved
+                { name: 'kategori_pelanggaran', label: 'Kategori', input: 'select', options: ['Ringan', 'Sedang', 'Berat'], form: false },
+                { name: 'poin', label: 'Poin', input: 'number', min: 0, max: 1000, form: false },
+                { name: 'lokasi', label: 'Lokasi', required: true },
+                { name: 'kronologi', label: 'Kronologi', input: 'textarea', required: true, table: false },
+                { name: 'tindak_lanjut', label: 'Tindak Lanjut', input: 'textarea', required: true, table: false },
+                {
+                    name: 'tahap_tindak_lanjut',
+                    label: 'Tahap Tindak Lanjut',
+                    input: 'select',
+                    options: () => DisciplineService.getStageOptions(),
+                    check: (value, data, context) => DisciplineService.checkStage(value, data, context),
+                    table: false
+                }
+            ]
+        },
+
+        konseling: {
+            title: 'Kasus Konseling',
+            fields: [
+                { name: 'student_name', label: 'Nama Siswa', required: true, suggestions: () => SchemaService.getStudentNames() },
+                { name: 'class', label: 'Kelas', required: true, suggestions: () => SchemaService.getClassNames() },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                { name: 'jenis_kasus', label: 'Jenis Kasus', input: 'select', required: true, options: ['Pribadi', 'Sosial', 'Belajar', 'Karir'] },
+                { name: 'date', label: 'Tanggal Dibuka', input: 'date', required: true, value: () => SchemaService.today() },
+                {
+                    name: 'konselor',
+                    label: 'Konselor',
+                    input: 'select',
+                    required: true,
+                    options: () => CounselingService.getCounselorOptions(),
+                    value: () => CounselingService.getDefaultCounselor(),
+                    check: value => CounselingService.checkCounselor(value)
+                },
+                { name: 'permasalahan', label: 'Permasalahan', input: 'textarea', required: true, table: false },
+                { name: 'rahasia', label: 'Rahasia: catatan hanya dapat dibaca konselor dan kepala sekolah', input: 'checkbox', table: false },
+                { name: 'status', label: 'Status', input: 'select', options: ['Terbuka', 'Ditutup'], form: false },
+                { name: 'hasil_konseling', label: 'Hasil Konseling', input: 'textarea', form: false, table: false },
+                { name: 'tanggal_selesai', label: 'Tanggal Ditutup', input: 'date', form: false }
+            ]
+        },
+
+        // Sessions are logged from their case, which fills in the student
+        konseling_sesi: {
+            title: 'Sesi Konseling',
+            fields: [
+                { name: 'case_id', label: 'Kasus', required: true, form: false, table: false, csv: false },
+                { name: 'student_name', label: 'Nama Siswa', required: true, form: false },
+                { name: 'class', label: 'Kelas', required: true, form: false },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', form: false, table: false },
+                { name: 'date', label: 'Tanggal Sesi', input: 'date', required: true, value: () => SchemaService.today() },
+                { name: 'catatan_konseling', label: 'Catatan Sesi', input: 'textarea', required: true, table: false },
+                { name: 'kesepakatan', label: 'Tindakan yang Disepakati', input: 'textarea', table: false },
+                { name: 'tanggal_tindak_lanjut', label: 'Jadwal Tindak Lanjut', input: 'date' }
+            ]
+        },
+
+        // Issued letters; created by LetterService, never through a form
+        surat: {
+            title: 'Register Surat',
+            fields: [
+                { name: 'nomor', label: 'Nomor Surat', required: true },
+                { name: 'date', label: 'Tanggal', input: 'date', required: true },
+                { name: 'perihal', label: 'Perihal', required: true },
+                { name: 'student_name', label: 'Nama Siswa', required: true },
+                { name: 'class', label: 'Kelas', required: true },
+                { name: 'nisn', label: 'NISN', pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit', table: false },
+                { name: 'tahap', label: 'Tahap' },
+                { name: 'isi', label: 'Isi Surat', input: 'textarea', required: true, table: false, csv: false },
+                { name: 'penandatangan', label: 'Penandatangan', table: false },
+                { name: 'tahun', label: 'Tahun', input: 'number', table: false, form: false },
+                { name: 'urutan', label: 'Urutan', input: 'number', table: false, form: false }
+            ]
+        },
+
+        akun: {
+            title: 'Akun Siswa & Orang Tua',
+            fields: [
+                { name: 'title', label: 'Nama', required: true },
+                {
+                    name: 'username',
+                    label: 'Username',
+                    required: true,
+                    pattern: /^[a-z0-9_]{3,}$/,
+                    patternMessage: 'Username hanya boleh huruf kecil, angka, dan garis bawah',
+                    check: (value, data, context) => SchemaService.checkUsername(value, context)
+                },
+                { name: 'password', label: 'Password', input: 'password', required: 'create', check: value => SchemaService.checkPassword(value) },
+                { name: 'role', label: 'Role', input: 'select', required: true, options: () => SchemaService.getRoleOptions() },
+                { name: 'account_kind', label: 'Jenis Akun', input: 'select', required: true, options: [{ value: 'siswa', label: 'Siswa' }, { value: 'ortu', label: 'Orang Tua' }] },
+                { name: 'nisn', label: 'NISN', required: true, pattern: /^\d{10}$/, patternMessage: 'NISN harus 10 digit' }
+            ]
+        },
+
+        role: {
+            title: 'Role',
+            fields: [
+                { name: 'role_key', label: 'Kode Role', required: true, pattern: /^[a-z][a-z0-9_]*$/, patternMessage: 'Kode role hanya boleh huruf kecil, angka, dan garis bawah' },
+                { name: 'title', label: 'Nama Role', required: true },
+                { name: 'icon', label: 'Ikon' },
+                {
+                    name: 'data_scope',
+                    label: 'Cakupan Data',
+                    input: 'select',
+                    required: true,
+                    options: [
+                        { value: 'all', label: 'Semua data' },
+                        { value: 'own', label: 'Data sendiri' },
+                        { value: 'approved', label: 'Data yang disetujui' }
+                    ]
+                }
+            ]
+        },
+
+        pengaturan: {
+            title: 'Pengaturan',
+            fields: [
+                { name: 'key', label: 'Kunci', required: true },
+                { name: 'title', label: 'Nama Pengaturan', required: true }
+            ]
+        }
+    },
+
+    /**
+     * Get the schema of a record type
+     */
+    get(type) {
+        return this.schemas[type] || null;
+    },
+
+    /**
+     * Fields shown in add and edit forms
+     */
+    getFormFields(type) {
+        const schema = this.get(type);
+        return schema ? schema.fields.filter(field => field.form !== false) : [];
+    },
+
+    /**
+     * Fields shown as table columns
+     */
+    getColumns(type) {
+        const schema = this.get(type);
+        if (!schema) return [];
+        return schema.fields.filter(field => !field.virtual && field.table !== false && field.input !== 'password');
+    },
+
+    /**
+     * Fields written to CSV and Excel exports
+     */
+    getCsvFields(type) {
+        const schema = this.get(type);
+        if (!schema) return [];
+        return schema.fields.filter(field => !field.virtual && field.csv !== false && field.input !== 'password');
+    },
+
+    /**
+     * Export header row for a type
+     */
+    getCsvHeaders(type) {
+        return this.getCsvFields(type).map(field => field.label);
+    },
+
+    /**
+     * Records as export rows keyed by field label, in schema order
+     */
+    toExportRows(type, records) {
+        const fields = this.getCsvFields(type);
+        return records.map(record => {
+            const row = {};
+            fields.forEach(field => {
+                row[field.label] = record[field.name] ?? '';
+            });
+            return row;
+        });
+    },
+
+    /**
+     * Options of a select field as { value, label }
+     */
+    getOptions(field) {
+        const options = typeof field.options === 'function' ? field.options() : (field.options || []);
+        return options.map(option => typeof option === 'object' ? option : { value: option, label: option });
+    },
+
+    /**
+     * Display text for a stored value
+     */
+    formatValue(field, value) {
+        if (value === undefined || value === null || value === '') return '-';
+        if (field.input === 'checkbox') return value ? 'Ya' : 'Tidak';
+        if (field.options) {
+            const option = this.getOptions(field).find(item => String(item.value) === String(value));
+            if (option) return option.label;
+        }
+        if (field.input === 'date') return UIService.formatDate(value);
+        return String(value);
+    },
+
+    /**
+     * Check whether a value counts as filled in
+     */
+    isEmpty(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') || value === false;
+    },
+
+    /**
+     * Validate a record against its schema; returns the first error
+     * context.existing is the stored record when editing; fields required
+     * only on create (passwords) may then be left out.
+     * Types without a schema need a title and content.
+     */
+    validate(type, data, context = {}) {
+        if (!this.get(type)) {
+            if (!data.title || !data.content) {
+                return { valid: false, message: 'Title dan content wajib diisi' };
+            }
+            return { valid: true };
+        }
+
+        const errors = this.collectErrors(type, data, context);
+        return errors.length ? { valid: false, ...errors[0] } : { valid: true };
+    },
+
+    /**
+     * All schema errors of a record as { field, message }
+     */
+    collectErrors(type, data, context = {}) {
+        const schema = this.get(type);
+        if (!schema) return [];
+
+        const errors = [];
+        for (const field of schema.fields) {
+            if (field.virtual) continue;
+            const value = data[field.name];
+
+            if (this.isEmpty(value)) {
+                const required = field.required === true || (field.required === 'create' && !context.existing);
+                if (required) {
+                    errors.push({ field: field.name, message: `${field.label} wajib diisi` });
+                }
+                continue;
+            }
+
+            const message = this.checkField(field, value, data, context);
+            if (message) {
+                errors.push({ field: field.name, message });
+            }
+        }
+
+        for (const rule of schema.rules || []) {
+            const result = rule(data, context);
+            if (result) {
+                errors.push(result);
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * Format errors of a record's stored values as { field, message }, or null
+     * Patterns, number ranges and fixed option lists only: checks that need
+     * the data loaded in the browser (usernames, catalogue) stay client-side.
+     * Values unchanged from existing are left alone.
+     */
+    checkStored(type, data, existing = null) {
+        const schema = this.get(type);
+        if (!schema) return null;
+
+        for (const field of schema.fields) {
+            const value = data[field.name];
+            if (field.virtual || this.isEmpty(value)) continue;
+            if (existing && JSON.stringify(existing[field.name]) === JSON.stringify(value)) continue;
+
+            const message = typeof value === 'object' ? `${field.label} tidak valid` : this.checkFormat(field, value);
+            if (message) return { field: field.name, message };
+        }
+
+        for (const rule of schema.rules || []) {
+            const result = rule(data, {});
+            if (result) return result;
+        }
+        return null;
+    },
+
+    /**
+     * Check a filled-in value; returns an error message or null
+     */
+    checkField(field, value, data, context) {
+        return this.checkFormat(field, value) || (field.check ? field.check(value, data, context) : null);
+    },
+
+    /**
+     * Check the format of a filled-in value; returns an error message or null
+     */
+    checkFormat(field, value) {
+        if (field.pattern && !field.pattern.test(String(value))) {
+            return field.patternMessage || `${field.label} tidak valid`;
+        }
+
+        if (field.input === 'number') {
+            const number = parseFloat(value);
+            if (isNaN(number)) return `${field.label} harus berupa angka`;
+            if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                return `${field.label} harus antara ${field.min} dan ${field.max}`;
+            }
+        }
+
+        // Fixed option lists are enforced; lists built from data only feed the form
+        if (Array.isArray(field.options) && !this.getOptions(field).some(option => String(option.value) === String(value))) {
+            return `${field.label} tidak valid`;
+        }
+
+        return null;
+    },
+
+    /**
+     * Password strength, same rules as the password change form
+     */
+    checkPassword(value) {
+        const result = SecurityService.validatePassword(value);
+        return result.valid ? null : result.message;
+    },
+
+    /**
+     * Usernames must be free, except for the record being edited
+     */
+    checkUsername(value, context) {
+        if (context.existing && context.existing.username === value) return null;
+        return AuthService.users[value] ? 'Username sudah digunakan' : null;
+    },
+
+    /**
+     * Referenced accounts must exist
+     */
+    checkUserExists(value) {
+        return AuthService.users[value] ? null : 'Wali kelas harus berupa username guru yang terdaftar';
+    },
+
+    /**
+     * Today as YYYY-MM-DD
+     */
+    today() {
+        return new Date().toISOString().split('T')[0];
+    },
+
+    /**
+     * Role select options
+     */
+    getRoleOptions() {
+        return Object.entries(AuthService.roles).map(([key, role]) => ({ value: key, label: role.name }));
+    },
+
+    /**
+     * Accounts that can be a wali kelas
+     */
+    getStaffOptions() {
+        return Object.entries(AuthService.users)
+            .filter(([, user]) => user.role !== 'siswa')
+            .map(([username, user]) => ({ value: username, label: `${user.name} (${username})` }));
+    },
+
+    /**
+     * Class names for suggestions
+     */
+    getClassNames() {
+        return DataService.getFilteredData('kelas').map(kelas => kelas.title);
+    },
+
+    /**
+     * Student names for suggestions
+     */
+    getStudentNames() {
+        return Array.from(new Set(DataService.getFilteredData('siswa').map(siswa => siswa.title)));
+    },
+
+    /**
+     * Render the inputs of a form for a type
+     * record holds current values (editing) or defaults (adding)
+     */
+    renderFields(type, record = {}, context = {}) {
+        return this.getFormFields(type)
+            .filter(field => !(field.virtual && context.existing))
+            .map(field => this.renderField(type, field, record, context))
+            .join('');
+    },
+
+    /**
+     * Render one labelled input
+     */
+    renderField(type, field, record, context) {
+        const id = `field_${type}_${field.name}`;
+        const required = field.required === true || (field.required === 'create' && !context.existing);
+        const defaultValue = typeof field.value === 'function' ? field.value() : field.value;
+        const value = record[field.name] ?? (context.existing ? undefined : defaultValue) ?? '';
+        const safeValue = SecurityService.sanitizeInput(value);
+        const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+        const label = `
+            <label for="${id}" class="block text-sm font-medium text-gray-700 mb-1">
+                ${field.label}${required ? ' <span class="text-red-500">*</span>' : ''}
+            </label>
+        `;
+
+        switch (field.input) {
+            case 'checkbox':
+                return `
+                    <div class="md:col-span-2 flex items-center">
+                        <input type="checkbox" id="${id}" name="${field.name}" ${value ? 'checked' : ''}
+                               class="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2">
+                        <label for="${id}" class="text-sm text-gray-700">${field.label}</label>
+                    </div>
+                `;
+
+            case 'select':
+                return `
+                    <div>
+                        ${label}
+                        <select id="${id}" name="${field.name}" ${required ? 'required' : ''} class="${inputClass}">
+                            <option value="">Pilih ${field.label}</option>
+                            ${this.getOptions(field).map(option => `
+                                <option value="${SecurityService.sanitizeInput(option.value)}" ${String(option.value) === String(value) ? 'selected' : ''}>
+                                    ${SecurityService.sanitizeInput(option.label)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `;
+
+            case 'textarea':
+                return `
+                    <div class="md:col-span-2">
+                        ${label}
+                        <textarea id="${id}" name="${field.name}" rows="3" ${required ? 'required' : ''}
+                                  placeholder="${field.placeholder || ''}" class="${inputClass}">${safeValue}</textarea>
+                    </div>
+                `;
+
+            default: {
+                const inputType = field.input || 'text';
+                const suggestions = field.suggestions ? field.suggestions() : [];
+                const listId = `${id}_list`;
+                return `
+                    <div>
+                        ${label}
+                        <input type="${inputType}" id="${id}" name="${field.name}"
+                               value="${inputType === 'password' ? '' : safeValue}"
+                               ${required ? 'required' : ''}
+                               ${field.min !== undefined ? `min="${field.min}"` : ''}
+                               ${field.max !== undefined ? `max="${field.max}"` : ''}
+                               ${inputType === 'number' ? 'step="any"' : ''}
+                               ${suggestions.length ? `list="${listId}"` : ''}
+                               placeholder="${inputType === 'password' && context.existing ? 'Kosongkan jika tidak diubah' : (field.placeholder || '')}"
+                               autocomplete="${inputType === 'password' ? 'new-password' : 'off'}"
+                               class="${inputClass}">
+                        ${suggestions.length ? `
+                            <datalist id="${listId}">
+                                ${suggestions.map(item => `<option value="${SecurityService.sanitizeInput(item)}"></option>`).join('')}
+                            </datalist>
+                        ` : ''}
+                    </div>
+                `;
+            }
+        }
+    },
+
+    /**
+     * Read form inputs into a record
+     * Empty password fields are left out so editing keeps the stored password
+     */
+    readForm(type, form) {
+        const data = {};
+        this.getFormFields(type).forEach(field => {
+            const element = form.elements[field.name];
+            if (!element) return;
+
+            if (field.input === 'checkbox') {
+                data[field.name] = element.checked;
+            } else if (field.input === 'number') {
+                data[field.name] = element.value === '' ? '' : Number(element.value);
+            } else if (field.input === 'password') {
+                if (element.value) data[field.name] = element.value;
+            } else {
+                data[field.name] = element.value.trim();
+            }
+        });
+        return data;
+    },
+
+    /**
+     * Mark the input that failed validation
+     */
+    showFieldError(form, fieldName, message) {
+        form.querySelectorAll('[data-field-error]').forEach(element => element.remove());
+        form.querySelectorAll('.border-red-500').forEach(element => element.classList.remove('border-red-500'));
+
+        const element = fieldName && form.elements[fieldName];
+        if (element && element.classList) {
+            element.classList.add('border-red-500');
+            element.focus();
+        }
+
+        const error = document.createElement('p');
+        error.dataset.fieldError = 'true';
+        error.className = 'text-sm text-red-600 mt-1';
+        error.textContent = message;
+        (element && element.parentElement ? element.parentElement : form).appendChild(error);
+    }
+};
+
+// Export for use in other modules and in the reference backend
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaService;
+} else {
+    window.SchemaService = SchemaService;
+}
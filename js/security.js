@@ -4,6 +4,22 @@
  */
 
 const SecurityService = {
+    // AES-GCM key used by encryptData/decryptData (never persisted)
+    encryptionKey: null,
+
+    // Deployment secret handed out by the REST backend after login or the school
+    // data key typed in at login (never persisted)
+    serverSecret: null,
+
+    // Key for what the REST backend's signed-in account keeps on this device (never persisted)
+    deviceKey: null,
+
+    // Envelope prefix; the version lets us rotate algorithms later
+    ENCRYPTION_PREFIX: 'sispin-enc:v1:',
+
+    // Plaintext of the data key check value
+    DATA_KEY_CHECK: 'sispin-data-key',
+
     /**
      * Sanitize input to prevent XSS
      */
@@ -72,35 +88,284 @@ const SecurityService = {
     },
 
     /**
-     * Encrypt sensitive data (simple implementation)
-     * In production, use proper encryption libraries
+     * Derive the data encryption key from the deployment secret
+     * The secret is the school data key typed in at login, security.encryption_passphrase
+     * or, with the REST backend, the one the server hands out after login. It never
+     * comes from a login password, so every account opens the same data and a
+     * password change or reset leaves earlier data readable.
      */
-    encryptData(data) {
-        if (!AppConfig.get('security.encrypt_sensitive')) return data;
-        
+    async unlockEncryption(serverSecret = this.serverSecret) {
+        this.serverSecret = serverSecret;
+        const secret = serverSecret || AppConfig.get('security.encryption_passphrase');
+        this.encryptionKey = secret ? await this.deriveKey(secret) : null;
+        return Boolean(this.encryptionKey);
+    },
+
+    /**
+     * Unlock with a school data key if it opens the stored check value
+     */
+    async unlockWithDataKey(dataKey, check) {
+        await this.unlockEncryption(dataKey);
         try {
-            // Simple base64 encoding for demo
-            // In production, use proper encryption like AES
-            return btoa(encodeURIComponent(JSON.stringify(data)));
+            if (await this.decryptData(check) === this.DATA_KEY_CHECK) return true;
         } catch (error) {
-            console.error('Encryption error:', error);
-            return data;
+            // Wrong key
         }
+        this.lockEncryption();
+        return false;
     },
 
     /**
-     * Decrypt sensitive data
+     * Check value for the unlocked data key, stored so later logins can verify theirs
      */
-    decryptData(encryptedData) {
-        if (!AppConfig.get('security.encrypt_sensitive')) return encryptedData;
-        
-        try {
-            // Simple base64 decoding for demo
-            return JSON.parse(decodeURIComponent(atob(encryptedData)));
-        } catch (error) {
-            console.error('Decryption error:', error);
-            return encryptedData;
+    createDataKeyCheck() {
+        return this.encryptData(this.DATA_KEY_CHECK);
+    },
+
+    /**
+     * Derive the key for the offline mirror and outbox of the signed-in account
+     * The REST backend hands out a secret per account, so another account
+     * signing in on the same device cannot open them
+     */
+    async unlockDeviceKey(secret) {
+        this.deviceKey = secret ? await this.deriveKey(secret) : null;
+        return Boolean(this.deviceKey);
+    },
+
+    /**
+     * Derive an AES-GCM key from a secret with PBKDF2
+     */
+    async deriveKey(secret) {
+        const keyMaterial = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(secret),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return window.crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                salt: new TextEncoder().encode(AppConfig.get('security.encryption_salt')),
+                iterations: AppConfig.get('security.password_hash_iterations')
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Forget the encryption keys (on logout)
+     */
+    lockEncryption() {
+        this.encryptionKey = null;
+        this.serverSecret = null;
+        this.deviceKey = null;
+    },
+
+    /**
+     * Whether sensitive data can be encrypted: encryption is turned off
+     * or a deployment secret is available
+     */
+    isEncryptionReady() {
+        return !AppConfig.get('security.encrypt_sensitive') ||
+               Boolean(this.serverSecret || AppConfig.get('security.encryption_passphrase'));
+    },
+
+    /**
+     * Check whether a value is an encrypted envelope
+     */
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(this.ENCRYPTION_PREFIX);
+    },
+
+    /**
+     * Encrypt sensitive data with AES-GCM
+     * Returns an envelope string: sispin-enc:v1:<iv>:<ciphertext>
+     */
+    async encryptData(data) {
+        if (!AppConfig.get('security.encrypt_sensitive')) return data;
+
+        if (!this.encryptionKey) {
+            await this.unlockEncryption();
+        }
+        return this.encryptWithKey(this.encryptionKey, data);
+    },
+
+    /**
+     * Decrypt an AES-GCM envelope
+     * Values that are not envelopes are returned unchanged
+     */
+    async decryptData(encryptedData) {
+        if (!this.isEncrypted(encryptedData)) return encryptedData;
+
+        if (!this.encryptionKey) {
+            await this.unlockEncryption();
+        }
+        return this.decryptWithKey(this.encryptionKey, encryptedData);
+    },
+
+    /**
+     * Encrypt data kept on this device for the signed-in account
+     */
+    async encryptDeviceData(data) {
+        if (!AppConfig.get('security.encrypt_sensitive')) return data;
+        return this.encryptWithKey(this.deviceKey, data);
+    },
+
+    /**
+     * Decrypt data kept on this device for the signed-in account
+     * Values that are not envelopes are returned unchanged
+     */
+    async decryptDeviceData(encryptedData) {
+        if (!this.isEncrypted(encryptedData)) return encryptedData;
+        return this.decryptWithKey(this.deviceKey, encryptedData);
+    },
+
+    /**
+     * Encrypt a value into an envelope with the given key
+     */
+    async encryptWithKey(key, data) {
+        if (!key) {
+            throw new Error('Kunci enkripsi data belum dikonfigurasi');
+        }
+
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(data))
+        );
+
+        return this.ENCRYPTION_PREFIX + this.bytesToBase64(iv) + ':' + this.bytesToBase64(new Uint8Array(ciphertext));
+    },
+
+    /**
+     * Decrypt an envelope with the given key
+     */
+    async decryptWithKey(key, encryptedData) {
+        if (!key) {
+            throw new Error('Kunci enkripsi data belum dikonfigurasi');
+        }
+
+        const [iv, ciphertext] = encryptedData.slice(this.ENCRYPTION_PREFIX.length).split(':');
+        const plaintext = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(iv) },
+            key,
+            this.base64ToBytes(ciphertext)
+        );
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    },
+
+    /**
+     * Hash password with salted PBKDF2-SHA256 (WebCrypto)
+     * Result format: pbkdf2-sha256$<iterations>$<salt>$<hash>
+     */
+    async hashPassword(password, salt = null, iterations = null) {
+        const rounds = iterations || AppConfig.get('security.password_hash_iterations');
+        const saltBytes = salt || window.crypto.getRandomValues(new Uint8Array(16));
+        const hash = await this.derivePasswordBits(password, saltBytes, rounds);
+
+        return ['pbkdf2-sha256', rounds, this.bytesToBase64(saltBytes), this.bytesToBase64(hash)].join('$');
+    },
+
+    /**
+     * Verify password against a stored PBKDF2 hash
+     */
+    async verifyPassword(password, storedHash) {
+        if (!password || !this.isPasswordHash(storedHash)) return false;
+
+        const [, rounds, salt, expected] = storedHash.split('$');
+        const hash = await this.derivePasswordBits(password, this.base64ToBytes(salt), parseInt(rounds, 10));
+
+        return this.constantTimeEquals(this.bytesToBase64(hash), expected);
+    },
+
+    /**
+     * Check whether a value is an encoded password hash
+     */
+    isPasswordHash(value) {
+        return typeof value === 'string' && /^pbkdf2-sha256\$\d+\$[^$]+\$[^$]+$/.test(value);
+    },
+
+    /**
+     * Derive raw PBKDF2 bits from a password
+     */
+    async derivePasswordBits(password, saltBytes, iterations) {
+        const keyMaterial = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const bits = await window.crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+            keyMaterial,
+            256
+        );
+
+        return new Uint8Array(bits);
+    },
+
+    /**
+     * Compare two strings without short-circuiting on the first mismatch
+     */
+    constantTimeEquals(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+        let diff = a.length ^ b.length;
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+        }
+        return diff === 0;
+    },
+
+    /**
+     * Encode bytes as base64
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Decode base64 to bytes
+     */
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    },
+
+    /**
+     * Generate a random password that satisfies validatePassword
+     * Avoids look-alike characters so it can be typed from a printed slip
+     */
+    generatePassword(length = 8) {
+        const sets = ['abcdefghjkmnpqrstuvwxyz', 'ABCDEFGHJKLMNPQRSTUVWXYZ', '23456789'];
+        const all = sets.join('');
+        const size = Math.max(length, AppConfig.get('security.password_min_length'));
+        const random = window.crypto.getRandomValues(new Uint32Array(size * 2));
+
+        const chars = sets.map((set, i) => set[random[i] % set.length]);
+        for (let i = chars.length; i < size; i++) {
+            chars.push(all[random[i] % all.length]);
+        }
+
+        // Shuffle so the required character classes are not always first
+        for (let i = chars.length - 1; i > 0; i--) {
+            const j = random[size + i] % (i + 1);
+            [chars[i], chars[j]] = [chars[j], chars[i]];
         }
+        return chars.join('');
     },
 
     /**
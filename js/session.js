@@ -0,0 +1,383 @@
+/**
+ * Session Management Module
+ * Sliding expiry on user activity, an idle warning before timeout,
+ * draft preservation on forced logout and login/logout sync across tabs
+ */
+
+const SessionService = {
+    channel: null,
+    checkTimer: null,
+    countdownTimer: null,
+    lastSaved: 0,
+    warningShown: false,
+    expiring: false,
+    pendingDrafts: [],
+    draftObserver: null,
+
+    // Activity refreshes the stored session at most this often
+    activityInterval: 15000,
+    activityEvents: ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'],
+    draftStorageKey: 'sispin_drafts',
+
+    /**
+     * Initialize activity tracking, the expiry check and tab sync
+     */
+    init() {
+        this.activityEvents.forEach(eventName => {
+            document.addEventListener(eventName, () => this.recordActivity(), { passive: true, capture: true });
+        });
+
+        if (window.BroadcastChannel) {
+            this.channel = new BroadcastChannel('sispin_session');
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        } else {
+            // Older browsers: removing the stored session signals a logout
+            window.addEventListener('storage', (event) => {
+                if (event.key === 'sispin_session') {
+                    this.handleMessage({ type: event.newValue ? 'login' : 'logout' });
+                }
+            });
+        }
+
+        this.checkTimer = setInterval(() => this.check(), 15000);
+    },
+
+    /**
+     * Slide the idle timeout forward on user activity
+     * Ignored while the warning is shown so only "stay signed in" extends it
+     */
+    recordActivity() {
+        if (!AuthService.currentUser || this.warningShown) return;
+
+        const now = Date.now();
+        if (now - this.lastSaved < this.activityInterval) return;
+
+        this.lastSaved = now;
+        AuthService.saveSession();
+        this.extendServerSession();
+    },
+
+    /**
+     * Tell a server that checks sessions itself about the activity
+     * Its idle timeout only slides with requests the user made
+     */
+    extendServerSession() {
+        if (!StorageService.usesServerAuth()) return;
+
+        StorageService.getAdapter().extendSession()
+            .catch(error => console.error('Session extend error:', error));
+    },
+
+    /**
+     * Time left before the idle timeout or the absolute maximum, whichever comes first
+     */
+    getRemaining(session) {
+        const now = Date.now();
+        const idle = session.timestamp + AppConfig.get('session_timeout') - now;
+        const maxLength = AppConfig.get('session_max_length');
+        const absolute = maxLength > 0 && session.startedAt ? session.startedAt + maxLength - now : Infinity;
+
+        return {
+            remaining: Math.min(idle, absolute),
+            atMaximum: absolute <= idle
+        };
+    },
+
+    /**
+     * Warn or log out when the session is about to end
+     * The stored session is shared, so activity in any tab counts
+     */
+    check() {
+        if (!AuthService.currentUser) return;
+
+        const session = AuthService.readSession();
+        if (!session) return;
+
+        const { remaining } = this.getRemaining(session);
+        if (remaining <= 0) {
+            this.expire('Sesi telah berakhir. Silakan login kembali.');
+        } else if (remaining <= AppConfig.get('session_warning')) {
+            this.showWarning();
+        } else {
+            this.hideWarning();
+        }
+    },
+
+    /**
+     * Show the countdown modal
+     */
+    showWarning() {
+        if (this.warningShown) return;
+        this.warningShown = true;
+
+        const modal = document.createElement('div');
+        modal.id = 'sessionWarning';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-sm mx-4 text-center">
+                <h3 class="text-lg font-semibold text-gray-900 mb-2">Sesi Akan Berakhir</h3>
+                <p class="text-gray-600 mb-2">Anda akan keluar otomatis dalam</p>
+                <p id="sessionCountdown" class="text-3xl font-bold text-red-600 mb-2">--:--</p>
+                <p id="sessionWarningNote" class="text-sm text-gray-500 mb-4">Pekerjaan yang belum disimpan akan disimpan sebagai draf.</p>
+                <div class="flex justify-center space-x-3">
+                    <button onclick="AuthService.logout()" class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                        Keluar
+                    </button>
+                    <button id="sessionStayButton" onclick="SessionService.extend()" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                        Tetap Masuk
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        this.updateCountdown();
+        this.countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+    },
+
+    /**
+     * Refresh the countdown in the warning modal
+     */
+    updateCountdown() {
+        const session = AuthService.readSession();
+        if (!session) return;
+
+        const { remaining, atMaximum } = this.getRemaining(session);
+        if (remaining <= 0) {
+            this.expire('Sesi telah berakhir. Silakan login kembali.');
+            return;
+        }
+        if (remaining > AppConfig.get('session_warning')) {
+            // Extended in another tab
+            this.hideWarning();
+            return;
+        }
+
+        const seconds = Math.ceil(remaining / 1000);
+        const countdown = document.getElementById('sessionCountdown');
+        if (countdown) {
+            countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+
+        // The absolute maximum cannot be extended
+        if (atMaximum) {
+            document.getElementById('sessionStayButton')?.classList.add('hidden');
+            const note = document.getElementById('sessionWarningNote');
+            if (note) {
+                note.textContent = 'Batas maksimal lama sesi tercapai. Simpan pekerjaan Anda lalu login kembali.';
+            }
+        }
+    },
+
+    /**
+     * Hide the countdown modal
+     */
+    hideWarning() {
+        if (!this.warningShown) return;
+
+        this.warningShown = false;
+        clearInterval(this.countdownTimer);
+        document.getElementById('sessionWarning')?.remove();
+    },
+
+    /**
+     * Keep the session alive ("stay signed in")
+     */
+    extend() {
+        this.lastSaved = Date.now();
+        AuthService.saveSession();
+        this.extendServerSession();
+        this.hideWarning();
+        this.broadcast('extend');
+    },
+
+    /**
+     * Forced logout: keep unsaved form input, then sign out
+     */
+    async expire(message) {
+        if (!AuthService.currentUser || this.expiring) return;
+
+        this.expiring = true;
+        try {
+            this.hideWarning();
+            const saved = await this.saveDrafts();
+            AuthService.logout();
+            NotificationService.show(saved ? `${message} Isian formulir yang belum disimpan akan dipulihkan setelah login.` : message, 'warning');
+        } finally {
+            this.expiring = false;
+        }
+    },
+
+    /**
+     * Reset per-user state on logout
+     * Stored drafts are kept until the same user logs in again
+     */
+    stop() {
+        this.hideWarning();
+        this.pendingDrafts = [];
+        this.draftObserver?.disconnect();
+        this.draftObserver = null;
+    },
+
+    /**
+     * Tell other tabs about a login, logout or extension
+     */
+    broadcast(type) {
+        if (this.channel) {
+            this.channel.postMessage({ type });
+        }
+    },
+
+    /**
+     * React to another tab
+     */
+    async handleMessage(message) {
+        switch (message.type) {
+            case 'logout':
+                if (AuthService.currentUser) {
+                    this.hideWarning();
+                    await this.saveDrafts();
+                    AuthService.logout({ broadcast: false });
+                }
+                break;
+            case 'login':
+                if (!AuthService.currentUser) {
+                    await AuthService.checkExistingSession();
+                }
+                break;
+            case 'extend':
+                this.hideWarning();
+                break;
+        }
+    },
+
+    /**
+     * Collect the input of open forms that have an id
+     */
+    collectDrafts() {
+        const forms = Array.from(document.querySelectorAll('#mainApp form[id], body > .fixed form[id]'));
+
+        return forms.map(form => {
+            const fields = {};
+            Array.from(form.elements).forEach(element => {
+                if (!element.name || ['password', 'file', 'submit', 'button'].includes(element.type)) return;
+
+                if (element.type === 'checkbox') {
+                    fields[element.name] = element.checked;
+                } else if (element.type === 'radio') {
+                    if (element.checked) fields[element.name] = element.value;
+                } else {
+                    fields[element.name] = element.value;
+                }
+            });
+            return { formId: form.id, fields };
+        }).filter(draft => Object.values(draft.fields).some(value => value !== '' && value !== false));
+    },
+
+    /**
+     * Store open form input encrypted for the current user
+     * Returns true when anything was saved
+     */
+    async saveDrafts() {
+        try {
+            const forms = this.collectDrafts();
+            if (forms.length === 0) return false;
+
+            const drafts = this.readDrafts();
+            drafts[AuthService.currentUser.username] = {
+                savedAt: new Date().toISOString(),
+                payload: await SecurityService.encryptData({ page: UIService.currentPage, forms })
+            };
+            localStorage.setItem(this.draftStorageKey, JSON.stringify(drafts));
+            return true;
+        } catch (error) {
+            console.error('Error saving drafts:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Read all stored drafts keyed by username
+     */
+    readDrafts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.draftStorageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    },
+
+    /**
+     * Remove the stored drafts of a user
+     */
+    clearDrafts(username) {
+        const drafts = this.readDrafts();
+        delete drafts[username];
+        localStorage.setItem(this.draftStorageKey, JSON.stringify(drafts));
+    },
+
+    /**
+     * After login, go back to the page and refill forms as they are opened again
+     */
+    async restoreDrafts() {
+        const username = AuthService.currentUser.username;
+        const stored = this.readDrafts()[username];
+        if (!stored) return;
+
+        let draft;
+        try {
+            draft = await SecurityService.decryptData(stored.payload);
+        } catch (error) {
+            console.error('Error opening drafts:', error);
+            this.clearDrafts(username);
+            return;
+        }
+
+        this.pendingDrafts = draft.forms;
+        if (draft.page && draft.page !== UIService.currentPage) {
+            UIService.navigateTo(draft.page);
+        }
+        NotificationService.show('Ada isian formulir yang belum disimpan. Buka kembali formulirnya untuk melanjutkan.', 'info');
+
+        this.draftObserver?.disconnect();
+        this.draftObserver = new MutationObserver(() => this.applyDrafts());
+        this.draftObserver.observe(document.body, { childList: true, subtree: true });
+        this.applyDrafts();
+    },
+
+    /**
+     * Fill pending drafts into forms that are now on screen
+     */
+    applyDrafts() {
+        this.pendingDrafts = this.pendingDrafts.filter(draft => {
+            const form = document.getElementById(draft.formId);
+            if (!form) return true;
+
+            Object.entries(draft.fields).forEach(([name, value]) => {
+                const element = form.elements[name];
+                if (!element) return;
+
+                if (element instanceof RadioNodeList) {
+                    element.value = value;
+                } else if (element.type === 'checkbox') {
+                    element.checked = value;
+                } else {
+                    element.value = value;
+                }
+            });
+            NotificationService.show('Draf formulir dipulihkan', 'success');
+            return false;
+        });
+
+        if (this.pendingDrafts.length === 0) {
+            this.draftObserver?.disconnect();
+            this.draftObserver = null;
+            if (AuthService.currentUser) {
+                this.clearDrafts(AuthService.currentUser.username);
+            }
+        }
+    }
+};
+
+// Export for use in other modules
+window.SessionService = SessionService;
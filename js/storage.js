@@ -0,0 +1,372 @@
+/**
+ * Storage Adapter Module
+ * Selects where records are stored. Every adapter implements
+ * init({ onDataChanged, onError }), create(record), update(record) and
+ * delete(record), resolving to { isOk, data }, and throws TypeError when
+ * the store cannot be reached. Adapters backed by a server that checks
+ * credentials itself also implement login(credentials), logout(),
+ * verifyTwoFactor(code) and the password and two-factor account methods.
+ */
+
+const StorageService = {
+    current: null,
+
+    adapters: {
+        /**
+         * The hosting platform's data SDK
+         */
+        datasdk: {
+            label: 'Data SDK',
+
+            isAvailable() {
+                return Boolean(window.dataSdk);
+            },
+
+            init(handlers) {
+                return window.dataSdk.init(handlers);
+            },
+
+            create(record) {
+                return window.dataSdk.create(record);
+            },
+
+            update(record) {
+                return window.dataSdk.update(record);
+            },
+
+            delete(record) {
+                return window.dataSdk.delete(record);
+            }
+        },
+
+        /**
+         * Browser-only storage for single-device use and local testing
+         */
+        local: {
+            label: 'Penyimpanan Lokal',
+
+            isAvailable() {
+                return Boolean(window.LocalDataSdk);
+            },
+
+            init(handlers) {
+                return LocalDataSdk.init(handlers);
+            },
+
+            create(record) {
+                return LocalDataSdk.create(record);
+            },
+
+            update(record) {
+                return LocalDataSdk.update(record);
+            },
+
+            delete(record) {
+                return LocalDataSdk.delete(record);
+            }
+        },
+
+        /**
+         * Self-hosted backend over HTTP (see server/index.js)
+         * POST {base}/login, POST {base}/logout, GET {base}/session, POST {base}/session/extend,
+         * POST {base}/login/totp, POST {base}/password, POST {base}/password/reset,
+         * POST {base}/totp/setup|enable|disable|recovery-codes|reset,
+         * GET/POST {base}/records, PUT/DELETE {base}/records/:id
+         */
+        rest: {
+            label: 'Server Sekolah',
+            tokenKey: 'sispin_api_token',
+            handlers: null,
+            etag: null,
+            pollTimer: null,
+            token: null,
+            challenge: null,
+
+            isAvailable() {
+                return Boolean(window.fetch) && Boolean(AppConfig.get('storage.rest_url'));
+            },
+
+            async init(handlers) {
+                this.handlers = handlers;
+                this.token = localStorage.getItem(this.tokenKey);
+                const result = await this.refresh();
+
+                clearInterval(this.pollTimer);
+                this.pollTimer = setInterval(() => {
+                    this.refresh({ background: true }).catch(error => this.handlers.onError(error));
+                }, AppConfig.get('storage.poll_interval'));
+
+                return result;
+            },
+
+            async create(record) {
+                return this.write('POST', '/records', record);
+            },
+
+            async update(record) {
+                return this.write('PUT', `/records/${encodeURIComponent(record.__backendId)}`, record);
+            },
+
+            async delete(record) {
+                return this.write('DELETE', `/records/${encodeURIComponent(record.__backendId)}`);
+            },
+
+            /**
+             * Sign in on the server; returns the user profile or null
+             * Throws with the server's message when the account is locked
+             * Accounts with two-factor authentication get no token until verifyTwoFactor
+             */
+            async login(credentials) {
+                const response = await this.request('POST', '/login', credentials);
+                if (response.status === 401) return null;
+                if (!response.ok) throw new Error((await this.failure(response)).error);
+
+                const { token, challenge, user, data_key, device_key } = await response.json();
+                if (challenge) {
+                    this.challenge = challenge;
+                    return user;
+                }
+                this.setToken(token);
+                await SecurityService.unlockEncryption(data_key);
+                await SecurityService.unlockDeviceKey(device_key);
+                await this.refresh();
+                return user;
+            },
+
+            /**
+             * Second login step; returns the user profile or null for a wrong code
+             */
+            async verifyTwoFactor(code) {
+                const response = await this.request('POST', '/login/totp', { challenge: this.challenge, code });
+                if (response.status === 401) return null;
+                if (!response.ok) throw new Error((await this.failure(response)).error);
+
+                const { token, user, data_key, device_key } = await response.json();
+                this.challenge = null;
+                this.setToken(token);
+                await SecurityService.unlockEncryption(data_key);
+                await SecurityService.unlockDeviceKey(device_key);
+                await this.refresh();
+                return user;
+            },
+
+            /**
+             * Pick up the stored server session after a page reload and
+             * unlock the encryption keys it comes with
+             * Returns false when the session is gone
+             */
+            async resume() {
+                this.token = this.token || localStorage.getItem(this.tokenKey);
+                if (!this.token) return false;
+
+                const response = await this.request('GET', '/session');
+                if (!response.ok) {
+                    if (response.status === 401) this.setToken(null);
+                    return false;
+                }
+
+                const { data_key, device_key } = await response.json();
+                await SecurityService.unlockEncryption(data_key);
+                await SecurityService.unlockDeviceKey(device_key);
+                return true;
+            },
+
+            /**
+             * End the server session
+             */
+            async logout() {
+                if (!this.token) return;
+
+                try {
+                    await this.request('POST', '/logout');
+                } finally {
+                    this.setToken(null);
+                }
+            },
+
+            /**
+             * Extend the server session after user activity
+             */
+            async extendSession() {
+                if (!this.token) return;
+                await this.request('POST', '/session/extend');
+            },
+
+            /**
+             * Change the signed-in user's password; returns the updated profile
+             */
+            async changePassword(currentPassword, newPassword) {
+                const { user } = await this.send('/password', {
+                    current_password: currentPassword,
+                    new_password: newPassword
+                });
+                return user;
+            },
+
+            /**
+             * Issue a temporary password for another account
+             */
+            async resetPassword(username) {
+                const result = await this.send('/password/reset', { username });
+                return { password: result.password, expiresAt: result.expires_at };
+            },
+
+            /**
+             * Start two-factor enrollment; returns { secret, uri }
+             */
+            setupTwoFactor() {
+                return this.send('/totp/setup');
+            },
+
+            /**
+             * Confirm enrollment with a first code; returns { recoveryCodes, user }
+             */
+            async enableTwoFactor(code) {
+                const result = await this.send('/totp/enable', { code });
+                return { recoveryCodes: result.recovery_codes, user: result.user };
+            },
+
+            /**
+             * Turn two-factor authentication off after checking the password
+             */
+            disableTwoFactor(password) {
+                return this.send('/totp/disable', { password });
+            },
+
+            /**
+             * Replace the recovery codes after checking the password
+             */
+            async regenerateRecoveryCodes(password) {
+                const result = await this.send('/totp/recovery-codes', { password });
+                return result.recovery_codes;
+            },
+
+            /**
+             * Remove two-factor authentication from another account
+             */
+            resetTwoFactor(username) {
+                return this.send('/totp/reset', { username });
+            },
+
+            /**
+             * POST an account action, throwing with the server's message on failure
+             */
+            async send(path, body = {}) {
+                const response = await this.request('POST', path, body);
+                if (!response.ok) throw new Error((await this.failure(response)).error);
+
+                const result = await response.json();
+                await this.refresh();
+                return result;
+            },
+
+            /**
+             * Remember the session token across page reloads
+             */
+            setToken(token) {
+                this.token = token;
+                this.etag = null;
+                if (token) {
+                    localStorage.setItem(this.tokenKey, token);
+                } else {
+                    localStorage.removeItem(this.tokenKey);
+                }
+            },
+
+            /**
+             * Fetch all records and notify the listener when they changed
+             * Nothing can be read before login; background polls do not
+             * count as activity for the server's idle timeout
+             */
+            async refresh({ background = false } = {}) {
+                if (!this.token) return { isOk: true };
+
+                const response = await this.request('GET', '/records', null, {
+                    ...(this.etag ? { 'If-None-Match': this.etag } : {}),
+                    ...(background ? { 'X-Sispin-Background': '1' } : {})
+                });
+                if (response.status === 304) return { isOk: true };
+                if (response.status === 401) {
+                    this.setToken(null);
+                    SessionService.expire('Sesi server telah berakhir. Silakan login kembali.');
+                    return this.failure(response);
+                }
+                if (!response.ok) return this.failure(response);
+
+                this.etag = response.headers.get('ETag');
+                this.handlers.onDataChanged(await response.json());
+                return { isOk: true };
+            },
+
+            /**
+             * Send a change and reload the data like the data SDK does
+             */
+            async write(method, path, body) {
+                const response = await this.request(method, path, body);
+                if (!response.ok) return this.failure(response);
+
+                const data = response.status === 204 ? null : await response.json();
+                await this.refresh();
+                return { isOk: true, data };
+            },
+
+            /**
+             * Perform an HTTP request against the configured server
+             */
+            request(method, path, body = null, headers = {}) {
+                const base = AppConfig.get('storage.rest_url').replace(/\/$/, '');
+                return fetch(base + path, {
+                    method,
+                    headers: {
+                        ...(body ? { 'Content-Type': 'application/json' } : {}),
+                        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+                        ...headers
+                    },
+                    body: body ? JSON.stringify(body) : undefined
+                });
+            },
+
+            /**
+             * Turn an error response into an adapter result
+             */
+            async failure(response) {
+                let message = response.statusText;
+                try {
+                    message = (await response.json()).error || message;
+                } catch (error) {
+                    // Body was not JSON
+                }
+                return { isOk: false, status: response.status, error: message };
+            }
+        }
+    },
+
+    /**
+     * Get the adapter selected in AppConfig
+     * Falls back to local storage when the selected adapter cannot run here
+     */
+    getAdapter() {
+        if (this.current) return this.current;
+
+        const name = AppConfig.get('storage.adapter');
+        const adapter = this.adapters[name];
+
+        if (adapter && adapter.isAvailable()) {
+            this.current = adapter;
+        } else {
+            console.warn(`Storage adapter "${name}" tidak tersedia, menggunakan penyimpanan lokal`);
+            this.current = this.adapters.local;
+        }
+        return this.current;
+    },
+
+    /**
+     * Whether the server checks credentials instead of the browser
+     */
+    usesServerAuth() {
+        return typeof this.getAdapter().login === 'function';
+    }
+};
+
+// Export for use in other modules
+window.StorageService = StorageService;
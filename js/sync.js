@@ -0,0 +1,603 @@
+/**
+ * Offline Sync Module
+ * Mirrors the data store in IndexedDB and queues writes in an outbox
+ * while the data service is unreachable, replaying them on reconnect.
+ * Queued writes belong to the account that made them and stay on the
+ * device across logout until that account signs in again.
+ */
+
+const SyncService = {
+    dbName: 'sispin_offline',
+    dbVersion: 2,
+    db: null,
+    remote: null,
+    handlers: null,
+
+    // Last data received from the server and the signed-in account's pending operations (oldest first)
+    records: [],
+    outbox: [],
+    nextOpId: 1,
+
+    // Account whose mirror and outbox are loaded; a server login mirrors each account's own view
+    owner: null,
+    shared: 'shared',
+    received: false,
+
+    online: navigator.onLine,
+    syncing: false,
+    tempIdPrefix: 'offline_',
+
+    statusLabels: {
+        pending: 'Menunggu',
+        conflict: 'Konflik',
+        failed: 'Gagal'
+    },
+
+    actionLabels: {
+        create: 'Tambah',
+        update: 'Ubah',
+        delete: 'Hapus'
+    },
+
+    /**
+     * Initialize the local mirror and the storage adapter chosen in AppConfig
+     */
+    async init(handlers) {
+        this.handlers = handlers;
+        this.remote = StorageService.getAdapter();
+
+        try {
+            this.db = await this.openDatabase();
+            const opIds = (await this.runRequest('outbox', 'readonly', store => store.getAllKeys())) || [];
+            this.nextOpId = Math.max(0, ...opIds) + 1;
+            if (!StorageService.usesServerAuth()) {
+                this.records = await this.readMirror(this.shared);
+            }
+            this.outbox = await this.readSharedOps();
+        } catch (error) {
+            // Private browsing or blocked storage: keep working in memory only
+            console.error('IndexedDB unavailable:', error);
+            this.db = null;
+        }
+
+        // Show the mirrored data right away, the server may take a while or be unreachable
+        if (this.records.length > 0 || this.outbox.length > 0) {
+            this.emit();
+        }
+
+        window.addEventListener('online', () => {
+            this.online = true;
+            this.flush();
+        });
+        window.addEventListener('offline', () => {
+            this.online = false;
+            this.updateIndicator();
+        });
+
+        let result;
+        try {
+            result = await this.remote.init({
+                onDataChanged: (data) => this.handleRemoteData(data),
+                onError: (error) => this.handlers.onError(error)
+            });
+        } catch (error) {
+            console.error('Data service unreachable:', error);
+            this.online = false;
+            result = { isOk: false };
+        }
+
+        this.updateIndicator();
+        this.flush();
+
+        // The mirror is enough to keep working offline
+        return { isOk: result.isOk || this.records.length > 0 };
+    },
+
+    /**
+     * Store a new server snapshot and pass the merged view on
+     */
+    async handleRemoteData(data) {
+        this.records = data;
+        this.received = true;
+        await this.replaceRecords(data);
+        this.emit();
+
+        // Receiving data means the server is reachable again
+        if (!this.online) {
+            this.online = true;
+            this.flush();
+        }
+    },
+
+    /**
+     * Load the signed-in account's outbox and, with a server login, its mirror,
+     * then send what it queued while offline or signed out
+     */
+    async open(user) {
+        this.owner = `${user.role}:${user.username}`;
+
+        try {
+            if (StorageService.usesServerAuth()) {
+                if (this.received) {
+                    // The login already brought fresh data
+                    await this.replaceRecords(this.records);
+                } else {
+                    this.records = await this.readMirror(this.owner);
+                }
+            }
+            this.outbox = await this.readOps(this.owner);
+        } catch (error) {
+            console.error('Error reading offline data:', error);
+        }
+
+        this.emit();
+        this.flush();
+    },
+
+    /**
+     * Unload the account's data on logout; what it queued stays on the device
+     * for its next login. With a server login nothing of the previous user may
+     * stay in memory; other stores deliver their data before login anyway
+     */
+    async close() {
+        this.owner = null;
+        if (StorageService.usesServerAuth()) {
+            this.records = [];
+            this.received = false;
+        }
+
+        try {
+            this.outbox = await this.readSharedOps();
+        } catch (error) {
+            console.error('Error reading offline data:', error);
+            this.outbox = [];
+        }
+
+        if (this.handlers) {
+            this.emit();
+        }
+    },
+
+    /**
+     * Server data with pending local operations applied on top
+     */
+    getView() {
+        const view = new Map(this.records.map(record => [record.__backendId, record]));
+        this.outbox.forEach(op => {
+            if (op.action === 'delete') {
+                view.delete(op.record.__backendId);
+            } else {
+                view.set(op.record.__backendId, op.record);
+            }
+        });
+        return Array.from(view.values());
+    },
+
+    /**
+     * Deliver the merged view to the data service
+     */
+    emit() {
+        this.handlers.onDataChanged(this.getView());
+        this.updateIndicator();
+    },
+
+    /**
+     * Create a record, queueing it while offline
+     */
+    async create(record) {
+        if (this.canWriteDirectly()) {
+            try {
+                return await this.remote.create(record);
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.online = false;
+            }
+        }
+
+        const queued = { ...record, __backendId: this.tempIdPrefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 8) };
+        await this.enqueue('create', queued);
+        return { isOk: true, data: queued, queued: true };
+    },
+
+    /**
+     * Update a record, queueing it while offline
+     */
+    async update(record) {
+        if (this.canWriteDirectly()) {
+            try {
+                return await this.remote.update(record);
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.online = false;
+            }
+        }
+
+        await this.enqueue('update', record);
+        return { isOk: true, data: record, queued: true };
+    },
+
+    /**
+     * Delete a record, queueing it while offline
+     */
+    async delete(record) {
+        if (this.canWriteDirectly()) {
+            try {
+                return await this.remote.delete(record);
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.online = false;
+            }
+        }
+
+        await this.enqueue('delete', record);
+        return { isOk: true, queued: true };
+    },
+
+    /**
+     * Writes go straight to the server only when nothing is waiting ahead of them
+     */
+    canWriteDirectly() {
+        return this.online && this.outbox.length === 0;
+    },
+
+    /**
+     * Failed requests throw TypeError; a rejected write returns isOk false instead
+     */
+    isNetworkError(error) {
+        return !navigator.onLine || error instanceof TypeError;
+    },
+
+    /**
+     * Add an operation to the outbox
+     * Keeps at most one operation per record so replays stay in order
+     */
+    async enqueue(action, record) {
+        const id = record.__backendId;
+        const existing = this.outbox.find(op => op.record.__backendId === id);
+
+        if (existing) {
+            if (existing.action === 'create' && action === 'delete') {
+                await this.removeOp(existing);
+            } else {
+                existing.record = record;
+                existing.action = existing.action === 'create' ? 'create' : action;
+                existing.queuedAt = new Date().toISOString();
+                await this.saveOp(existing);
+            }
+        } else {
+            const server = this.records.find(d => d.__backendId === id);
+            await this.saveOp({
+                id: this.nextOpId++,
+                // Writes before login (failed attempts, lockouts) are nobody's in particular
+                owner: this.owner || this.shared,
+                action,
+                record,
+                // The server version this change was based on, for conflict detection
+                baseUpdatedAt: server ? (server.updatedAt || server.createdAt || null) : null,
+                queuedAt: new Date().toISOString(),
+                status: 'pending'
+            });
+        }
+
+        this.emit();
+        if (this.online) {
+            this.flush();
+        }
+    },
+
+    /**
+     * Replay pending operations against the server
+     */
+    async flush() {
+        if (this.syncing || !this.online || !this.outbox.some(op => op.status === 'pending')) {
+            this.updateIndicator();
+            return;
+        }
+
+        this.syncing = true;
+        this.updateIndicator();
+
+        try {
+            for (const op of [...this.outbox]) {
+                if (op.status !== 'pending') continue;
+
+                if (op.action !== 'create' && await this.checkConflict(op)) continue;
+
+                try {
+                    await this.replay(op);
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        this.online = false;
+                        break;
+                    }
+                    op.status = 'failed';
+                    op.error = error.message;
+                    await this.saveOp(op);
+                }
+            }
+        } finally {
+            this.syncing = false;
+            this.emit();
+        }
+
+        const blocked = this.outbox.filter(op => op.status !== 'pending').length;
+        if (blocked > 0) {
+            NotificationService.show(`${blocked} perubahan offline perlu ditinjau`, 'warning');
+        }
+    },
+
+    /**
+     * Compare the server version with the one the change was based on
+     * Returns true when the operation was set aside
+     */
+    async checkConflict(op) {
+        const server = this.records.find(d => d.__backendId === op.record.__backendId);
+        const serverUpdatedAt = server ? (server.updatedAt || server.createdAt || null) : null;
+
+        if (!server && op.action === 'delete') {
+            // Already gone on the server
+            await this.removeOp(op);
+            return true;
+        }
+
+        if (!server || serverUpdatedAt !== op.baseUpdatedAt) {
+            op.status = 'conflict';
+            op.serverUpdatedAt = serverUpdatedAt;
+            await this.saveOp(op);
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Send one operation to the server
+     */
+    async replay(op) {
+        let result;
+        if (op.action === 'create') {
+            const { __backendId, ...record } = op.record;
+            result = await this.remote.create(record);
+        } else {
+            result = await this.remote[op.action](op.record);
+        }
+
+        if (!result.isOk) {
+            throw new Error(result.error || 'Ditolak oleh server');
+        }
+
+        await this.removeOp(op);
+        if (op.action === 'create') {
+            await this.replaceTempId(op.record.__backendId, result.data.__backendId);
+        }
+    },
+
+    /**
+     * Point queued records at the id assigned by the server
+     * Any field may hold the temporary id: audit and version targets,
+     * the case_id of a counseling session, values nested in snapshots
+     */
+    async replaceTempId(tempId, id) {
+        const rewrite = value => {
+            if (value === tempId) return id;
+            if (Array.isArray(value)) return value.map(rewrite);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rewrite(item)]));
+            }
+            return value;
+        };
+
+        for (const op of this.outbox) {
+            const record = rewrite(op.record);
+            if (JSON.stringify(record) !== JSON.stringify(op.record)) {
+                op.record = record;
+                await this.saveOp(op);
+            }
+        }
+    },
+
+    /**
+     * Resolve a conflict by keeping the local or the server version
+     */
+    async resolveConflict(opId, keep) {
+        const op = this.outbox.find(o => o.id === opId);
+        if (!op) return;
+
+        if (keep === 'server') {
+            await this.discard(opId);
+            return;
+        }
+
+        const server = this.records.find(d => d.__backendId === op.record.__backendId);
+        if (!server) {
+            // Deleted on the server meanwhile: recreate it from the local copy
+            op.action = 'create';
+        }
+        op.baseUpdatedAt = server ? (server.updatedAt || server.createdAt || null) : null;
+        op.status = 'pending';
+        delete op.serverUpdatedAt;
+        await this.saveOp(op);
+        await this.flush();
+    },
+
+    /**
+     * Retry a failed operation
+     */
+    async retry(opId) {
+        const op = this.outbox.find(o => o.id === opId);
+        if (!op) return;
+
+        op.status = 'pending';
+        delete op.error;
+        await this.saveOp(op);
+        await this.flush();
+    },
+
+    /**
+     * Drop an operation without sending it
+     */
+    async discard(opId) {
+        const op = this.outbox.find(o => o.id === opId);
+        if (!op) return;
+
+        await this.removeOp(op);
+        this.emit();
+    },
+
+    /**
+     * Current sync state for the header indicator
+     */
+    getStatus() {
+        return {
+            online: this.online,
+            syncing: this.syncing,
+            pending: this.outbox.filter(op => op.status === 'pending').length,
+            blocked: this.outbox.filter(op => op.status !== 'pending').length
+        };
+    },
+
+    /**
+     * Render the sync status in the header
+     */
+    updateIndicator() {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        const status = this.getStatus();
+        let label = '🟢 Tersinkron';
+        let classes = 'bg-green-100 text-green-800';
+
+        if (status.blocked > 0) {
+            label = `⚠️ ${status.blocked} perlu ditinjau`;
+            classes = 'bg-red-100 text-red-800';
+        } else if (!status.online) {
+            label = status.pending > 0 ? `🔴 Offline • ${status.pending} menunggu` : '🔴 Offline';
+            classes = 'bg-gray-200 text-gray-800';
+        } else if (status.syncing) {
+            label = '🔄 Menyinkronkan...';
+            classes = 'bg-blue-100 text-blue-800';
+        } else if (status.pending > 0) {
+            label = `🟡 ${status.pending} menunggu`;
+            classes = 'bg-yellow-100 text-yellow-800';
+        }
+
+        indicator.className = `px-3 py-1 rounded-full text-xs font-medium ${classes}`;
+        indicator.textContent = label;
+    },
+
+    /**
+     * Open the IndexedDB database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = event => {
+                const db = request.result;
+                // Version 1 kept one shared mirror of every record
+                if (db.objectStoreNames.contains('records')) {
+                    db.deleteObjectStore('records');
+                }
+                db.createObjectStore('mirror', { keyPath: 'owner' });
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('outbox', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run a request against an object store
+     */
+    runRequest(storeName, mode, makeRequest) {
+        if (!this.db) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Read the mirror stored for an account or the shared one
+     */
+    async readMirror(owner) {
+        const entry = await this.runRequest('mirror', 'readonly', store => store.get(owner));
+        return entry ? SecurityService.decryptDeviceData(entry.records) : [];
+    },
+
+    /**
+     * Read an account's pending operations along with the shared ones
+     * Operations queued before owners were recorded count as shared
+     */
+    async readOps(owner) {
+        const stored = (await this.runRequest('outbox', 'readonly', store => store.getAll())) || [];
+        const ops = [];
+
+        for (const entry of stored.filter(op => [owner, this.shared].includes(op.owner || this.shared))) {
+            try {
+                ops.push(entry.sealed ? await SecurityService.decryptDeviceData(entry.sealed) : entry);
+            } catch (error) {
+                console.error('Error opening offline operation:', error);
+            }
+        }
+        return ops.sort((a, b) => a.id - b.id);
+    },
+
+    /**
+     * Pending operations shown before login; a server login shows nothing until then
+     */
+    async readSharedOps() {
+        return StorageService.usesServerAuth() ? [] : this.readOps(this.shared);
+    },
+
+    /**
+     * Encrypt what a server login keeps on the device: the server sends records
+     * decrypted, other stores deliver them with their sensitive fields sealed
+     */
+    async seal(value) {
+        return StorageService.usesServerAuth() ? SecurityService.encryptDeviceData(value) : value;
+    },
+
+    /**
+     * Replace the mirrored server data
+     * A server login mirrors nothing before the account is known
+     */
+    async replaceRecords(data) {
+        const owner = StorageService.usesServerAuth() ? this.owner : this.shared;
+        if (!owner) return;
+
+        try {
+            const records = await this.seal(data);
+            await this.runRequest('mirror', 'readwrite', store => store.put({ owner, records }));
+        } catch (error) {
+            console.error('Error saving offline mirror:', error);
+        }
+    },
+
+    /**
+     * Insert or update an outbox operation
+     */
+    async saveOp(op) {
+        if (!this.outbox.includes(op)) {
+            this.outbox.push(op);
+        }
+        const entry = StorageService.usesServerAuth()
+            ? { id: op.id, owner: op.owner, sealed: await this.seal({ ...op }) }
+            : op;
+        await this.runRequest('outbox', 'readwrite', store => store.put(entry));
+    },
+
+    /**
+     * Remove an outbox operation
+     */
+    async removeOp(op) {
+        this.outbox = this.outbox.filter(o => o !== op);
+        await this.runRequest('outbox', 'readwrite', store => store.delete(op.id));
+    }
+};
+
+// Export for use in other modules
+window.SyncService = SyncService;
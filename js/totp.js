@@ -0,0 +1,171 @@
+/**
+ * Two-Factor Authentication Module
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 seconds)
+ * and one-time recovery codes. Works offline: codes are computed from the
+ * shared secret and the clock, so no server round trip is needed.
+ * Loaded by the browser and by the reference backend (server/totp.js);
+ * both have WebCrypto as globalThis.crypto.
+ */
+
+const TotpService = {
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    period: 30,
+    digits: 6,
+
+    /**
+     * Encode bytes as RFC 4648 base32 without padding
+     */
+    base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += this.alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += this.alphabet[(value << (5 - bits)) & 31];
+        }
+        return output;
+    },
+
+    /**
+     * Decode base32, ignoring spaces, padding and case
+     */
+    base32Decode(text) {
+        const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+        for (const char of clean) {
+            const index = this.alphabet.indexOf(char);
+            if (index === -1) throw new Error('Kunci rahasia tidak valid');
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    },
+
+    /**
+     * New random 160-bit secret
+     */
+    generateSecret() {
+        return this.base32Encode(globalThis.crypto.getRandomValues(new Uint8Array(20)));
+    },
+
+    /**
+     * Code for one time step
+     */
+    async generateCode(secret, counter) {
+        const key = await globalThis.crypto.subtle.importKey(
+            'raw',
+            this.base32Decode(secret),
+            { name: 'HMAC', hash: 'SHA-1' },
+            false,
+            ['sign']
+        );
+
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 0x100000000));
+        message.setUint32(4, counter % 0x100000000);
+        const hmac = new Uint8Array(await globalThis.crypto.subtle.sign('HMAC', key, message.buffer));
+
+        const offset = hmac[hmac.length - 1] & 15;
+        const binary = new DataView(hmac.buffer).getUint32(offset) & 0x7fffffff;
+        return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+    },
+
+    /**
+     * Check a code, allowing one step of clock drift
+     * Returns the matched time step, or null; steps up to lastCounter were already used
+     */
+    async verify(secret, code, lastCounter = -1) {
+        const clean = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(clean)) return null;
+
+        const current = Math.floor(Date.now() / 1000 / this.period);
+        for (const counter of [current - 1, current, current + 1]) {
+            if (counter <= lastCounter) continue;
+            if (this.codesEqual(await this.generateCode(secret, counter), clean)) {
+                return counter;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Compare two codes without short-circuiting on the first mismatch
+     */
+    codesEqual(a, b) {
+        let diff = a.length ^ b.length;
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+        }
+        return diff === 0;
+    },
+
+    /**
+     * otpauth:// URI for authenticator apps
+     */
+    buildUri(issuer, username, secret) {
+        const label = encodeURIComponent(`${issuer}:${username}`);
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${this.digits}&period=${this.period}`;
+    },
+
+    /**
+     * Draw the URI as a QR code; returns false when the QR library is not loaded
+     */
+    renderQRCode(element, uri) {
+        if (!window.QRCode || !element) return false;
+
+        element.innerHTML = '';
+        new QRCode(element, { text: uri, width: 180, height: 180, correctLevel: QRCode.CorrectLevel.M });
+        return true;
+    },
+
+    /**
+     * One-time recovery codes in the XXXXX-XXXXX format
+     */
+    generateRecoveryCodes(count = 10) {
+        const random = globalThis.crypto.getRandomValues(new Uint32Array(count * 10));
+        return Array.from({ length: count }, (_, i) => {
+            const chars = Array.from({ length: 10 }, (_, j) => this.alphabet[random[i * 10 + j] % this.alphabet.length]).join('');
+            return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+        });
+    },
+
+    /**
+     * Hash a recovery code for storage
+     * The codes are random, so a fast hash is enough
+     */
+    async hashRecoveryCode(code) {
+        const clean = String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(clean));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Use up a recovery code; returns the remaining hashes, or null when it does not match
+     */
+    async useRecoveryCode(hashes, code) {
+        const hash = await this.hashRecoveryCode(code);
+        const list = hashes || [];
+        if (!list.includes(hash)) return null;
+        return list.filter(item => item !== hash);
+    }
+};
+
+// Export for use in other modules and in the reference backend
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TotpService;
+} else {
+    window.TotpService = TotpService;
+}
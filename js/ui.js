@@ -6,6 +6,28 @@
 const UIService = {
     currentPage: 'beranda',
     virtualScrollInstances: new Map(),
+    pendingRoleDelete: null,
+    pendingRecordDelete: null,
+    pendingPurge: null,
+    pendingPasswordReset: null,
+    pendingTwoFactorReset: null,
+    pendingRecoveryCodes: null,
+    manajemenTab: 'guru',
+    waliTab: 'data',
+    rollCallSelection: null,
+    recapSelection: null,
+    attendanceAlertKeys: null,
+    bkTab: 'absensi',
+    pointsSemester: null,
+    pointSummaries: [],
+    pendingLetter: null,
+    openCaseId: null,
+    pendingCredentials: null,
+    importState: null,
+    persetujuanFilters: {},
+    auditFilters: {},
+    tableStates: {},
+    tableData: {},
 
     /**
      * Initialize UI service
@@ -15,7 +37,6 @@ const UIService = {
         this.renderCurrentPage();
         this.updateDateTime();
         this.setupEventListeners();
-        this.initializeVirtualScrolling();
         
         // Update date time every second
         setInterval(() => this.updateDateTime(), 1000);
@@ -85,9 +106,9 @@ const UIService = {
      * Handle window resize
      */
     handleResize() {
-        // Reinitialize virtual scrolling if needed
+        // Redraw windowed tables that are on screen
         this.virtualScrollInstances.forEach((instance, key) => {
-            if (instance.container && instance.container.offsetParent) {
+            if (document.getElementById(`virtualScroll_${key}`)) {
                 this.updateVirtualScroll(key);
             }
         });
@@ -263,6 +284,8 @@ const UIService = {
                 return this.renderManajemenData();
             case 'persetujuan':
                 return this.renderPersetujuan();
+            case 'profil':
+                return this.renderProfil();
             default:
                 return '<p>Halaman tidak ditemukan.</p>';
         }
@@ -277,13 +300,13 @@ const UIService = {
                 setTimeout(() => this.showKokurikulerTab('kegiatan'), 100);
                 break;
             case 'wali':
-                setTimeout(() => this.showWaliTab('data'), 100);
+                setTimeout(() => this.showWaliTab(this.waliTab), 100);
                 break;
             case 'bk':
-                setTimeout(() => this.showBKTab('absensi'), 100);
+                setTimeout(() => this.showBKTab(this.bkTab), 100);
                 break;
             case 'manajemen':
-                setTimeout(() => this.showManajemenTab('guru'), 100);
+                setTimeout(() => this.showManajemenTab(this.manajemenTab), 100);
                 break;
         }
     },
@@ -329,14 +352,20 @@ const UIService = {
             </div>
 
             <!-- Additional Stats for Teachers -->
-            ${AuthService.currentUser.role === 'guru' || AuthService.currentUser.role === 'admin' || AuthService.currentUser.role === 'bk' ? `
+            ${AuthService.hasPermission('wali', 'create') ? `
                 <div class="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                    ${this.renderStatCard('Absensi Hari Ini', stats.absensi, '📋', 'from-blue-400 to-blue-500', 'Data kehadiran')}
+                    ${this.renderStatCard('Absensi Hari Ini', stats.absensi_today, '📋', 'from-blue-400 to-blue-500', `${stats.absensi} data kehadiran`)}
                     ${this.renderStatCard('Data Nilai', stats.nilai, '📊', 'from-green-400 to-green-500', 'Penilaian siswa')}
                     ${this.renderStatCard('Catatan Perilaku', stats.perilaku, '😊', 'from-orange-400 to-orange-500', 'Monitoring karakter')}
                 </div>
             ` : ''}
 
+            <!-- Returned for Revision -->
+            ${this.renderReturnedItems()}
+
+            <!-- Attendance Alerts -->
+            ${this.renderAttendanceAlerts()}
+
             <!-- Quick Actions -->
             <div class="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
                 ${this.renderQuickActions()}
@@ -468,8 +497,10 @@ const UIService = {
      * Render recent activities
      */
     renderRecentActivities() {
+        const approvedOnly = AuthService.getDataScope() === 'approved';
         const recentData = DataService.allData
-            .filter(d => AuthService.currentUser.role === 'siswa' ? d.approved === true : true)
+            .filter(d => !DataService.systemTypes.includes(d.type))
+            .filter(d => DataService.isRecordVisible(d))
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
             .slice(0, 5);
 
@@ -487,66 +518,24 @@ const UIService = {
                     <p class="text-sm text-gray-500">oleh ${item.author} • ${this.formatDate(item.date)}</p>
                 </div>
                 ${item.approved ? '<span class="text-green-600 text-sm">✓ Disetujui</span>' : 
-                  AuthService.currentUser.role === 'siswa' ? '<span class="text-yellow-600 text-sm">⏳ Menunggu</span>' : ''}
+                  approvedOnly && !WorkflowService.isExempt(item.type) ? '<span class="text-yellow-600 text-sm">⏳ Menunggu</span>' : ''}
             </div>
         `).join('');
     },
 
     /**
-     * Initialize virtual scrolling
-     */
-    initializeVirtualScrolling() {
-        if (!AppConfig.get('performance.enable_virtual_scrolling')) return;
-        
-        // Find all tables that need virtual scrolling
-        document.querySelectorAll('table[data-virtual-scroll]').forEach(table => {
-            const container = table.parentElement;
-            const key = table.dataset.virtualScroll;
-            
-            this.virtualScrollInstances.set(key, {
-                container,
-                table,
-                rowHeight: 60,
-                visibleRows: 10
-            });
-            
-            this.setupVirtualScroll(key);
-        });
-    },
-
-    /**
-     * Setup virtual scrolling for a specific table
-     */
-    setupVirtualScroll(key) {
-        const instance = this.virtualScrollInstances.get(key);
-        if (!instance) return;
-        
-        const { container, table, rowHeight, visibleRows } = instance;
-        
-        container.style.height = `${rowHeight * visibleRows}px`;
-        container.style.overflowY = 'auto';
-        
-        container.addEventListener('scroll', () => {
-            this.updateVirtualScroll(key);
-        });
-        
-        this.updateVirtualScroll(key);
-    },
-
-    /**
-     * Update virtual scroll
+     * Redraw the rows of a windowed table after scrolling
      */
     updateVirtualScroll(key) {
         const instance = this.virtualScrollInstances.get(key);
-        if (!instance) return;
-        
-        const { container, table, rowHeight } = instance;
-        const scrollTop = container.scrollTop;
-        const startIndex = Math.floor(scrollTop / rowHeight);
-        
-        // Update visible rows
-        // This is a simplified implementation
-        // In production, you'd want to render only visible rows
+        const body = document.getElementById(`virtualBody_${key}`);
+        const container = document.getElementById(`virtualScroll_${key}`);
+        if (!instance || !body || !container) return;
+
+        const start = Math.max(0, Math.floor(container.scrollTop / instance.rowHeight) - instance.overscan);
+        if (start === instance.start) return;
+
+        body.innerHTML = this.renderVirtualRows(key, container.scrollTop);
     },
 
     /**
@@ -600,7 +589,10 @@ const UIService = {
             nilai: '📊',
             perilaku: '😊',
             bk_absensi: '📋',
-            bk_pelanggaran: '⚠️'
+            bk_pelanggaran: '⚠️',
+            surat: '✉️',
+            konseling: '🗂️',
+            konseling_sesi: '💬'
         };
         return icons[type] || '📄';
     },
@@ -652,6 +644,108 @@ const UIService = {
         document.body.appendChild(modal);
     },
 
+    /**
+     * Show pending offline changes and conflicts
+     */
+    showSyncPanel() {
+        document.getElementById('syncPanel')?.remove();
+
+        const status = SyncService.getStatus();
+        const operations = SyncService.outbox;
+        const statusClasses = {
+            pending: 'bg-yellow-100 text-yellow-800',
+            conflict: 'bg-red-100 text-red-800',
+            failed: 'bg-red-100 text-red-800'
+        };
+
+        const modal = document.createElement('div');
+        modal.id = 'syncPanel';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-semibold text-gray-900">Sinkronisasi Data</h3>
+                    <span class="text-sm ${status.online ? 'text-green-700' : 'text-gray-500'}">${status.online ? 'Online' : 'Offline'}</span>
+                </div>
+                ${operations.length === 0 ? '<p class="text-gray-500 text-center py-6">Semua perubahan sudah tersimpan di server.</p>' : `
+                    <div class="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                        ${operations.map(op => `
+                            <div class="py-3">
+                                <div class="flex justify-between items-start">
+                                    <div>
+                                        <p class="text-sm font-medium text-gray-900">
+                                            ${SyncService.actionLabels[op.action]}: ${this.getTypeIcon(op.record.type)} ${SecurityService.sanitizeInput(DataService.getRecordLabel(op.record))}
+                                        </p>
+                                        <p class="text-xs text-gray-500">Disimpan offline ${new Date(op.queuedAt).toLocaleString('id-ID')}</p>
+                                        ${op.status === 'conflict' ? `
+                                            <p class="text-xs text-red-700 mt-1">
+                                                ${op.serverUpdatedAt ? `Data ini diubah di server pada ${new Date(op.serverUpdatedAt).toLocaleString('id-ID')}.` : 'Data ini sudah dihapus di server.'}
+                                            </p>
+                                        ` : ''}
+                                        ${op.error ? `<p class="text-xs text-red-700 mt-1">${SecurityService.sanitizeInput(op.error)}</p>` : ''}
+                                    </div>
+                                    <span class="px-2 py-1 rounded-full text-xs font-medium ${statusClasses[op.status]}">${SyncService.statusLabels[op.status]}</span>
+                                </div>
+                                ${op.status === 'conflict' ? `
+                                    <div class="flex space-x-3 mt-2">
+                                        <button onclick="UIService.resolveSyncConflict(${op.id}, 'local')" class="text-blue-600 hover:text-blue-800 text-sm">Pakai Versi Saya</button>
+                                        <button onclick="UIService.resolveSyncConflict(${op.id}, 'server')" class="text-gray-600 hover:text-gray-800 text-sm">Pakai Versi Server</button>
+                                    </div>
+                                ` : ''}
+                                ${op.status === 'failed' ? `
+                                    <div class="flex space-x-3 mt-2">
+                                        <button onclick="UIService.retrySyncOperation(${op.id})" class="text-blue-600 hover:text-blue-800 text-sm">Coba Lagi</button>
+                                        <button onclick="UIService.discardSyncOperation(${op.id})" class="text-red-600 hover:text-red-800 text-sm">Buang Perubahan</button>
+                                    </div>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+                <div class="flex justify-end space-x-3 mt-4">
+                    ${status.online && status.pending > 0 ? `
+                        <button onclick="UIService.flushSync()" class="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700">Sinkronkan Sekarang</button>
+                    ` : ''}
+                    <button onclick="this.closest('.fixed').remove()" class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Tutup</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Keep the local or the server version of a conflicting change
+     */
+    async resolveSyncConflict(opId, keep) {
+        await SyncService.resolveConflict(opId, keep);
+        this.showSyncPanel();
+    },
+
+    /**
+     * Retry a change the server rejected
+     */
+    async retrySyncOperation(opId) {
+        await SyncService.retry(opId);
+        this.showSyncPanel();
+    },
+
+    /**
+     * Drop a change the server rejected
+     */
+    async discardSyncOperation(opId) {
+        await SyncService.discard(opId);
+        this.showSyncPanel();
+    },
+
+    /**
+     * Replay pending changes now
+     */
+    async flushSync() {
+        await SyncService.flush();
+        this.showSyncPanel();
+    },
+
     /**
      * Render Intra Kurikuler page
      */
@@ -662,7 +756,7 @@ const UIService = {
             <div class="bg-white rounded-lg shadow">
                 <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
                     <h3 class="text-lg font-medium text-gray-900">Data Perencanaan Intra Kurikuler</h3>
-                    ${AuthService.currentUser.role === 'guru' || AuthService.currentUser.role === 'admin' || AuthService.currentUser.role === 'bk' ? `
+                    ${AuthService.hasPermission('intra', 'create') ? `
                         <button onclick="UIService.showAddForm('intra')" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
                             Tambah Data
                         </button>
@@ -743,7 +837,7 @@ const UIService = {
                         <h3 class="text-lg font-medium text-gray-900">Data Kegiatan Kokurikuler</h3>
                         <p class="text-sm text-gray-600 mt-1">Kelola data kegiatan ekstrakurikuler dan kokurikuler sekolah</p>
                     </div>
-                    ${AuthService.currentUser.role === 'guru' || AuthService.currentUser.role === 'admin' || AuthService.currentUser.role === 'bk' ? `
+                    ${AuthService.hasPermission('kokurikuler', 'create') ? `
                         <button onclick="UIService.showAddForm('kokurikuler')" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center">
                             <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBoxbox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"></path>
@@ -797,8 +891,8 @@ const UIService = {
                             </div>
                             <h4 class="font-semibold text-gray-900 mb-1">${kebiasaan.title}</h4>
                             <p class="text-sm text-gray-600 mb-3">${kebiasaan.desc}</p>
-                            ${AuthService.currentUser.role === 'guru' || AuthService.currentUser.role === 'admin' || AuthService.currentUser.role === 'bk' ? `
-                                <button onclick="UIService.showAddForm('kebiasaan')" 
+                            ${AuthService.hasPermission('kokurikuler', 'create') ? `
+                                <button onclick="UIService.showAddForm('kebiasaan', { kebiasaan_type: '${kebiasaan.id}' })" 
                                         class="w-full bg-blue-600 text-white text-sm px-3 py-2 rounded hover:bg-blue-700 transition-colors">
                                     Input Data
                                 </button>
@@ -816,6 +910,4046 @@ const UIService = {
         `;
     },
 
+    /**
+     * Render Persetujuan page (review inbox)
+     */
+    renderPersetujuan() {
+        const pending = WorkflowService.getInbox();
+        const types = Array.from(new Set(pending.map(d => d.type)));
+        const authors = Array.from(new Set(pending.map(d => d.author).filter(Boolean)));
+        const filters = this.persetujuanFilters;
+
+        return `
+            <div class="space-y-6">
+                <!-- Filters -->
+                <div class="bg-white rounded-lg shadow p-6">
+                    <div class="grid grid-cols-1 md:grid-cols-5 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Jenis Data</label>
+                            <select onchange="UIService.setPersetujuanFilter('type', this.value)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                <option value="">Semua</option>
+                                ${types.map(type => `
+                                    <option value="${type}" ${filters.type === type ? 'selected' : ''}>${this.getTypeIcon(type)} ${type}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Guru</label>
+                            <select onchange="UIService.setPersetujuanFilter('author', this.value)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                <option value="">Semua</option>
+                                ${authors.map(author => `
+                                    <option value="${SecurityService.sanitizeInput(author)}" ${filters.author === author ? 'selected' : ''}>${SecurityService.sanitizeInput(author)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                            <select onchange="UIService.setPersetujuanFilter('status', this.value)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                <option value="">Menunggu tinjauan</option>
+                                ${Object.entries(WorkflowService.states).map(([key, state]) => `
+                                    <option value="${key}" ${filters.status === key ? 'selected' : ''}>${state.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Dari Tanggal</label>
+                            <input type="date" value="${filters.from || ''}" onchange="UIService.setPersetujuanFilter('from', this.value)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Sampai Tanggal</label>
+                            <input type="date" value="${filters.to || ''}" onchange="UIService.setPersetujuanFilter('to', this.value)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Inbox -->
+                <div class="bg-white rounded-lg shadow">
+                    <div class="px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-4">
+                        <h3 class="text-lg font-medium text-gray-900">Kotak Masuk Persetujuan</h3>
+                        ${WorkflowService.canReview() ? `
+                            <div class="flex flex-wrap items-center gap-2">
+                                <input type="text" id="bulkReviewComment" placeholder="Catatan untuk guru (wajib untuk revisi/tolak)" 
+                                       class="w-72 px-3 py-2 border border-gray-300 rounded-md text-sm">
+                                <button onclick="UIService.bulkReview('approve')" class="bg-green-600 text-white px-3 py-2 rounded-md text-sm hover:bg-green-700">Setujui Terpilih</button>
+                                <button onclick="UIService.bulkReview('request_revision')" class="bg-yellow-500 text-white px-3 py-2 rounded-md text-sm hover:bg-yellow-600">Minta Revisi</button>
+                                <button onclick="UIService.bulkReview('reject')" class="bg-red-600 text-white px-3 py-2 rounded-md text-sm hover:bg-red-700">Tolak Terpilih</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="p-6" id="persetujuanList">
+                        ${this.renderPersetujuanList()}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the filtered review inbox table
+     */
+    renderPersetujuanList() {
+        const items = WorkflowService.getInbox(this.persetujuanFilters);
+
+        if (items.length === 0) {
+            return '<p class="text-gray-500 text-center py-8">Tidak ada data yang menunggu persetujuan.</p>';
+        }
+
+        return `
+            <div class="overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-4 py-2 text-left">
+                                <input type="checkbox" onchange="document.querySelectorAll('.review-select').forEach(cb => cb.checked = this.checked)">
+                            </th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Data</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Guru</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Tanggal</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                            <th class="px-4 py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${items.map(item => `
+                            <tr>
+                                <td class="px-4 py-2">
+                                    <input type="checkbox" class="review-select" value="${item.__backendId}">
+                                </td>
+                                <td class="px-4 py-2">
+                                    <span class="mr-2">${this.getTypeIcon(item.type)}</span>
+                                    ${SecurityService.sanitizeInput(DataService.getRecordLabel(item))}
+                                </td>
+                                <td class="px-4 py-2">${SecurityService.sanitizeInput(item.author || '-')}</td>
+                                <td class="px-4 py-2">${this.formatDate(item.createdAt)}</td>
+                                <td class="px-4 py-2">${this.renderWorkflowBadge(item)}</td>
+                                <td class="px-4 py-2 text-right">
+                                    <button onclick="UIService.showReviewDetail('${item.__backendId}')" class="text-blue-600 hover:text-blue-800">Detail</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Update an inbox filter and refresh the list
+     */
+    setPersetujuanFilter(key, value) {
+        this.persetujuanFilters[key] = value;
+        const list = document.getElementById('persetujuanList');
+        if (list) {
+            list.innerHTML = this.renderPersetujuanList();
+        }
+    },
+
+    /**
+     * Apply a review action to the selected inbox rows
+     */
+    async bulkReview(action) {
+        const ids = Array.from(document.querySelectorAll('.review-select:checked')).map(cb => cb.value);
+        if (ids.length === 0) {
+            NotificationService.show('Pilih data terlebih dahulu', 'warning');
+            return;
+        }
+
+        const comment = document.getElementById('bulkReviewComment')?.value || '';
+        this.showLoading('Memproses persetujuan...');
+        const { succeeded, failures } = await WorkflowService.transitionMany(ids, action, comment);
+        this.hideLoading();
+
+        if (succeeded) {
+            NotificationService.show(`${succeeded} data berhasil diproses`, 'success');
+        }
+        if (failures.length) {
+            NotificationService.show(`${failures.length} data gagal: ${failures[0].message}`, 'error');
+        }
+    },
+
+    /**
+     * Show record details with its workflow history and review actions
+     */
+    showReviewDetail(id) {
+        const record = DataService.allData.find(d => d.__backendId === id);
+        if (!record) return;
+
+        const hiddenFields = ['__backendId', 'type', 'workflow_history', 'workflow_status', 'approved', 'password_hash', 'totp_secret', 'recovery_codes', 'totp_payload', 'encrypted_payload'];
+        const fields = Object.entries(DataService.redactRecord(record)).filter(([key]) => !hiddenFields.includes(key));
+        const actions = Object.keys(WorkflowService.transitions).filter(action => WorkflowService.canTransition(record, action));
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-screen overflow-y-auto">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-semibold text-gray-900">${this.getTypeIcon(record.type)} ${SecurityService.sanitizeInput(DataService.getRecordLabel(record))}</h3>
+                    ${this.renderWorkflowBadge(record)}
+                </div>
+                <dl class="grid grid-cols-3 gap-2 text-sm mb-6">
+                    ${fields.map(([key, value]) => `
+                        <dt class="font-medium text-gray-500">${key}</dt>
+                        <dd class="col-span-2 text-gray-900 whitespace-pre-wrap">${SecurityService.sanitizeInput(typeof value === 'object' ? JSON.stringify(value) : value)}</dd>
+                    `).join('')}
+                </dl>
+                <h4 class="font-semibold text-gray-900 mb-2">Riwayat</h4>
+                ${this.renderWorkflowHistory(record)}
+                ${actions.length ? `
+                    <div class="mt-6">
+                        <textarea id="reviewComment" rows="3" placeholder="Catatan" class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"></textarea>
+                        <div class="flex flex-wrap justify-end gap-2 mt-3">
+                            ${actions.map(action => `
+                                <button onclick="UIService.applyReviewAction('${record.__backendId}', '${action}', this)" 
+                                        class="px-4 py-2 rounded-md text-sm font-medium ${action === 'approve' ? 'bg-green-600 text-white hover:bg-green-700' :
+                                            action === 'reject' ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-blue-600 text-white hover:bg-blue-700'}">
+                                    ${WorkflowService.transitions[action].label}
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                <div class="flex justify-end space-x-3 mt-4">
+                    ${VersionService.isVersioned(record.type) ? `
+                        <button onclick="UIService.showVersionHistory('${record.__backendId}')" class="px-4 py-2 border border-blue-300 rounded-md text-sm text-blue-700 hover:bg-blue-50">Riwayat Versi</button>
+                    ` : ''}
+                    <button onclick="this.closest('.fixed').remove()" class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Tutup</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Apply a single workflow action from the detail dialog
+     */
+    async applyReviewAction(id, action, button) {
+        const comment = document.getElementById('reviewComment')?.value || '';
+        try {
+            await WorkflowService.transition(id, action, comment);
+            button.closest('.fixed').remove();
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Show version history of a record
+     */
+    showVersionHistory(recordId) {
+        const versions = VersionService.getVersions(recordId);
+        const record = DataService.allData.find(d => d.__backendId === recordId);
+        if (!record || versions.length === 0) return;
+
+        const canRestore = DataService.canUpdateData(record);
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 mb-4">Riwayat Versi: ${SecurityService.sanitizeInput(DataService.getRecordLabel(record))}</h3>
+                <div class="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                    ${versions.map(version => `
+                        <div class="py-3 flex items-center justify-between">
+                            <div>
+                                <p class="text-sm font-medium text-gray-900">
+                                    Revisi ${version.revision} ${version.current ? '<span class="ml-2 text-xs text-green-700">(saat ini)</span>' : ''}
+                                </p>
+                                <p class="text-xs text-gray-500">${SecurityService.sanitizeInput(version.saved_by || '-')} • ${version.saved_at ? new Date(version.saved_at).toLocaleString('id-ID') : '-'}</p>
+                            </div>
+                            ${version.current ? '' : `
+                                <div class="space-x-2">
+                                    <button onclick="UIService.showVersionCompare('${recordId}', '${version.__backendId}')" class="text-blue-600 hover:text-blue-800 text-sm">Bandingkan</button>
+                                    ${canRestore ? `
+                                        <button onclick="UIService.restoreVersion('${recordId}', '${version.__backendId}', this)" class="text-green-600 hover:text-green-800 text-sm">Pulihkan</button>
+                                    ` : ''}
+                                </div>
+                            `}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="flex justify-end mt-4">
+                    <button onclick="this.closest('.fixed').remove()" class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Tutup</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Side-by-side comparison of an older version with the current content
+     */
+    showVersionCompare(recordId, versionId) {
+        const versions = VersionService.getVersions(recordId);
+        const current = versions[0];
+        const version = versions.find(v => v.__backendId === versionId);
+        if (!current || !version) return;
+
+        const fields = Array.from(new Set([...Object.keys(version.snapshot), ...Object.keys(current.snapshot)]));
+        const rowClass = { same: '', removed: 'bg-red-50 text-red-800', added: 'bg-green-50 text-green-800' };
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-screen overflow-y-auto">
+                <h3 class="text-lg font-semibold text-gray-900 mb-4">Revisi ${version.revision} ↔ Revisi ${current.revision} (saat ini)</h3>
+                ${fields.map(field => {
+                    const rows = VersionService.diffLines(
+                        this.formatAuditValue(version.snapshot[field]),
+                        this.formatAuditValue(current.snapshot[field])
+                    );
+                    const changed = rows.some(row => row.type !== 'same');
+                    return `
+                        <div class="mb-4">
+                            <p class="text-sm font-medium ${changed ? 'text-orange-700' : 'text-gray-500'}">${field}${changed ? ' • berubah' : ''}</p>
+                            <div class="grid grid-cols-2 gap-2 text-xs font-mono border border-gray-200 rounded">
+                                ${rows.map(row => `
+                                    <div class="px-2 py-1 whitespace-pre-wrap ${row.type === 'removed' ? rowClass.removed : ''}">${SecurityService.sanitizeInput(row.left)}</div>
+                                    <div class="px-2 py-1 whitespace-pre-wrap ${row.type === 'added' ? rowClass.added : ''}">${SecurityService.sanitizeInput(row.right)}</div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+                <div class="flex justify-end mt-4">
+                    <button onclick="this.closest('.fixed').remove()" class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Tutup</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Restore a version as a new revision
+     */
+    async restoreVersion(recordId, versionId, button) {
+        try {
+            this.showLoading('Memulihkan versi...');
+            await VersionService.restoreVersion(recordId, versionId);
+            button.closest('.fixed').remove();
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Render workflow status badge; records outside the workflow get none
+     */
+    renderWorkflowBadge(record) {
+        if (WorkflowService.isExempt(record.type)) return '<span class="text-gray-400">-</span>';
+
+        const state = WorkflowService.states[WorkflowService.getStatus(record)];
+        return `<span class="px-2 py-1 rounded-full text-xs font-semibold ${state.badge}">${state.label}</span>`;
+    },
+
+    /**
+     * Render workflow history timeline
+     */
+    renderWorkflowHistory(record) {
+        const history = record.workflow_history || [];
+        if (history.length === 0) {
+            return '<p class="text-sm text-gray-500">Belum ada riwayat.</p>';
+        }
+
+        return `
+            <ol class="border-l-2 border-gray-200 pl-4 space-y-3">
+                ${history.slice().reverse().map(entry => `
+                    <li class="text-sm">
+                        <p class="text-gray-900">
+                            <span class="font-medium">${SecurityService.sanitizeInput(entry.by_name)}</span>
+                            → ${WorkflowService.states[entry.to] ? WorkflowService.states[entry.to].label : entry.to}
+                        </p>
+                        <p class="text-xs text-gray-500">${new Date(entry.at).toLocaleString('id-ID')}</p>
+                        ${entry.comment ? `<p class="text-gray-700 mt-1 bg-gray-50 rounded p-2">${SecurityService.sanitizeInput(entry.comment)}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    },
+
+    /**
+     * Render the author's records that were sent back or rejected
+     */
+    renderReturnedItems() {
+        const items = WorkflowService.getReturnedForCurrentUser();
+        if (items.length === 0) return '';
+
+        return `
+            <div class="bg-white rounded-lg shadow overflow-hidden mb-8">
+                <div class="bg-gradient-to-r from-yellow-500 to-orange-500 px-6 py-4">
+                    <h3 class="text-lg font-semibold text-white flex items-center">
+                        <span class="mr-2">↩️</span>
+                        Dikembalikan oleh Kepala Sekolah
+                    </h3>
+                </div>
+                <div class="p-6 divide-y divide-gray-100">
+                    ${items.map(item => `
+                        <div class="py-3 flex items-start justify-between">
+                            <div>
+                                <p class="text-sm font-medium text-gray-900">
+                                    ${this.getTypeIcon(item.type)} ${SecurityService.sanitizeInput(DataService.getRecordLabel(item))}
+                                    <span class="ml-2">${this.renderWorkflowBadge(item)}</span>
+                                </p>
+                                <p class="text-sm text-gray-700 mt-1">${SecurityService.sanitizeInput(item.review_comment || '-')}</p>
+                                <p class="text-xs text-gray-500 mt-1">oleh ${SecurityService.sanitizeInput(item.reviewed_by || '-')} • ${this.formatDate(item.reviewed_at)}</p>
+                            </div>
+                            <button onclick="UIService.showReviewDetail('${item.__backendId}')" class="text-blue-600 hover:text-blue-800 text-sm">Detail</button>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render attendance alerts routed to the current user (wali kelas or BK)
+     */
+    renderAttendanceAlerts() {
+        const alerts = AttendanceService.getAlertsForCurrentUser();
+        if (alerts.length === 0) return '';
+
+        return `
+            <div class="bg-white rounded-lg shadow overflow-hidden mb-8">
+                <div class="bg-gradient-to-r from-red-500 to-pink-500 px-6 py-4">
+                    <h3 class="text-lg font-semibold text-white flex items-center">
+                        <span class="mr-2">🚨</span>
+                        Peringatan Kehadiran
+                    </h3>
+                </div>
+                <div class="p-6 divide-y divide-gray-100">
+                    ${alerts.map(alert => `
+                        <div class="py-3">
+                            <p class="text-sm font-medium text-gray-900">
+                                ${SecurityService.sanitizeInput(alert.student.title)}
+                                <span class="ml-2 text-xs text-gray-500">${SecurityService.sanitizeInput(alert.student.class)}</span>
+                            </p>
+                            <p class="text-sm text-red-700 mt-1">${AttendanceService.describeAlert(alert)}</p>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Notify the current user of attendance alerts they have not been told about yet
+     * The first check after login summarises, later checks name each new alert
+     */
+    notifyAttendanceAlerts() {
+        const user = AuthService.currentUser;
+        if (!user || !AppConfig.get('enable_notifications')) return;
+
+        const alerts = AttendanceService.getAlertsForCurrentUser();
+        const known = this.attendanceAlertKeys && this.attendanceAlertKeys.user === user.username
+            ? this.attendanceAlertKeys.keys
+            : null;
+        const fresh = alerts.filter(alert => known && !known.has(alert.key));
+
+        if (!known && alerts.length) {
+            NotificationService.show(`${alerts.length} peringatan kehadiran siswa perlu ditindaklanjuti`, 'warning');
+        }
+        fresh.forEach(alert => {
+            NotificationService.show(`${alert.student.title}: ${AttendanceService.describeAlert(alert)}`, 'warning');
+        });
+
+        this.attendanceAlertKeys = { user: user.username, keys: new Set(alerts.map(alert => alert.key)) };
+    },
+
+    /**
+     * Render Manajemen Data page
+     */
+    renderManajemenData() {
+        const tabs = [
+            { key: 'guru', label: '👩‍🏫 Data Guru' },
+            { key: 'siswa', label: '👨‍🎓 Data Siswa' },
+            { key: 'kelas', label: '🏫 Data Kelas' },
+            { key: 'role', label: '🔐 Role & Hak Akses' },
+            { key: 'audit', label: '🧾 Log Audit' },
+            { key: 'trash', label: '🗑️ Tempat Sampah' }
+        ];
+        if (AuthService.hasPermission('manajemen', 'update')) {
+            tabs.push({ key: 'lock', label: '🔒 Akun Terkunci' });
+            tabs.push({ key: 'sesi', label: '⏱️ Pengaturan Sesi' });
+            tabs.push({ key: 'password', label: '🔑 Keamanan Akun' });
+        }
+
+        return `
+            <div class="space-y-6">
+                <!-- Navigation Tabs -->
+                <div class="bg-white rounded-lg shadow">
+                    <div class="border-b border-gray-200">
+                        <nav class="-mb-px flex space-x-8 px-6 overflow-x-auto" aria-label="Tabs">
+                            ${tabs.map(tab => `
+                                <button onclick="UIService.showManajemenTab('${tab.key}')" id="tabManajemen_${tab.key}" 
+                                        class="manajemen-tab border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm">
+                                    ${tab.label}
+                                </button>
+                            `).join('')}
+                        </nav>
+                    </div>
+                </div>
+
+                <!-- Tab Content -->
+                <div id="manajemenTabContent">
+                    <!-- Content will be loaded here -->
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show Manajemen Tab
+     */
+    showManajemenTab(tabType) {
+        this.manajemenTab = tabType;
+
+        // Update tab styling
+        document.querySelectorAll('.manajemen-tab').forEach(tab => {
+            tab.classList.remove('border-blue-500', 'text-blue-600');
+            tab.classList.add('border-transparent', 'text-gray-500');
+        });
+        
+        const activeTab = document.getElementById(`tabManajemen_${tabType}`);
+        if (activeTab) {
+            activeTab.classList.remove('border-transparent', 'text-gray-500');
+            activeTab.classList.add('border-blue-500', 'text-blue-600');
+        }
+
+        // Load content
+        const contentDiv = document.getElementById('manajemenTabContent');
+        if (!contentDiv) return;
+
+        switch (tabType) {
+            case 'role':
+                contentDiv.innerHTML = this.renderRoleManagement();
+                break;
+            case 'audit':
+                contentDiv.innerHTML = this.renderAuditLog();
+                this.bindAuditEntries(contentDiv);
+                break;
+            case 'trash':
+                contentDiv.innerHTML = this.renderRecycleBin();
+                break;
+            case 'lock':
+                contentDiv.innerHTML = this.renderLockedAccounts();
+                break;
+            case 'sesi':
+                contentDiv.innerHTML = this.renderSessionSettings();
+                break;
+            case 'password':
+                contentDiv.innerHTML = this.renderPasswordManagement();
+                break;
+            default:
+                contentDiv.innerHTML = this.renderManajemenDataTab(tabType);
+        }
+    },
+
+    /**
+     * Render a master data tab (guru, siswa, kelas)
+     */
+    renderManajemenDataTab(type) {
+        const data = DataService.getFilteredData(type);
+        const titles = { guru: 'Data Guru', siswa: 'Data Siswa', kelas: 'Data Kelas' };
+
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                    <h3 class="text-lg font-medium text-gray-900">${titles[type]}</h3>
+                    ${AuthService.hasPermission('manajemen', 'create') ? `
+                        <div class="flex space-x-2">
+                            <button onclick="UIService.showImportWizard('${type}')" class="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors">
+                                📥 Impor
+                            </button>
+                            <button onclick="UIService.showAddForm('${type}')" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+                                Tambah Data
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+                ${type === 'siswa' && AuthService.hasPermission('manajemen', 'create') ? this.renderAccountGenerator() : ''}
+                <div class="p-6">
+                    ${this.renderDataTable(data, type)}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render bulk account generation controls for the siswa tab
+     */
+    renderAccountGenerator() {
+        const classes = DataService.getFilteredData('kelas').map(k => k.title);
+
+        return `
+            <div class="px-6 py-4 border-b border-gray-200 bg-gray-50 flex flex-wrap items-end gap-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Kelas</label>
+                    <select id="accountClassFilter" class="px-3 py-2 border border-gray-300 rounded-md">
+                        <option value="">Semua Kelas</option>
+                        ${classes.map(c => `<option value="${SecurityService.sanitizeInput(c)}">${SecurityService.sanitizeInput(c)}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Akun Orang Tua per Siswa</label>
+                    <input type="number" id="accountParentCount" value="1" min="0" max="2" class="w-24 px-3 py-2 border border-gray-300 rounded-md">
+                </div>
+                <button onclick="UIService.generateStudentAccounts()" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
+                    🔑 Buat Akun Siswa & Orang Tua
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate accounts for siswa without one and show their slips
+     */
+    async generateStudentAccounts() {
+        const className = document.getElementById('accountClassFilter')?.value || '';
+        const parentCount = parseInt(document.getElementById('accountParentCount')?.value, 10) || 1;
+
+        try {
+            this.showLoading('Membuat akun...');
+            const credentials = await AccountService.generateMissingAccounts(className, parentCount);
+            if (credentials.length === 0) {
+                NotificationService.show('Semua siswa sudah memiliki akun', 'info');
+                return;
+            }
+            NotificationService.show(`${credentials.length} akun berhasil dibuat`, 'success');
+            this.showCredentialSlips(credentials);
+        } catch (error) {
+            console.error('Generate accounts error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Show generated credentials once, with an option to print slips
+     */
+    showCredentialSlips(credentials) {
+        if (!credentials.length) return;
+
+        this.pendingCredentials = credentials;
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 mb-2">Akun Baru</h3>
+                <p class="text-sm text-red-600 mb-4">Password hanya ditampilkan sekali. Cetak slip sebelum menutup jendela ini.</p>
+                <div class="max-h-80 overflow-y-auto border border-gray-200 rounded">
+                    <table class="min-w-full text-sm">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-3 py-2 text-left">Nama</th>
+                                <th class="px-3 py-2 text-left">Kelas</th>
+                                <th class="px-3 py-2 text-left">Username</th>
+                                <th class="px-3 py-2 text-left">Password</th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-100">
+                            ${credentials.map(c => `
+                                <tr>
+                                    <td class="px-3 py-2">${SecurityService.sanitizeInput(c.name)}</td>
+                                    <td class="px-3 py-2">${SecurityService.sanitizeInput(c.class)}</td>
+                                    <td class="px-3 py-2 font-mono">${c.username}</td>
+                                    <td class="px-3 py-2 font-mono">${c.password}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="flex justify-end space-x-3 mt-4">
+                    <button onclick="UIService.pendingCredentials = null; this.closest('.fixed').remove();" 
+                            class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                        Tutup
+                    </button>
+                    <button onclick="UIService.printCredentialSlips()" 
+                            class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                        Cetak Slip
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Print credential slips, one cut-out card per account
+     */
+    printCredentialSlips() {
+        const credentials = this.pendingCredentials || [];
+        const appTitle = SecurityService.sanitizeInput(AppConfig.get('app_title'));
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            NotificationService.show('Izinkan pop-up untuk mencetak slip', 'warning');
+            return;
+        }
+
+        printWindow.document.write(`
+            <html>
+            <head>
+                <title>Slip Akun SISPIN</title>
+                <style>
+                    body { font-family: sans-serif; margin: 0; }
+                    .slip { border: 1px dashed #555; padding: 12px 16px; margin: 8px; width: 45%; display: inline-block; vertical-align: top; box-sizing: border-box; page-break-inside: avoid; }
+                    .slip h4 { margin: 0 0 8px; font-size: 14px; }
+                    .slip p { margin: 2px 0; font-size: 12px; }
+                    .mono { font-family: monospace; font-size: 14px; }
+                </style>
+            </head>
+            <body>
+                ${credentials.map(c => `
+                    <div class="slip">
+                        <h4>${appTitle} - Akun ${c.kind === 'siswa' ? 'Siswa' : 'Orang Tua'}</h4>
+                        <p>Nama: ${SecurityService.sanitizeInput(c.name)}</p>
+                        <p>Siswa: ${SecurityService.sanitizeInput(c.student_name)} (${SecurityService.sanitizeInput(c.class)}) - NISN ${c.nisn}</p>
+                        <p>Masuk sebagai: Siswa/Orang Tua</p>
+                        <p>Username: <span class="mono">${c.username}</span></p>
+                        <p>Password awal: <span class="mono">${c.password}</span></p>
+                        <p><em>Segera ganti password setelah login pertama.</em></p>
+                    </div>
+                `).join('')}
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    },
+
+    /**
+     * Render role and permission editor
+     */
+    renderRoleManagement() {
+        const roles = Object.values(AuthService.roles);
+
+        return `
+            <div class="space-y-6">
+                <div class="bg-white rounded-lg shadow">
+                    <div class="px-6 py-4 border-b border-gray-200">
+                        <h3 class="text-lg font-medium text-gray-900">Tambah Role Baru</h3>
+                        <p class="text-sm text-gray-600 mt-1">Contoh: wakasek_kurikulum untuk Wakil Kepala Sekolah Bidang Kurikulum</p>
+                    </div>
+                    <div class="p-6">
+                        ${this.renderRoleForm({ key: '', name: '', icon: '👤', data_scope: 'own', pages: {} }, true)}
+                    </div>
+                </div>
+                ${roles.map(role => `
+                    <div class="bg-white rounded-lg shadow">
+                        <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                            <h3 class="text-lg font-medium text-gray-900">${SecurityService.sanitizeInput(role.icon)} ${SecurityService.sanitizeInput(role.name)}</h3>
+                            <span class="text-xs font-mono text-gray-500">${SecurityService.sanitizeInput(role.key)}${role.builtin ? ' • bawaan' : ''}</span>
+                        </div>
+                        <div class="p-6">
+                            ${this.renderRoleForm(role, false)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * Render a single role form with its permission matrix
+     */
+    renderRoleForm(role, isNew) {
+        const formId = isNew ? 'roleForm_new' : `roleForm_${SecurityService.sanitizeInput(role.key)}`;
+        const canEdit = AuthService.hasPermission('manajemen', isNew ? 'create' : 'update');
+        const scopes = {
+            all: 'Semua data',
+            own: 'Data milik sendiri',
+            approved: 'Data yang sudah disetujui'
+        };
+
+        return `
+            <form id="${formId}" onsubmit="event.preventDefault(); UIService.submitRoleForm(this.id, ${isNew})" class="space-y-4">
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Kode Role</label>
+                        <input name="role_key" value="${SecurityService.sanitizeInput(role.key)}" ${isNew ? 'required' : 'readonly'} placeholder="wakasek_kurikulum"
+                               class="w-full px-3 py-2 border border-gray-300 rounded-md ${isNew ? '' : 'bg-gray-100'}">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Nama Tampilan</label>
+                        <input name="title" value="${SecurityService.sanitizeInput(role.name)}" required
+                               class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Ikon</label>
+                        <input name="icon" value="${SecurityService.sanitizeInput(role.icon)}" maxlength="4"
+                               class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Cakupan Data</label>
+                        <select name="data_scope" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            ${Object.entries(scopes).map(([value, label]) => `
+                                <option value="${value}" ${role.data_scope === value ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-4 py-2 text-left font-medium text-gray-500">Halaman</th>
+                                ${AuthService.actions.map(action => `
+                                    <th class="px-4 py-2 text-center font-medium text-gray-500 capitalize">${action}</th>
+                                `).join('')}
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-100">
+                            ${Object.entries(DataService.pages).filter(([, page]) => !page.personal).map(([pageKey, page]) => `
+                                <tr>
+                                    <td class="px-4 py-2 text-gray-800">${page.icon} ${page.title}</td>
+                                    ${AuthService.actions.map(action => `
+                                        <td class="px-4 py-2 text-center">
+                                            <input type="checkbox" data-page="${pageKey}" data-action="${action}"
+                                                   ${(role.pages[pageKey] || []).includes(action) ? 'checked' : ''}
+                                                   class="h-4 w-4 text-blue-600 border-gray-300 rounded">
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${canEdit ? `
+                    <div class="flex justify-end space-x-3">
+                        ${!isNew && role.recordId ? `
+                            <button type="button" onclick="UIService.confirmDeleteRole(this.form.elements.role_key.value)"
+                                    class="px-4 py-2 border border-red-300 text-red-700 rounded-md text-sm hover:bg-red-50">
+                                ${role.builtin ? 'Kembalikan ke Bawaan' : 'Hapus Role'}
+                            </button>
+                        ` : ''}
+                        <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700">
+                            ${isNew ? 'Tambah Role' : 'Simpan Perubahan'}
+                        </button>
+                    </div>
+                ` : ''}
+            </form>
+        `;
+    },
+
+    /**
+     * Collect and save a role form
+     */
+    async submitRoleForm(formId, isNew) {
+        const form = document.getElementById(formId);
+        if (!form) return;
+
+        const pages = {};
+        form.querySelectorAll('input[type="checkbox"][data-page]:checked').forEach(input => {
+            pages[input.dataset.page] = pages[input.dataset.page] || [];
+            pages[input.dataset.page].push(input.dataset.action);
+        });
+
+        try {
+            this.showLoading('Menyimpan role...');
+            await AuthService.saveRole({
+                role_key: form.elements.role_key.value.trim(),
+                title: form.elements.title.value.trim(),
+                icon: form.elements.icon.value.trim() || '👤',
+                data_scope: form.elements.data_scope.value,
+                pages
+            }, isNew);
+        } catch (error) {
+            console.error('Save role error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Confirm and delete a role record
+     */
+    confirmDeleteRole(roleKey) {
+        this.pendingRoleDelete = roleKey;
+        this.showConfirmation(
+            'Hapus pengaturan role ini?',
+            'UIService.deletePendingRole'
+        );
+    },
+
+    /**
+     * Delete the role selected in confirmDeleteRole
+     */
+    async deletePendingRole() {
+        try {
+            await AuthService.deleteRole(this.pendingRoleDelete);
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.pendingRoleDelete = null;
+        }
+    },
+
+    /**
+     * Render recycle bin with restore and purge actions
+     */
+    renderRecycleBin() {
+        const records = DataService.getTrashedData();
+        const retention = AppConfig.get('trash_retention_days');
+
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                    <div>
+                        <h3 class="text-lg font-medium text-gray-900">Tempat Sampah</h3>
+                        <p class="text-sm text-gray-600 mt-1">
+                            ${retention > 0 ? `Data dihapus permanen secara otomatis setelah ${retention} hari.` : 'Penghapusan otomatis tidak aktif.'}
+                        </p>
+                    </div>
+                    ${AuthService.hasPermission('manajemen', 'update') ? `
+                        <label class="flex items-center space-x-2 text-sm text-gray-700">
+                            <span>Hapus otomatis setelah</span>
+                            <input type="number" min="0" value="${retention}" onchange="UIService.setTrashRetention(this.value)"
+                                   class="w-20 px-2 py-1 border border-gray-300 rounded-md">
+                            <span>hari</span>
+                        </label>
+                    ` : ''}
+                </div>
+                <div class="p-6">
+                    ${records.length === 0 ? '<p class="text-gray-500 text-center py-8">Tempat Sampah kosong.</p>' : `
+                        <div class="overflow-x-auto">
+                            <table class="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead class="bg-gray-50">
+                                    <tr>
+                                        <th class="px-4 py-2 text-left font-medium text-gray-500">Data</th>
+                                        <th class="px-4 py-2 text-left font-medium text-gray-500">Dihapus Oleh</th>
+                                        <th class="px-4 py-2 text-left font-medium text-gray-500">Waktu Hapus</th>
+                                        <th class="px-4 py-2 text-right font-medium text-gray-500">Aksi</th>
+                                    </tr>
+                                </thead>
+                                <tbody class="divide-y divide-gray-100">
+                                    ${records.map(record => `
+                                        <tr>
+                                            <td class="px-4 py-2">
+                                                ${this.getTypeIcon(record.type)} ${SecurityService.sanitizeInput(DataService.getRecordLabel(record))}
+                                                <span class="block text-xs text-gray-500">${record.type}${record.class ? ` • ${SecurityService.sanitizeInput(record.class)}` : ''}</span>
+                                            </td>
+                                            <td class="px-4 py-2">${SecurityService.sanitizeInput(record.deleted_by || '-')}</td>
+                                            <td class="px-4 py-2 whitespace-nowrap">${new Date(record.deleted_at).toLocaleString('id-ID')}</td>
+                                            <td class="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                                                <button onclick="UIService.restoreTrashed('${record.__backendId}')" class="text-green-600 hover:text-green-800">Pulihkan</button>
+                                                <button onclick="UIService.confirmPurge('${record.__backendId}')" class="text-red-600 hover:text-red-800">Hapus Permanen</button>
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Restore a record from the recycle bin
+     */
+    async restoreTrashed(id) {
+        try {
+            this.showLoading('Memulihkan data...');
+            await DataService.restoreData(id);
+        } catch (error) {
+            // DataService already notified the user
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Confirm permanent removal of a trashed record
+     */
+    confirmPurge(id) {
+        this.pendingPurge = id;
+        this.showConfirmation(
+            'Hapus data ini secara permanen? Tindakan ini tidak dapat dibatalkan.',
+            'UIService.purgePending'
+        );
+    },
+
+    /**
+     * Permanently remove the record selected in confirmPurge
+     */
+    async purgePending() {
+        try {
+            await DataService.purgeData(this.pendingPurge);
+        } catch (error) {
+            // DataService already notified the user
+        } finally {
+            this.pendingPurge = null;
+        }
+    },
+
+    /**
+     * Update the automatic purge period for every user
+     */
+    async setTrashRetention(value) {
+        const days = Math.max(0, parseInt(value, 10) || 0);
+        try {
+            await AppConfig.saveShared('trash_retention_days', days);
+        } catch (error) {
+            // DataService already notified the user
+            return;
+        }
+        NotificationService.show(days > 0 ? `Data di Tempat Sampah dihapus otomatis setelah ${days} hari` : 'Penghapusan otomatis dinonaktifkan', 'success');
+        this.showManajemenTab('trash');
+    },
+
+    /**
+     * Render accounts with failed logins and lockouts
+     */
+    renderLockedAccounts() {
+        const locks = DataService.getFilteredData('login_lock')
+            .filter(lock => AuthService.isLocked(lock) || (lock.failures || []).length > 0 || lock.lock_count > 0)
+            .sort((a, b) => AuthService.isLocked(b) - AuthService.isLocked(a) || new Date(b.last_failure_at) - new Date(a.last_failure_at));
+
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">Akun Terkunci</h3>
+                    <p class="text-sm text-gray-600 mt-1">
+                        Akun terkunci setelah ${AppConfig.get('security.max_login_attempts')} kali gagal login dalam ${Math.round(AppConfig.get('security.lockout_window') / 60000)} menit.
+                        Setiap penguncian berikutnya berlangsung dua kali lebih lama.
+                    </p>
+                </div>
+                <div class="p-6">
+                    ${locks.length === 0 ? '<p class="text-gray-500 text-center py-8">Tidak ada percobaan login yang gagal.</p>' : `
+                        <div class="overflow-x-auto">
+                            <table class="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead class="bg-gray-50">
+                                    <tr>
+                                        <th class="px-4 py-2 text-left font-medium text-gray-500">Username</th>
+                                        <th class="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                                        <th class="px-4 py-2 text-left font-medium text-gray-500">Percobaan Gagal</th>
+                                        <th class="px-4 py-2 text-left font-medium text-gray-500">Terakhir Gagal</th>
+                                        <th class="px-4 py-2 text-right font-medium text-gray-500">Aksi</th>
+                                    </tr>
+                                </thead>
+                                <tbody class="divide-y divide-gray-100 align-top">
+                                    ${locks.map(lock => `
+                                        <tr>
+                                            <td class="px-4 py-2 font-medium">${SecurityService.sanitizeInput(lock.username)}</td>
+                                            <td class="px-4 py-2">
+                                                ${AuthService.isLocked(lock) ? `
+                                                    <span class="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">Terkunci</span>
+                                                    <span class="block text-xs text-gray-500 mt-1">s.d. ${new Date(lock.locked_until).toLocaleString('id-ID')}</span>
+                                                ` : '<span class="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Aktif</span>'}
+                                                ${lock.lock_count ? `<span class="block text-xs text-gray-500">Dikunci ${lock.lock_count}x</span>` : ''}
+                                            </td>
+                                            <td class="px-4 py-2">
+                                                ${(lock.failures || []).length}
+                                                <details class="text-xs text-gray-500">
+                                                    <summary class="cursor-pointer">Waktu</summary>
+                                                    ${(lock.failures || []).map(time => `<div>${new Date(time).toLocaleString('id-ID')}</div>`).join('')}
+                                                </details>
+                                            </td>
+                                            <td class="px-4 py-2 whitespace-nowrap">${lock.last_failure_at ? new Date(lock.last_failure_at).toLocaleString('id-ID') : '-'}</td>
+                                            <td class="px-4 py-2 text-right">
+                                                <button onclick="UIService.unlockAccount('${SecurityService.sanitizeInput(lock.username)}')" class="text-blue-600 hover:text-blue-800">Buka Kunci</button>
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Unlock an account from the admin panel
+     */
+    async unlockAccount(username) {
+        try {
+            await AuthService.unlockAccount(username);
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Render session timeout settings
+     */
+    renderSessionSettings() {
+        const minutes = key => Math.round(AppConfig.get(key) / 60000);
+
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">Pengaturan Sesi</h3>
+                    <p class="text-sm text-gray-600 mt-1">Pengguna keluar otomatis setelah tidak aktif, atau setelah lama sesi maksimal meskipun masih aktif.</p>
+                </div>
+                <form id="sessionSettingsForm" onsubmit="event.preventDefault(); UIService.saveSessionSettings(this)" class="p-6 space-y-4 max-w-md">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Keluar setelah tidak aktif (menit)</label>
+                        <input type="number" name="session_timeout" min="5" required value="${minutes('session_timeout')}" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Peringatan sebelum keluar (menit)</label>
+                        <input type="number" name="session_warning" min="1" required value="${minutes('session_warning')}" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Lama sesi maksimal (jam, 0 = tanpa batas)</label>
+                        <input type="number" name="session_max_length" min="0" required value="${AppConfig.get('session_max_length') / 3600000}" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                    </div>
+                    <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">Simpan</button>
+                </form>
+            </div>
+        `;
+    },
+
+    /**
+     * Save session timeout settings for every user
+     */
+    async saveSessionSettings(form) {
+        const timeout = parseInt(form.elements.session_timeout.value, 10) * 60000;
+        const warning = parseInt(form.elements.session_warning.value, 10) * 60000;
+        const maxLength = parseFloat(form.elements.session_max_length.value) * 3600000;
+
+        if (warning >= timeout) {
+            NotificationService.show('Peringatan harus lebih singkat dari batas tidak aktif', 'error');
+            return;
+        }
+        if (maxLength > 0 && maxLength < timeout) {
+            NotificationService.show('Lama sesi maksimal tidak boleh lebih singkat dari batas tidak aktif', 'error');
+            return;
+        }
+
+        try {
+            await AppConfig.saveShared('session_timeout', timeout);
+            await AppConfig.saveShared('session_warning', warning);
+            await AppConfig.saveShared('session_max_length', maxLength);
+        } catch (error) {
+            // DataService already notified the user
+            return;
+        }
+        NotificationService.show('Pengaturan sesi disimpan', 'success');
+    },
+
+    /**
+     * Render the profile page with the password change form
+     */
+    renderProfil() {
+        const user = AuthService.currentUser;
+        const maxAge = AppConfig.get('security.password_max_age_days');
+        const changedAt = user.password_changed_at ? new Date(user.password_changed_at) : null;
+        const expiresAt = maxAge && changedAt ? new Date(changedAt.getTime() + maxAge * 86400000) : null;
+
+        return `
+            <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div class="bg-white rounded-lg shadow">
+                    <div class="px-6 py-4 border-b border-gray-200">
+                        <h3 class="text-lg font-medium text-gray-900">Informasi Akun</h3>
+                    </div>
+                    <dl class="p-6 space-y-3 text-sm">
+                        <div class="flex justify-between"><dt class="text-gray-500">Nama</dt><dd class="font-medium">${SecurityService.sanitizeInput(user.name)}</dd></div>
+                        <div class="flex justify-between"><dt class="text-gray-500">Username</dt><dd class="font-mono">${SecurityService.sanitizeInput(user.username)}</dd></div>
+                        <div class="flex justify-between"><dt class="text-gray-500">Role</dt><dd>${AuthService.getRoleIcon(user.role)} ${AuthService.getRoleDisplayName(user.role)}</dd></div>
+                        <div class="flex justify-between"><dt class="text-gray-500">Password terakhir diganti</dt><dd>${changedAt ? changedAt.toLocaleString('id-ID') : 'Belum pernah'}</dd></div>
+                        ${maxAge ? `
+                            <div class="flex justify-between"><dt class="text-gray-500">Password berlaku sampai</dt><dd>${expiresAt ? expiresAt.toLocaleDateString('id-ID') : 'Harus diganti'}</dd></div>
+                        ` : ''}
+                    </dl>
+                </div>
+
+                <div class="bg-white rounded-lg shadow">
+                    <div class="px-6 py-4 border-b border-gray-200">
+                        <h3 class="text-lg font-medium text-gray-900">Ganti Password</h3>
+                    </div>
+                    <form id="passwordForm" onsubmit="event.preventDefault(); UIService.submitPasswordChange(this)" class="p-6 space-y-4">
+                        ${this.renderPasswordFields()}
+                        <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">Simpan Password</button>
+                    </form>
+                </div>
+
+                <div class="bg-white rounded-lg shadow lg:col-span-2">
+                    <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                        <div>
+                            <h3 class="text-lg font-medium text-gray-900">Verifikasi Dua Langkah</h3>
+                            <p class="text-sm text-gray-600 mt-1">Setelah password, login meminta kode 6 digit dari aplikasi autentikator (Google Authenticator, Microsoft Authenticator, dan sejenisnya).</p>
+                        </div>
+                        ${user.totp_enabled
+                            ? '<span class="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">Aktif</span>'
+                            : '<span class="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">Tidak aktif</span>'}
+                    </div>
+                    <div class="p-6">
+                        ${user.totp_enabled ? `
+                            <p class="text-sm text-gray-600 mb-4">
+                                Sisa kode pemulihan: <strong>${user.recovery_codes_remaining ?? '-'}</strong>.
+                                Gunakan kode pemulihan untuk login jika perangkat autentikator hilang.
+                            </p>
+                            <form id="totpManageForm" onsubmit="event.preventDefault()" class="flex flex-wrap items-end gap-3">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                                    <input type="password" name="password" required autocomplete="current-password" class="px-3 py-2 border border-gray-300 rounded-md">
+                                </div>
+                                <button type="button" onclick="UIService.regenerateRecoveryCodes(this.form)" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">Buat Kode Pemulihan Baru</button>
+                                ${AuthService.isTwoFactorRequired(user.role) ? '' : `
+                                    <button type="button" onclick="UIService.disableTwoFactor(this.form)" class="border border-red-300 text-red-700 px-4 py-2 rounded-lg hover:bg-red-50 transition-colors">Nonaktifkan</button>
+                                `}
+                            </form>
+                        ` : `
+                            <button onclick="UIService.showTwoFactorSetup()" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">Aktifkan Verifikasi Dua Langkah</button>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Current, new and confirmation password inputs
+     */
+    renderPasswordFields() {
+        const minLength = AppConfig.get('security.password_min_length');
+
+        return `
+            <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Password Saat Ini</label>
+                <input type="password" name="current_password" required autocomplete="current-password" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+            </div>
+            <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Password Baru</label>
+                <input type="password" name="new_password" required minlength="${minLength}" autocomplete="new-password" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                <p class="text-xs text-gray-500 mt-1">Minimal ${minLength} karakter dengan huruf besar, huruf kecil, dan angka.</p>
+            </div>
+            <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Ulangi Password Baru</label>
+                <input type="password" name="confirm_password" required autocomplete="new-password" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+            </div>
+        `;
+    },
+
+    /**
+     * Submit a password change from the profile page or the forced change modal
+     */
+    async submitPasswordChange(form) {
+        const currentPassword = form.elements.current_password.value;
+        const newPassword = form.elements.new_password.value;
+
+        if (newPassword !== form.elements.confirm_password.value) {
+            NotificationService.show('Konfirmasi password tidak sama', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Menyimpan password...');
+            await AuthService.changePassword(currentPassword, newPassword);
+            form.reset();
+            document.getElementById('passwordChangeModal')?.remove();
+            if (this.currentPage === 'profil') {
+                this.renderCurrentPage();
+            }
+            AuthService.checkPendingSteps();
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Require a new password before the app can be used
+     * Shown after login with a temporary or expired password
+     */
+    showPasswordChangeModal() {
+        if (document.getElementById('passwordChangeModal')) return;
+
+        const user = AuthService.currentUser;
+        const reason = user.must_change_password
+            ? 'Anda login dengan password sementara. Buat password baru untuk melanjutkan.'
+            : 'Password Anda telah kedaluwarsa. Buat password baru untuk melanjutkan.';
+
+        const modal = document.createElement('div');
+        modal.id = 'passwordChangeModal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 mb-2">Ganti Password</h3>
+                <p class="text-sm text-gray-600 mb-4">${reason}</p>
+                <form id="forcedPasswordForm" onsubmit="event.preventDefault(); UIService.submitPasswordChange(this)" class="space-y-4">
+                    ${this.renderPasswordFields()}
+                    <div class="flex justify-end space-x-3">
+                        <button type="button" onclick="document.getElementById('passwordChangeModal').remove(); AuthService.logout()"
+                                class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                            Keluar
+                        </button>
+                        <button type="submit" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                            Simpan Password
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Two-factor enrollment: QR code, manual key and a first code to confirm
+     * When forced, the only way out is to log out
+     */
+    async showTwoFactorSetup({ forced = false } = {}) {
+        if (document.getElementById('totpSetupModal')) return;
+
+        let setup;
+        try {
+            setup = await AuthService.startTwoFactorSetup();
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'totpSetupModal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 mb-2">Aktifkan Verifikasi Dua Langkah</h3>
+                ${forced ? '<p class="text-sm text-red-600 mb-2">Role Anda wajib menggunakan verifikasi dua langkah.</p>' : ''}
+                <ol class="text-sm text-gray-600 mb-4 list-decimal list-inside space-y-1">
+                    <li>Pindai kode QR dengan aplikasi autentikator, atau masukkan kunci secara manual.</li>
+                    <li>Masukkan kode 6 digit yang muncul di aplikasi.</li>
+                </ol>
+                <div id="totpQr" class="flex justify-center mb-3"></div>
+                <p class="text-xs text-gray-500 text-center mb-1">Kunci manual</p>
+                <p class="font-mono text-sm text-center break-all bg-gray-50 border border-gray-200 rounded p-2 mb-4">${setup.secret.replace(/(.{4})/g, '$1 ').trim()}</p>
+                <form id="totpSetupForm" onsubmit="event.preventDefault(); UIService.submitTwoFactorSetup(this)" class="space-y-4">
+                    <input type="text" name="code" required inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="123456"
+                           class="w-full px-3 py-2 border border-gray-300 rounded-md text-center font-mono text-lg tracking-widest">
+                    <div class="flex justify-end space-x-3">
+                        <button type="button" onclick="document.getElementById('totpSetupModal').remove(); ${forced ? 'AuthService.logout()' : ''}"
+                                class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                            ${forced ? 'Keluar' : 'Batal'}
+                        </button>
+                        <button type="submit" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                            Aktifkan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        if (!TotpService.renderQRCode(modal.querySelector('#totpQr'), setup.uri)) {
+            modal.querySelector('#totpQr').innerHTML = '<p class="text-xs text-gray-500">Kode QR tidak dapat ditampilkan. Gunakan kunci manual.</p>';
+        }
+    },
+
+    /**
+     * Confirm enrollment and show the recovery codes
+     */
+    async submitTwoFactorSetup(form) {
+        try {
+            const recoveryCodes = await AuthService.enableTwoFactor(form.elements.code.value);
+            document.getElementById('totpSetupModal')?.remove();
+            this.showRecoveryCodes(recoveryCodes);
+            if (this.currentPage === 'profil') {
+                this.renderCurrentPage();
+            }
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Replace the recovery codes from the profile page
+     */
+    async regenerateRecoveryCodes(form) {
+        if (!form.reportValidity()) return;
+
+        try {
+            const recoveryCodes = await AuthService.regenerateRecoveryCodes(form.elements.password.value);
+            this.showRecoveryCodes(recoveryCodes);
+            this.renderCurrentPage();
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Turn two-factor authentication off from the profile page
+     */
+    async disableTwoFactor(form) {
+        if (!form.reportValidity()) return;
+
+        try {
+            await AuthService.disableTwoFactor(form.elements.password.value);
+            this.renderCurrentPage();
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Show recovery codes once, with a download
+     */
+    showRecoveryCodes(recoveryCodes) {
+        this.pendingRecoveryCodes = recoveryCodes;
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 mb-2">Kode Pemulihan</h3>
+                <p class="text-sm text-red-600 mb-4">Kode hanya ditampilkan sekali. Simpan di tempat aman; setiap kode hanya dapat digunakan satu kali untuk login tanpa aplikasi autentikator.</p>
+                <div class="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded p-3">
+                    ${recoveryCodes.map(item => `<span>${item}</span>`).join('')}
+                </div>
+                <div class="flex justify-end space-x-3 mt-4">
+                    <button onclick="UIService.downloadRecoveryCodes()" 
+                            class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                        Unduh
+                    </button>
+                    <button onclick="UIService.pendingRecoveryCodes = null; this.closest('.fixed').remove();" 
+                            class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                        Tutup
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Download the recovery codes shown in showRecoveryCodes
+     */
+    downloadRecoveryCodes() {
+        const codes = this.pendingRecoveryCodes || [];
+        const content = [
+            `${AppConfig.get('app_title')} - Kode Pemulihan SISPIN`,
+            `Akun: ${AuthService.currentUser.username}`,
+            '',
+            ...codes
+        ].join('\n');
+        this.downloadFile(content, `kode-pemulihan-${AuthService.currentUser.username}.txt`, 'text/plain;charset=utf-8');
+    },
+
+    /**
+     * Ask before removing two-factor authentication from an account
+     */
+    confirmTwoFactorReset(username) {
+        this.pendingTwoFactorReset = username;
+        this.showConfirmation(
+            `Reset verifikasi dua langkah akun ${SecurityService.sanitizeInput(username)}? Pengguna dapat login hanya dengan password sampai mengaktifkannya kembali.`,
+            'UIService.resetPendingTwoFactor'
+        );
+    },
+
+    /**
+     * Reset the account selected in confirmTwoFactorReset
+     */
+    async resetPendingTwoFactor() {
+        const username = this.pendingTwoFactorReset;
+        this.pendingTwoFactorReset = null;
+
+        try {
+            await AuthService.resetTwoFactor(username);
+            if (this.currentPage === 'manajemen' && this.manajemenTab === 'password') {
+                this.showManajemenTab('password');
+            }
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Render account password and two-factor status, admin resets and the login policy
+     */
+    renderPasswordManagement() {
+        const accounts = Object.entries(AuthService.users)
+            .map(([username, user]) => ({ username, ...user }))
+            .sort((a, b) => a.username.localeCompare(b.username));
+
+        const status = account => {
+            if (account.must_change_password && account.temp_password_expires_at) {
+                return AuthService.isTemporaryPasswordExpired(account)
+                    ? '<span class="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">Sementara, kedaluwarsa</span>'
+                    : `<span class="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Sementara s.d. ${new Date(account.temp_password_expires_at).toLocaleString('id-ID')}</span>`;
+            }
+            if (account.must_change_password) {
+                return '<span class="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Wajib diganti</span>';
+            }
+            if (AuthService.isPasswordExpired(account)) {
+                return '<span class="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">Kedaluwarsa</span>';
+            }
+            return '<span class="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">Aktif</span>';
+        };
+
+        return `
+            <div class="space-y-6">
+                <div class="bg-white rounded-lg shadow">
+                    <div class="px-6 py-4 border-b border-gray-200">
+                        <h3 class="text-lg font-medium text-gray-900">Kebijakan Login</h3>
+                        <p class="text-sm text-gray-600 mt-1">Pengguna wajib membuat password baru setelah masa berlaku habis. Akun bawaan yang belum pernah mengganti password dianggap kedaluwarsa.</p>
+                    </div>
+                    <form id="passwordPolicyForm" onsubmit="event.preventDefault(); UIService.savePasswordPolicy(this)" class="p-6 space-y-4 max-w-md">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Masa berlaku password (hari, 0 = tanpa batas)</label>
+                            <input type="number" name="password_max_age_days" min="0" required value="${AppConfig.get('security.password_max_age_days')}" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Masa berlaku password sementara (jam)</label>
+                            <input type="number" name="temp_password_ttl" min="1" required value="${AppConfig.get('security.temp_password_ttl') / 3600000}" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+                        <div>
+                            <span class="block text-sm font-medium text-gray-700 mb-1">Wajib verifikasi dua langkah untuk role</span>
+                            <div class="flex flex-wrap gap-3">
+                                ${Object.entries(AuthService.roles).map(([key, role]) => `
+                                    <label class="flex items-center text-sm text-gray-700">
+                                        <input type="checkbox" name="totp_required_roles" value="${key}"
+                                               ${AuthService.isTwoFactorRequired(key) ? 'checked' : ''}
+                                               class="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2">
+                                        ${SecurityService.sanitizeInput(role.name)}
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </div>
+                        <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">Simpan</button>
+                    </form>
+                </div>
+
+                <div class="bg-white rounded-lg shadow">
+                    <div class="px-6 py-4 border-b border-gray-200">
+                        <h3 class="text-lg font-medium text-gray-900">Password Akun</h3>
+                        <p class="text-sm text-gray-600 mt-1">Reset membuat password sementara yang hanya berlaku untuk satu kali login. Pengguna wajib menggantinya setelah login.</p>
+                    </div>
+                    <div class="p-6 overflow-x-auto">
+                        <table class="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead class="bg-gray-50">
+                                <tr>
+                                    <th class="px-4 py-2 text-left font-medium text-gray-500">Username</th>
+                                    <th class="px-4 py-2 text-left font-medium text-gray-500">Nama</th>
+                                    <th class="px-4 py-2 text-left font-medium text-gray-500">Role</th>
+                                    <th class="px-4 py-2 text-left font-medium text-gray-500">Terakhir Diganti</th>
+                                    <th class="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                                    <th class="px-4 py-2 text-left font-medium text-gray-500">2FA</th>
+                                    <th class="px-4 py-2 text-right font-medium text-gray-500">Aksi</th>
+                                </tr>
+                            </thead>
+                            <tbody class="divide-y divide-gray-100">
+                                ${accounts.map(account => `
+                                    <tr>
+                                        <td class="px-4 py-2 font-mono">${SecurityService.sanitizeInput(account.username)}</td>
+                                        <td class="px-4 py-2">${SecurityService.sanitizeInput(account.name || '-')}</td>
+                                        <td class="px-4 py-2">${AuthService.getRoleDisplayName(account.role)}</td>
+                                        <td class="px-4 py-2 whitespace-nowrap">${account.password_changed_at ? new Date(account.password_changed_at).toLocaleString('id-ID') : '-'}</td>
+                                        <td class="px-4 py-2">${status(account)}</td>
+                                        <td class="px-4 py-2">
+                                            ${account.totp_enabled ? '<span class="text-green-700">Aktif</span>' : AuthService.isTwoFactorRequired(account.role) ? '<span class="text-red-700">Wajib, belum aktif</span>' : '-'}
+                                        </td>
+                                        <td class="px-4 py-2 text-right whitespace-nowrap">
+                                            ${account.username === AuthService.currentUser.username ? '' : `
+                                                <button onclick="UIService.confirmPasswordReset('${SecurityService.sanitizeInput(account.username)}')" class="text-blue-600 hover:text-blue-800">Reset Password</button>
+                                                ${account.totp_enabled ? `
+                                                    <button onclick="UIService.confirmTwoFactorReset('${SecurityService.sanitizeInput(account.username)}')" class="text-red-600 hover:text-red-800 ml-3">Reset 2FA</button>
+                                                ` : ''}
+                                            `}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Save the password expiry and two-factor policy for every user
+     */
+    async savePasswordPolicy(form) {
+        const maxAge = parseInt(form.elements.password_max_age_days.value, 10);
+        const tempTtl = parseFloat(form.elements.temp_password_ttl.value) * 3600000;
+
+        if (!(maxAge >= 0) || !(tempTtl > 0)) {
+            NotificationService.show('Nilai kebijakan password tidak valid', 'error');
+            return;
+        }
+
+        try {
+            await AppConfig.saveShared('security.password_max_age_days', maxAge);
+            await AppConfig.saveShared('security.temp_password_ttl', tempTtl);
+            await AppConfig.saveShared('security.totp_required_roles', Array.from(form.querySelectorAll('input[name="totp_required_roles"]:checked')).map(input => input.value));
+        } catch (error) {
+            // DataService already notified the user
+            return;
+        }
+        NotificationService.show('Kebijakan password disimpan', 'success');
+        this.showManajemenTab('password');
+    },
+
+    /**
+     * Ask before replacing an account's password
+     */
+    confirmPasswordReset(username) {
+        this.pendingPasswordReset = username;
+        this.showConfirmation(
+            `Reset password akun ${SecurityService.sanitizeInput(username)}? Password lama tidak dapat digunakan lagi.`,
+            'UIService.resetPendingPassword'
+        );
+    },
+
+    /**
+     * Reset the password selected in confirmPasswordReset and show the temporary one
+     */
+    async resetPendingPassword() {
+        const username = this.pendingPasswordReset;
+        this.pendingPasswordReset = null;
+
+        try {
+            this.showLoading('Mereset password...');
+            const { password, expiresAt } = await AuthService.resetPassword(username);
+            this.showTemporaryPassword(username, password, expiresAt);
+            if (this.currentPage === 'manajemen' && this.manajemenTab === 'password') {
+                this.showManajemenTab('password');
+            }
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Show a temporary password once
+     */
+    showTemporaryPassword(username, password, expiresAt) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-sm w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 mb-2">Password Sementara</h3>
+                <p class="text-sm text-red-600 mb-4">Password hanya ditampilkan sekali. Berikan kepada pemilik akun secara langsung.</p>
+                <dl class="space-y-2 text-sm">
+                    <div class="flex justify-between"><dt class="text-gray-500">Username</dt><dd class="font-mono">${SecurityService.sanitizeInput(username)}</dd></div>
+                    <div class="flex justify-between"><dt class="text-gray-500">Password</dt><dd class="font-mono text-lg">${password}</dd></div>
+                    <div class="flex justify-between"><dt class="text-gray-500">Berlaku sampai</dt><dd>${new Date(expiresAt).toLocaleString('id-ID')}</dd></div>
+                </dl>
+                <div class="flex justify-end mt-4">
+                    <button onclick="this.closest('.fixed').remove()" 
+                            class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                        Tutup
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Render audit log viewer
+     */
+    renderAuditLog() {
+        const filters = this.auditFilters;
+        const recordTypes = Array.from(new Set(DataService.getFilteredData('audit').map(e => e.record_type).filter(Boolean)));
+        const actions = Array.from(new Set(DataService.getFilteredData('audit').map(e => e.action)));
+
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                    <div>
+                        <h3 class="text-lg font-medium text-gray-900">Log Audit</h3>
+                        <p class="text-sm text-gray-600 mt-1">Catatan perubahan data, login, dan keputusan persetujuan. Log tidak dapat diubah atau dihapus.</p>
+                    </div>
+                    <button onclick="UIService.exportAuditLog()" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors">
+                        Ekspor CSV
+                    </button>
+                </div>
+                <div class="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-5 gap-4">
+                    <input type="text" value="${SecurityService.sanitizeInput(filters.query || '')}" placeholder="Cari pengguna, data, atau ID..."
+                           onchange="UIService.setAuditFilter('query', this.value)" class="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md">
+                    <select onchange="UIService.setAuditFilter('action', this.value)" class="px-3 py-2 border border-gray-300 rounded-md">
+                        <option value="">Semua Aksi</option>
+                        ${actions.map(action => `
+                            <option value="${SecurityService.sanitizeInput(action)}" ${filters.action === action ? 'selected' : ''}>${SecurityService.sanitizeInput(this.getAuditActionLabel(action))}</option>
+                        `).join('')}
+                    </select>
+                    <select onchange="UIService.setAuditFilter('record_type', this.value)" class="px-3 py-2 border border-gray-300 rounded-md">
+                        <option value="">Semua Jenis Data</option>
+                        ${recordTypes.map(type => `
+                            <option value="${SecurityService.sanitizeInput(type)}" ${filters.record_type === type ? 'selected' : ''}>${this.getTypeIcon(type)} ${SecurityService.sanitizeInput(type)}</option>
+                        `).join('')}
+                    </select>
+                    <div class="flex gap-2">
+                        <input type="date" value="${filters.from || ''}" onchange="UIService.setAuditFilter('from', this.value)" class="w-1/2 px-2 py-2 border border-gray-300 rounded-md text-sm">
+                        <input type="date" value="${filters.to || ''}" onchange="UIService.setAuditFilter('to', this.value)" class="w-1/2 px-2 py-2 border border-gray-300 rounded-md text-sm">
+                    </div>
+                </div>
+                <div class="p-6">
+                    ${this.renderAuditEntries()}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render filtered audit entries
+     */
+    renderAuditEntries() {
+        const entries = AuditService.search(this.auditFilters);
+        if (entries.length === 0) {
+            return '<p class="text-gray-500 text-center py-8">Tidak ada entri log.</p>';
+        }
+
+        return `
+            <div class="overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Waktu</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Pengguna</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Aksi</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Data</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-500">Perubahan</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100 align-top">
+                        ${entries.map(entry => `
+                            <tr>
+                                <td class="px-4 py-2 whitespace-nowrap">${new Date(entry.createdAt).toLocaleString('id-ID')}</td>
+                                <td class="px-4 py-2">
+                                    ${SecurityService.sanitizeInput(entry.actor_name)}
+                                    <span class="block text-xs text-gray-500">${SecurityService.sanitizeInput(entry.actor)} • ${AuthService.getRoleDisplayName(entry.role)}</span>
+                                </td>
+                                <td class="px-4 py-2">${SecurityService.sanitizeInput(this.getAuditActionLabel(entry.action))}</td>
+                                <td class="px-4 py-2">
+                                    ${entry.record_type ? `${this.getTypeIcon(entry.record_type)} ${SecurityService.sanitizeInput(entry.record_label)}` : '-'}
+                                    ${entry.record_id ? `
+                                        <button data-record-id="${SecurityService.sanitizeInput(entry.record_id)}" class="block text-xs text-blue-600 hover:text-blue-800">Riwayat data ini</button>
+                                    ` : ''}
+                                </td>
+                                <td class="px-4 py-2">
+                                    ${(entry.changes || []).map(change => `
+                                        <div class="text-xs">
+                                            <span class="font-medium">${SecurityService.sanitizeInput(change.field)}</span>:
+                                            <span class="text-red-600 line-through">${SecurityService.sanitizeInput(this.formatAuditValue(change.before))}</span>
+                                            → <span class="text-green-700">${SecurityService.sanitizeInput(this.formatAuditValue(change.after))}</span>
+                                        </div>
+                                    `).join('')}
+                                    ${entry.comment ? `<div class="text-xs text-gray-600 italic">${SecurityService.sanitizeInput(entry.comment)}</div>` : ''}
+                                    ${entry.locked ? '<div class="text-xs text-gray-500">🔒 Terenkripsi</div>' : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Update an audit filter and refresh the list
+     */
+    setAuditFilter(key, value) {
+        this.auditFilters[key] = value;
+        const content = document.getElementById('manajemenTabContent');
+        if (content) {
+            content.innerHTML = this.renderAuditLog();
+            this.bindAuditEntries(content);
+        }
+    },
+
+    /**
+     * Bind the "record history" buttons of the audit list
+     * The id comes from a stored entry, so it is read from a data attribute
+     * instead of being written into an inline handler
+     */
+    bindAuditEntries(container) {
+        container.querySelectorAll('button[data-record-id]').forEach(button => {
+            button.addEventListener('click', () => this.setAuditFilter('query', button.dataset.recordId));
+        });
+    },
+
+    /**
+     * Get label for an audit action
+     */
+    getAuditActionLabel(action) {
+        if (AuditService.actionLabels[action]) return AuditService.actionLabels[action];
+
+        const transition = WorkflowService.transitions[action.replace(/^workflow_/, '')];
+        return transition ? `Persetujuan: ${transition.label}` : action;
+    },
+
+    /**
+     * Format a value from an audit diff
+     */
+    formatAuditValue(value) {
+        if (value === undefined || value === null || value === '') return '∅';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    },
+
+    /**
+     * Export the filtered audit log as CSV
+     */
+    exportAuditLog() {
+        const csv = AuditService.toCSV(AuditService.search(this.auditFilters));
+        const date = new Date().toISOString().split('T')[0];
+        this.downloadFile(csv, `audit-log-${date}.csv`, 'text/csv;charset=utf-8');
+    },
+
+    /**
+     * Trigger a browser download for generated content
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Render records of a type as an interactive table
+     * Search, filters, sorting and paging live in tableStates so they survive
+     * re-renders; only the body is redrawn when they change.
+     */
+    renderDataTable(data, type) {
+        this.tableData[type] = data;
+        const state = this.getTableState(type);
+
+        return `
+            <div id="dataTable_${type}">
+                <div class="flex flex-wrap items-end gap-3 mb-4">
+                    <div class="flex-1 min-w-48">
+                        <input type="search" value="${SecurityService.sanitizeInput(state.search)}" placeholder="Cari data..."
+                               oninput="UIService.setTableSearch('${type}', this.value)"
+                               class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500">
+                    </div>
+                    ${this.renderTableFilters(type, state)}
+                </div>
+                <div id="dataTableBody_${type}">
+                    ${this.renderTableBody(type)}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Table state of a type
+     */
+    getTableState(type) {
+        if (!this.tableStates[type]) {
+            this.tableStates[type] = { search: '', filters: {}, sort: null, page: 1 };
+        }
+        return this.tableStates[type];
+    },
+
+    /**
+     * Columns of a type; types without a schema show their title and date
+     */
+    getTableColumns(type) {
+        const columns = SchemaService.getColumns(type);
+        if (columns.length) return columns;
+        return [
+            { name: 'title', label: 'Judul' },
+            { name: 'createdAt', label: 'Dibuat', input: 'date' }
+        ];
+    },
+
+    /**
+     * Filter controls: a select per enum column, a range per date column and the review status
+     */
+    renderTableFilters(type, state) {
+        const selectClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm';
+
+        const filters = this.getTableColumns(type).map(column => {
+            if (column.options) {
+                return `
+                    <select onchange="UIService.setTableFilter('${type}', '${column.name}', this.value)" class="${selectClass}">
+                        <option value="">Semua ${column.label}</option>
+                        ${SchemaService.getOptions(column).map(option => `
+                            <option value="${SecurityService.sanitizeInput(option.value)}" ${state.filters[column.name] === String(option.value) ? 'selected' : ''}>
+                                ${SecurityService.sanitizeInput(option.label)}
+                            </option>
+                        `).join('')}
+                    </select>
+                `;
+            }
+
+            if (column.input === 'date') {
+                return `
+                    <div class="flex items-center gap-1 text-sm text-gray-600">
+                        <span>${column.label}</span>
+                        <input type="date" value="${state.filters[`${column.name}_from`] || ''}" title="Dari"
+                               onchange="UIService.setTableFilter('${type}', '${column.name}_from', this.value)" class="${selectClass}">
+                        <span>–</span>
+                        <input type="date" value="${state.filters[`${column.name}_to`] || ''}" title="Sampai"
+                               onchange="UIService.setTableFilter('${type}', '${column.name}_to', this.value)" class="${selectClass}">
+                    </div>
+                `;
+            }
+            return '';
+        });
+
+        if (!WorkflowService.isExempt(type)) {
+            filters.push(`
+                <select onchange="UIService.setTableFilter('${type}', 'workflow_status', this.value)" class="${selectClass}">
+                    <option value="">Semua Status</option>
+                    ${Object.entries(WorkflowService.states).map(([key, status]) => `
+                        <option value="${key}" ${state.filters.workflow_status === key ? 'selected' : ''}>${status.label}</option>
+                    `).join('')}
+                </select>
+            `);
+        }
+
+        return filters.join('');
+    },
+
+    /**
+     * Records of a type after search, filters and sorting
+     */
+    getTableRows(type) {
+        const state = this.getTableState(type);
+        const columns = this.getTableColumns(type);
+        const { filters } = state;
+
+        let rows = (this.tableData[type] || []).filter(item => {
+            if (filters.workflow_status && WorkflowService.getStatus(item) !== filters.workflow_status) return false;
+
+            return columns.every(column => {
+                if (column.input === 'date') {
+                    const value = String(item[column.name] || '').slice(0, 10);
+                    const from = filters[`${column.name}_from`];
+                    const to = filters[`${column.name}_to`];
+                    if (from && (!value || value < from)) return false;
+                    if (to && (!value || value > to)) return false;
+                    return true;
+                }
+                const filter = filters[column.name];
+                return !filter || String(item[column.name] ?? '') === filter;
+            });
+        });
+
+        const query = state.search.trim().toLowerCase();
+        if (query) {
+            rows = rows.filter(item => columns.some(column =>
+                SchemaService.formatValue(column, item[column.name]).toLowerCase().includes(query)
+            ));
+        }
+
+        if (state.sort) {
+            const direction = state.sort.dir === 'desc' ? -1 : 1;
+            rows = [...rows].sort((a, b) => this.compareTableValues(a[state.sort.field], b[state.sort.field]) * direction);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Compare two cell values; numbers numerically, empty values last
+     */
+    compareTableValues(a, b) {
+        const emptyA = a === undefined || a === null || a === '';
+        const emptyB = b === undefined || b === null || b === '';
+        if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        return String(a).localeCompare(String(b), 'id', { numeric: true, sensitivity: 'base' });
+    },
+
+    /**
+     * Render the table body: paged, or windowed when virtual scrolling is on
+     */
+    renderTableBody(type) {
+        const state = this.getTableState(type);
+        const columns = this.getTableColumns(type);
+        const rows = this.getTableRows(type);
+
+        if (rows.length === 0) {
+            this.virtualScrollInstances.delete(type);
+            const message = (this.tableData[type] || []).length ? 'Tidak ada data yang cocok' : 'Belum ada data';
+            return `<p class="text-sm text-gray-500 text-center py-8">${message}</p>`;
+        }
+
+        const pageSize = AppConfig.get('performance.table_page_size') || 25;
+        const header = `
+            <thead class="bg-gray-50 sticky top-0 z-10">
+                <tr>
+                    ${columns.map(column => `
+                        <th onclick="UIService.sortTable('${type}', '${column.name}')"
+                            class="px-4 py-2 text-left font-medium text-gray-500 cursor-pointer select-none whitespace-nowrap hover:text-gray-700">
+                            ${column.label}
+                            ${state.sort && state.sort.field === column.name ? (state.sort.dir === 'asc' ? '▲' : '▼') : ''}
+                        </th>
+                    `).join('')}
+                    <th class="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                    <th class="px-4 py-2 text-right font-medium text-gray-500">Aksi</th>
+                </tr>
+            </thead>
+        `;
+
+        // Large result sets scroll in a fixed window that only holds the visible rows
+        if (AppConfig.get('performance.enable_virtual_scrolling') && rows.length > pageSize) {
+            this.virtualScrollInstances.set(type, { rows, columns, rowHeight: 44, visibleRows: 12, overscan: 5, start: null });
+
+            return `
+                <div id="virtualScroll_${type}" onscroll="UIService.updateVirtualScroll('${type}')"
+                     class="overflow-auto border border-gray-200 rounded" style="height: ${44 * 13}px">
+                    <table class="min-w-full divide-y divide-gray-200 text-sm">
+                        ${header}
+                        <tbody id="virtualBody_${type}" class="divide-y divide-gray-100">
+                            ${this.renderVirtualRows(type)}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="text-xs text-gray-500 mt-2">${rows.length} data</p>
+            `;
+        }
+
+        this.virtualScrollInstances.delete(type);
+        const pages = Math.ceil(rows.length / pageSize);
+        state.page = Math.min(Math.max(state.page, 1), pages);
+        const first = (state.page - 1) * pageSize;
+        const pageRows = rows.slice(first, first + pageSize);
+
+        return `
+            <div class="overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    ${header}
+                    <tbody class="divide-y divide-gray-100">
+                        ${pageRows.map(item => this.renderTableRow(item, columns)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="flex justify-between items-center mt-4 text-sm text-gray-600">
+                <span>Menampilkan ${first + 1}–${first + pageRows.length} dari ${rows.length} data</span>
+                ${pages > 1 ? `
+                    <div class="flex items-center space-x-2">
+                        <button onclick="UIService.setTablePage('${type}', ${state.page - 1})" ${state.page === 1 ? 'disabled' : ''}
+                                class="px-3 py-1 border border-gray-300 rounded disabled:opacity-50">‹ Sebelumnya</button>
+                        <span>Halaman ${state.page} dari ${pages}</span>
+                        <button onclick="UIService.setTablePage('${type}', ${state.page + 1})" ${state.page === pages ? 'disabled' : ''}
+                                class="px-3 py-1 border border-gray-300 rounded disabled:opacity-50">Berikutnya ›</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Render one row with the actions the current user may take
+     */
+    renderTableRow(item, columns) {
+        const id = item.__backendId;
+        const canEdit = DataService.canUpdateData(item) && SchemaService.get(item.type);
+        const canApprove = WorkflowService.canTransition(item, 'approve');
+        const canDelete = DataService.canDeleteData(item);
+
+        return `
+            <tr style="height: 44px">
+                ${columns.map(column => `
+                    <td class="px-4 py-2 text-gray-800 whitespace-nowrap max-w-xs truncate">
+                        ${SecurityService.sanitizeInput(SchemaService.formatValue(column, item[column.name]))}
+                    </td>
+                `).join('')}
+                <td class="px-4 py-2 whitespace-nowrap">${this.renderWorkflowBadge(item)}</td>
+                <td class="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                    <button onclick="UIService.showReviewDetail('${id}')" class="text-blue-600 hover:text-blue-800">Detail</button>
+                    ${canEdit ? `<button onclick="UIService.showEditForm('${id}')" class="text-indigo-600 hover:text-indigo-800">Ubah</button>` : ''}
+                    ${canApprove ? `<button onclick="UIService.approveRecord('${id}')" class="text-green-600 hover:text-green-800">Setujui</button>` : ''}
+                    ${canDelete ? `<button onclick="UIService.confirmDeleteRecord('${id}')" class="text-red-600 hover:text-red-800">Hapus</button>` : ''}
+                    ${this.renderRecordActions(item)}
+                </td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Rows inside the scroll window, with spacers standing in for the rest
+     */
+    renderVirtualRows(key, scrollTop = 0) {
+        const instance = this.virtualScrollInstances.get(key);
+        if (!instance) return '';
+
+        const { rows, columns, rowHeight, visibleRows, overscan } = instance;
+        const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+        const end = Math.min(rows.length, start + visibleRows + overscan * 2);
+        instance.start = start;
+
+        const spacer = height => height > 0
+            ? `<tr style="height: ${height}px"><td colspan="${columns.length + 2}" style="padding: 0; border: 0"></td></tr>`
+            : '';
+
+        return spacer(start * rowHeight) +
+            rows.slice(start, end).map(item => this.renderTableRow(item, columns)).join('') +
+            spacer((rows.length - end) * rowHeight);
+    },
+
+    /**
+     * Redraw a table body
+     */
+    refreshDataTable(type) {
+        const body = document.getElementById(`dataTableBody_${type}`);
+        if (body) {
+            body.innerHTML = this.renderTableBody(type);
+        }
+    },
+
+    /**
+     * Sort by a column; clicking again reverses the order
+     */
+    sortTable(type, field) {
+        const state = this.getTableState(type);
+        state.sort = state.sort && state.sort.field === field
+            ? { field, dir: state.sort.dir === 'asc' ? 'desc' : 'asc' }
+            : { field, dir: 'asc' };
+        this.refreshDataTable(type);
+    },
+
+    /**
+     * Update the search text of a table
+     */
+    setTableSearch(type, value) {
+        const state = this.getTableState(type);
+        state.search = value;
+        state.page = 1;
+        this.refreshDataTable(type);
+    },
+
+    /**
+     * Update a column filter of a table
+     */
+    setTableFilter(type, key, value) {
+        const state = this.getTableState(type);
+        state.filters[key] = value;
+        state.page = 1;
+        this.refreshDataTable(type);
+    },
+
+    /**
+     * Go to a page of a table
+     */
+    setTablePage(type, page) {
+        this.getTableState(type).page = page;
+        this.refreshDataTable(type);
+    },
+
+    /**
+     * Show the edit form of a record, built from its schema
+     */
+    showEditForm(id) {
+        const record = DataService.allData.find(d => d.__backendId === id);
+        if (!record || !DataService.canUpdateData(record)) {
+            NotificationService.show('Tidak memiliki izin untuk mengubah data ini', 'error');
+            return;
+        }
+        const schema = SchemaService.get(record.type);
+        if (!schema) return;
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-screen overflow-y-auto">
+                <h3 class="text-lg font-semibold text-gray-900 mb-4">Ubah ${schema.title}</h3>
+                <form id="editForm_${id}" onsubmit="event.preventDefault(); UIService.submitEditForm(this, '${id}')" novalidate>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        ${SchemaService.renderFields(record.type, DataService.redactRecord(record), { existing: record })}
+                    </div>
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button type="button" onclick="this.closest('.fixed').remove()"
+                                class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                            Batal
+                        </button>
+                        <button type="submit" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                            Simpan Perubahan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Validate and save an edit form
+     */
+    async submitEditForm(form, id) {
+        const record = DataService.allData.find(d => d.__backendId === id);
+        if (!record) return;
+
+        const data = SchemaService.readForm(record.type, form);
+        const validation = SchemaService.validate(record.type, { ...record, ...data }, { existing: record });
+        if (!validation.valid) {
+            SchemaService.showFieldError(form, validation.field, validation.message);
+            return;
+        }
+
+        try {
+            this.showLoading('Menyimpan data...');
+            await DataService.updateData(id, data);
+            form.closest('.fixed')?.remove();
+        } catch (error) {
+            SchemaService.showFieldError(form, null, error.message);
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Approve a record straight from a table row
+     */
+    async approveRecord(id) {
+        try {
+            await WorkflowService.transition(id, 'approve');
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Confirm and move a record to the recycle bin
+     */
+    confirmDeleteRecord(id) {
+        this.pendingRecordDelete = id;
+        this.showConfirmation(
+            'Pindahkan data ini ke Tempat Sampah?',
+            'UIService.deletePendingRecord'
+        );
+    },
+
+    /**
+     * Delete the record selected in confirmDeleteRecord
+     */
+    async deletePendingRecord() {
+        const id = this.pendingRecordDelete;
+        this.pendingRecordDelete = null;
+        if (!id) return;
+
+        try {
+            this.showLoading('Menghapus data...');
+            await DataService.deleteData(id);
+        } catch (error) {
+            // DataService already notified the user
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Show the add form of a type, built from its schema
+     * defaults prefill fields, e.g. the habit picked from a card
+     */
+    showAddForm(type, defaults = {}) {
+        const schema = SchemaService.get(type);
+        if (!schema) {
+            NotificationService.show('Formulir untuk data ini belum tersedia', 'error');
+            return;
+        }
+        document.getElementById('addFormModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'addFormModal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-screen overflow-y-auto">
+                <h3 class="text-lg font-semibold text-gray-900 mb-4">Tambah ${schema.title}</h3>
+                <form id="addForm_${type}" onsubmit="event.preventDefault(); UIService.submitAddForm(this, '${type}')" novalidate>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        ${SchemaService.renderFields(type, defaults)}
+                    </div>
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button type="button" onclick="this.closest('.fixed').remove()"
+                                class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                            Batal
+                        </button>
+                        ${!WorkflowService.canReview() && !WorkflowService.isExempt(type) ? `
+                            <button type="button" onclick="UIService.submitAddForm(this.form, '${type}', true)"
+                                    class="px-4 py-2 border border-blue-300 rounded-md text-sm font-medium text-blue-700 hover:bg-blue-50">
+                                Simpan sebagai Draf
+                            </button>
+                        ` : ''}
+                        <button type="submit" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                            Simpan
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        modal.querySelector('input, select, textarea')?.focus();
+    },
+
+    /**
+     * Validate and save an add form
+     * Schema errors are shown next to the field; the modal stays open on failure
+     */
+    async submitAddForm(form, type, asDraft = false) {
+        const data = SchemaService.readForm(type, form);
+        const validation = SchemaService.validate(type, data);
+        if (!validation.valid) {
+            SchemaService.showFieldError(form, validation.field, validation.message);
+            return;
+        }
+
+        try {
+            this.showLoading('Menyimpan data...');
+            await DataService.createData(type, data, { draft: asDraft });
+            form.closest('.fixed')?.remove();
+        } catch (error) {
+            SchemaService.showFieldError(form, null, error.message);
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Open the import wizard for a master data type
+     */
+    showImportWizard(type) {
+        document.getElementById('importWizardModal')?.remove();
+        this.importState = { type, step: 'upload', fileName: '', headers: [], rows: [], mapping: {}, items: [], summary: null };
+
+        const modal = document.createElement('div');
+        modal.id = 'importWizardModal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-4xl w-full mx-4 max-h-screen overflow-y-auto">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-semibold text-gray-900">Impor ${SchemaService.get(type).title}</h3>
+                    <button onclick="UIService.closeImportWizard()" class="text-gray-400 hover:text-gray-600">✕</button>
+                </div>
+                <div id="importWizardBody"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        this.renderImportStep();
+    },
+
+    /**
+     * Close the import wizard and drop the loaded file
+     */
+    closeImportWizard() {
+        this.importState = null;
+        document.getElementById('importWizardModal')?.remove();
+    },
+
+    /**
+     * Draw the current wizard step
+     */
+    renderImportStep() {
+        const body = document.getElementById('importWizardBody');
+        const state = this.importState;
+        if (!body || !state) return;
+
+        const steps = { upload: '1. Unggah File', mapping: '2. Cocokkan Kolom', preview: '3. Periksa Data', summary: '4. Selesai' };
+        const header = `
+            <div class="flex flex-wrap gap-4 text-sm mb-6">
+                ${Object.entries(steps).map(([key, label]) => `
+                    <span class="${key === state.step ? 'font-semibold text-blue-600' : 'text-gray-400'}">${label}</span>
+                `).join('')}
+            </div>
+        `;
+
+        const renderers = {
+            upload: () => this.renderImportUpload(),
+            mapping: () => this.renderImportMapping(),
+            preview: () => this.renderImportPreview(),
+            summary: () => this.renderImportSummary()
+        };
+        body.innerHTML = header + renderers[state.step]();
+    },
+
+    /**
+     * Step 1: choose a file
+     */
+    renderImportUpload() {
+        const { type } = this.importState;
+
+        return `
+            <div class="space-y-4">
+                <p class="text-sm text-gray-600">
+                    Unggah file .xlsx atau .csv. Baris pertama harus berisi nama kolom.
+                    Gunakan template agar kolom langsung dikenali.
+                </p>
+                <input type="file" accept=".xlsx,.xls,.csv" onchange="UIService.loadImportFile(this)"
+                       class="block w-full text-sm text-gray-700 border border-gray-300 rounded-md p-2">
+                <button onclick="UIService.downloadImportTemplate('${type}')" class="text-sm text-blue-600 hover:text-blue-800">
+                    📄 Unduh template CSV
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Read the chosen file and suggest a column mapping
+     */
+    async loadImportFile(input) {
+        const file = input.files[0];
+        if (!file || !this.importState) return;
+
+        try {
+            this.showLoading('Membaca file...');
+            const { headers, rows } = await ImportService.readFile(file);
+            Object.assign(this.importState, {
+                step: 'mapping',
+                fileName: file.name,
+                headers,
+                rows,
+                mapping: ImportService.suggestMapping(this.importState.type, headers)
+            });
+            this.renderImportStep();
+        } catch (error) {
+            console.error('Import read error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+            input.value = '';
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Download an empty CSV with the expected columns
+     */
+    downloadImportTemplate(type) {
+        this.downloadFile(ImportService.buildTemplate(type), `template-${type}.csv`, 'text/csv;charset=utf-8');
+    },
+
+    /**
+     * Step 2: pick the column for each field
+     */
+    renderImportMapping() {
+        const { type, fileName, headers, rows, mapping } = this.importState;
+
+        return `
+            <p class="text-sm text-gray-600 mb-4">${SecurityService.sanitizeInput(fileName)} • ${rows.length} baris data</p>
+            <form id="importMappingForm" onsubmit="event.preventDefault(); UIService.applyImportMapping(this)" class="space-y-3">
+                ${ImportService.getFields(type).map(field => `
+                    <div class="grid grid-cols-2 gap-4 items-center">
+                        <label class="text-sm font-medium text-gray-700">
+                            ${field.label}${field.required === true ? ' <span class="text-red-500">*</span>' : ''}
+                        </label>
+                        <select name="${field.name}" class="px-3 py-2 border border-gray-300 rounded-md text-sm">
+                            <option value="">— Tidak diimpor —</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${mapping[field.name] === index ? 'selected' : ''}>${SecurityService.sanitizeInput(header || `Kolom ${index + 1}`)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+                ${type === 'guru' ? '<p class="text-xs text-gray-500">Guru tanpa password di file akan mendapat password sementara yang wajib diganti saat login pertama.</p>' : ''}
+                <div class="flex justify-between pt-4">
+                    <button type="button" onclick="UIService.importState.step = 'upload'; UIService.renderImportStep()"
+                            class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Kembali</button>
+                    <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700">Periksa Data</button>
+                </div>
+            </form>
+        `;
+    },
+
+    /**
+     * Validate all rows with the chosen mapping
+     */
+    applyImportMapping(form) {
+        const state = this.importState;
+        const mapping = {};
+        ImportService.getFields(state.type).forEach(field => {
+            const value = form.elements[field.name].value;
+            if (value !== '') mapping[field.name] = parseInt(value, 10);
+        });
+
+        state.mapping = mapping;
+        state.items = ImportService.analyze(state.type, state.rows, mapping);
+        state.step = 'preview';
+        this.renderImportStep();
+    },
+
+    /**
+     * Step 3: valid and invalid rows with their errors
+     */
+    renderImportPreview() {
+        const { type, items } = this.importState;
+        const columns = SchemaService.getColumns(type).slice(0, 4);
+        const valid = items.filter(item => item.errors.length === 0).length;
+        const capacity = ImportService.getCapacity();
+
+        return `
+            <div class="grid grid-cols-3 gap-4 mb-4 text-center">
+                <div class="bg-gray-50 rounded p-3"><p class="text-2xl font-bold">${items.length}</p><p class="text-xs text-gray-500">Total Baris</p></div>
+                <div class="bg-green-50 rounded p-3"><p class="text-2xl font-bold text-green-700">${valid}</p><p class="text-xs text-gray-500">Valid</p></div>
+                <div class="bg-red-50 rounded p-3"><p class="text-2xl font-bold text-red-700">${items.length - valid}</p><p class="text-xs text-gray-500">Tidak Valid</p></div>
+            </div>
+            ${valid > capacity ? `
+                <p class="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-3 mb-4">
+                    Batas maksimum data hanya menyisakan ${capacity} data. ${valid - capacity} baris valid terakhir akan dilewati.
+                </p>
+            ` : ''}
+            <div class="max-h-96 overflow-y-auto border border-gray-200 rounded">
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Baris</th>
+                            ${columns.map(column => `<th class="px-3 py-2 text-left font-medium text-gray-500">${column.label}</th>`).join('')}
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Hasil</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${items.map(item => `
+                            <tr class="${item.errors.length ? 'bg-red-50' : ''}">
+                                <td class="px-3 py-2 text-gray-500">${item.row}</td>
+                                ${columns.map(column => `
+                                    <td class="px-3 py-2">${SecurityService.sanitizeInput(SchemaService.formatValue(column, item.data[column.name]))}</td>
+                                `).join('')}
+                                <td class="px-3 py-2">
+                                    ${item.errors.length
+                                        ? `<ul class="text-red-700 list-disc list-inside">${item.errors.map(error => `<li>${SecurityService.sanitizeInput(error)}</li>`).join('')}</ul>`
+                                        : '<span class="text-green-700">✓ Valid</span>'}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="flex justify-between pt-4">
+                <button onclick="UIService.importState.step = 'mapping'; UIService.renderImportStep()"
+                        class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Kembali</button>
+                <button onclick="UIService.commitImport()" ${valid && capacity ? '' : 'disabled'}
+                        class="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50">
+                    Impor ${Math.min(valid, capacity)} Data Valid
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Save the valid rows and show the report
+     */
+    async commitImport() {
+        const state = this.importState;
+        if (!state) return;
+
+        try {
+            this.showLoading('Mengimpor data...');
+            state.summary = await ImportService.commit(state.type, state.items);
+            state.step = 'summary';
+            this.renderImportStep();
+        } catch (error) {
+            console.error('Import error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Step 4: import report
+     */
+    renderImportSummary() {
+        const { summary } = this.importState;
+
+        return `
+            <div class="space-y-4">
+                <ul class="text-sm space-y-1">
+                    <li class="text-green-700">✓ ${summary.created} data berhasil diimpor</li>
+                    <li class="text-red-700">✕ ${summary.invalid} baris tidak valid</li>
+                    ${summary.skipped ? `<li class="text-yellow-700">⚠ ${summary.skipped} baris dilewati karena batas maksimum data</li>` : ''}
+                    ${summary.failures.length ? `<li class="text-red-700">✕ ${summary.failures.length} baris gagal disimpan</li>` : ''}
+                </ul>
+                ${summary.failures.length ? `
+                    <ul class="text-sm text-red-700 bg-red-50 rounded p-3 list-disc list-inside">
+                        ${summary.failures.map(failure => `<li>Baris ${failure.row}: ${SecurityService.sanitizeInput(failure.message)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <div class="flex justify-end space-x-3">
+                    ${summary.credentials.length ? `
+                        <button onclick="UIService.showCredentialSlips(UIService.importState.summary.credentials)"
+                                class="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700">🔑 Lihat Password Sementara</button>
+                    ` : ''}
+                    <button onclick="UIService.closeImportWizard()" class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Tutup</button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show Guru Wali Tab
+     */
+    showWaliTab(tabType) {
+        this.waliTab = tabType;
+
+        // Update tab styling
+        document.querySelectorAll('.wali-tab').forEach(tab => {
+            tab.classList.remove('border-blue-500', 'text-blue-600');
+            tab.classList.add('border-transparent', 'text-gray-500');
+        });
+
+        const tabIds = { data: 'tabWaliData', absensi: 'tabWaliAbsensi', nilai: 'tabWaliNilai', perilaku: 'tabWaliPerilaku' };
+        const activeTab = document.getElementById(tabIds[tabType]);
+        if (activeTab) {
+            activeTab.classList.remove('border-transparent', 'text-gray-500');
+            activeTab.classList.add('border-blue-500', 'text-blue-600');
+        }
+
+        // Load content
+        const contentDiv = document.getElementById('waliTabContent');
+        if (!contentDiv) return;
+
+        switch (tabType) {
+            case 'absensi':
+                contentDiv.innerHTML = this.renderRollCall() + this.renderAttendanceRecap() + this.renderWaliRecords('absensi', 'Absensi Siswa');
+                break;
+            case 'nilai':
+                contentDiv.innerHTML = this.renderRaporPanel() + this.renderWaliRecords('nilai', 'Nilai Siswa');
+                break;
+            case 'perilaku':
+                contentDiv.innerHTML = this.renderWaliRecords('perilaku', 'Catatan Perilaku');
+                break;
+            default:
+                contentDiv.innerHTML = this.renderWaliRecords('siswa', 'Daftar Siswa', false);
+        }
+    },
+
+    /**
+     * Render a Guru Wali record list with its add button
+     */
+    renderWaliRecords(type, title, canAdd = true) {
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                    <h3 class="text-lg font-medium text-gray-900">${title}</h3>
+                    ${canAdd && AuthService.hasPermission('wali', 'create') ? `
+                        <button onclick="UIService.showAddForm('${type}')" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+                            Tambah Data
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="p-6">
+                    ${this.renderDataTable(DataService.getFilteredData(type), type)}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the rapor generator and the score weights
+     */
+    renderRaporPanel() {
+        const classes = Array.from(new Set(DataService.getFilteredData('siswa').map(s => s.class))).sort();
+        const semesters = RaporService.getSemesterOptions();
+        const weights = RaporService.getWeights();
+        const canEditWeights = AuthService.hasPermission('manajemen', 'update');
+
+        return `
+            <div class="bg-white rounded-lg shadow mb-6">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">📄 Rapor</h3>
+                    <p class="text-sm text-gray-600 mt-1">Nilai akhir dihitung dari rata-rata tiap jenis penilaian dikalikan bobotnya</p>
+                </div>
+                <div class="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div class="space-y-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Kelas</label>
+                            <select id="raporClass" onchange="UIService.updateRaporStudents()" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                ${classes.map(c => `<option value="${SecurityService.sanitizeInput(c)}">${SecurityService.sanitizeInput(c)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Semester</label>
+                            <select id="raporSemester" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                ${semesters.map(s => `<option value="${s.key}">${s.label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Siswa</label>
+                            <select id="raporStudent" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                ${this.renderRaporStudentOptions(classes[0])}
+                            </select>
+                        </div>
+                        <button onclick="UIService.generateRapor()" ${classes.length ? '' : 'disabled'}
+                                class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">
+                            Unduh Rapor PDF
+                        </button>
+                    </div>
+                    <form onsubmit="event.preventDefault(); UIService.saveRaporWeights(this)" class="space-y-3">
+                        <h4 class="text-sm font-medium text-gray-700">Bobot Penilaian (%)</h4>
+                        ${Object.entries(weights).map(([jenis, weight]) => `
+                            <div class="flex items-center justify-between">
+                                <label class="text-sm text-gray-700">${jenis}</label>
+                                <input type="number" name="${jenis}" value="${weight}" min="0" max="100" ${canEditWeights ? '' : 'disabled'}
+                                       class="w-24 px-3 py-1 border border-gray-300 rounded-md text-right">
+                            </div>
+                        `).join('')}
+                        ${canEditWeights ? `
+                            <button type="submit" class="px-4 py-2 border border-blue-600 text-blue-600 rounded-md text-sm hover:bg-blue-50">Simpan Bobot</button>
+                        ` : ''}
+                    </form>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Student options of a class for the rapor generator
+     */
+    renderRaporStudentOptions(className) {
+        const students = DataService.getFilteredData('siswa')
+            .filter(s => s.class === className)
+            .sort((a, b) => a.title.localeCompare(b.title, 'id'));
+
+        return `
+            <option value="">Semua siswa (${students.length})</option>
+            ${students.map(s => `<option value="${s.nisn}">${SecurityService.sanitizeInput(s.title)}</option>`).join('')}
+        `;
+    },
+
+    /**
+     * Refresh the student list after the class changes
+     */
+    updateRaporStudents() {
+        const select = document.getElementById('raporStudent');
+        if (select) {
+            select.innerHTML = this.renderRaporStudentOptions(document.getElementById('raporClass').value);
+        }
+    },
+
+    /**
+     * Download report cards for the selected class or student
+     */
+    generateRapor() {
+        const className = document.getElementById('raporClass').value;
+        const nisn = document.getElementById('raporStudent').value;
+        const semester = RaporService.getSemesterByKey(document.getElementById('raporSemester').value);
+
+        const students = DataService.getFilteredData('siswa')
+            .filter(s => s.class === className && (!nisn || s.nisn === nisn))
+            .sort((a, b) => a.title.localeCompare(b.title, 'id'));
+        const name = nisn && students[0] ? students[0].title : className;
+
+        try {
+            this.showLoading('Membuat rapor...');
+            RaporService.generate(students, semester, `rapor-${name}-${semester.key}.pdf`.replace(/\s+/g, '_'));
+        } catch (error) {
+            console.error('Rapor error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Save the score weights
+     */
+    async saveRaporWeights(form) {
+        const weights = {};
+        Object.keys(RaporService.getWeights()).forEach(jenis => {
+            weights[jenis] = parseFloat(form.elements[jenis].value);
+        });
+
+        try {
+            await RaporService.saveWeights(weights);
+            NotificationService.show('Bobot penilaian disimpan', 'success');
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Render the class roll-call picker, and the open sheet if any
+     */
+    renderRollCall() {
+        const classes = AttendanceService.getClasses();
+        const selection = this.rollCallSelection || { className: classes[0] || '', date: SchemaService.today() };
+
+        return `
+            <div class="bg-white rounded-lg shadow mb-6">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">📋 Absensi Kelas</h3>
+                    <p class="text-sm text-gray-600 mt-1">Pilih kelas dan tanggal, lalu ubah status siswa yang tidak hadir</p>
+                </div>
+                <div class="px-6 py-4 flex flex-wrap items-end gap-4 border-b border-gray-200">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Kelas</label>
+                        <select id="rollCallClass" class="px-3 py-2 border border-gray-300 rounded-md">
+                            ${classes.map(c => `
+                                <option value="${SecurityService.sanitizeInput(c)}" ${c === selection.className ? 'selected' : ''}>${SecurityService.sanitizeInput(c)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Tanggal</label>
+                        <input type="date" id="rollCallDate" value="${selection.date}" class="px-3 py-2 border border-gray-300 rounded-md">
+                    </div>
+                    <button onclick="UIService.openRollCall()" ${classes.length ? '' : 'disabled'}
+                            class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">
+                        Buka Lembar Absensi
+                    </button>
+                </div>
+                <div id="rollCallSheet">
+                    ${this.rollCallSelection ? this.renderRollCallSheet(AttendanceService.getSheet(selection.className, selection.date)) : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Open the sheet for the selected class and date
+     */
+    openRollCall() {
+        const className = document.getElementById('rollCallClass').value;
+        const date = document.getElementById('rollCallDate').value;
+        if (!className || !date) {
+            NotificationService.show('Pilih kelas dan tanggal', 'warning');
+            return;
+        }
+
+        this.rollCallSelection = { className, date };
+        document.getElementById('rollCallSheet').innerHTML = this.renderRollCallSheet(AttendanceService.getSheet(className, date));
+    },
+
+    /**
+     * Render a roll-call sheet: one row per student with a status choice
+     */
+    renderRollCallSheet(sheet) {
+        if (sheet.rows.length === 0) {
+            return '<p class="text-sm text-gray-500 text-center py-8">Belum ada siswa di kelas ini</p>';
+        }
+
+        const canSave = AuthService.hasPermission('wali', sheet.existing ? 'update' : 'create');
+
+        return `
+            <form id="rollCallForm" onsubmit="event.preventDefault(); UIService.saveRollCall(this)" class="p-6">
+                ${sheet.existing ? `
+                    <p class="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-3 mb-4">
+                        ⚠ Kelas ${SecurityService.sanitizeInput(sheet.className)} sudah memiliki absensi untuk ${this.formatDate(sheet.date)}
+                        (${sheet.existing} siswa). Menyimpan akan memperbarui data yang sudah ada.
+                    </p>
+                ` : ''}
+                <div class="flex justify-between items-center mb-3">
+                    <p class="text-sm text-gray-600">${sheet.rows.length} siswa • ${this.formatDate(sheet.date)}</p>
+                    <button type="button" onclick="UIService.setRollCallAll('Hadir')" class="text-sm text-blue-600 hover:text-blue-800">Tandai semua Hadir</button>
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-3 py-2 text-left font-medium text-gray-500">No</th>
+                                <th class="px-3 py-2 text-left font-medium text-gray-500">Nama Siswa</th>
+                                ${AttendanceService.rollCallStatuses.map(status => `
+                                    <th class="px-3 py-2 text-center font-medium text-gray-500">${status}</th>
+                                `).join('')}
+                                <th class="px-3 py-2 text-left font-medium text-gray-500">Keterangan</th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-100">
+                            ${sheet.rows.map(({ student, record }, index) => {
+                                const current = record ? record.status : AttendanceService.rollCallStatuses[0];
+                                return `
+                                    <tr data-nisn="${student.nisn}" class="${current !== 'Hadir' ? 'bg-yellow-50' : ''}">
+                                        <td class="px-3 py-2 text-gray-500">${index + 1}</td>
+                                        <td class="px-3 py-2">
+                                            ${SecurityService.sanitizeInput(student.title)}
+                                            ${record ? '' : '<span class="ml-1 text-xs text-blue-600">baru</span>'}
+                                        </td>
+                                        ${AttendanceService.rollCallStatuses.map(status => `
+                                            <td class="px-3 py-2 text-center">
+                                                <input type="radio" name="status_${student.nisn}" value="${status}" ${status === current ? 'checked' : ''}
+                                                       onchange="this.closest('tr').classList.toggle('bg-yellow-50', this.value !== 'Hadir')"
+                                                       class="h-4 w-4 text-blue-600 border-gray-300">
+                                            </td>
+                                        `).join('')}
+                                        <td class="px-3 py-2">
+                                            <input type="text" name="keterangan_${student.nisn}" value="${SecurityService.sanitizeInput(record ? record.keterangan : '')}"
+                                                   class="w-full px-2 py-1 border border-gray-300 rounded-md">
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${canSave ? `
+                    <div class="flex justify-end mt-4">
+                        <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700">
+                            ${sheet.existing ? 'Simpan Perubahan' : 'Simpan Absensi'}
+                        </button>
+                    </div>
+                ` : ''}
+            </form>
+        `;
+    },
+
+    /**
+     * Set every student on the open sheet to one status
+     */
+    setRollCallAll(status) {
+        document.querySelectorAll(`#rollCallForm input[type="radio"][value="${status}"]`).forEach(input => {
+            input.checked = true;
+            input.closest('tr').classList.toggle('bg-yellow-50', status !== 'Hadir');
+        });
+    },
+
+    /**
+     * Save the open sheet in one batch
+     */
+    async saveRollCall(form) {
+        const { className, date } = this.rollCallSelection;
+        const entries = Array.from(form.querySelectorAll('tr[data-nisn]')).map(row => {
+            const nisn = row.dataset.nisn;
+            return {
+                nisn,
+                status: form.querySelector(`input[name="status_${nisn}"]:checked`).value,
+                keterangan: form.elements[`keterangan_${nisn}`].value.trim()
+            };
+        });
+
+        try {
+            this.showLoading('Menyimpan absensi...');
+            const summary = await AttendanceService.saveSheet(className, date, entries);
+            const saved = summary.created + summary.updated;
+            NotificationService.show(
+                saved ? `Absensi disimpan: ${summary.created} baru, ${summary.updated} diubah` : 'Tidak ada perubahan absensi',
+                saved ? 'success' : 'info'
+            );
+            if (summary.failures.length) {
+                NotificationService.show(`${summary.failures.length} siswa gagal disimpan: ${summary.failures[0].message}`, 'error');
+            }
+            this.showWaliTab('absensi');
+        } catch (error) {
+            console.error('Roll call error:', error);
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Render the attendance recap and the alert thresholds
+     */
+    renderAttendanceRecap() {
+        const classes = AttendanceService.getClasses();
+        const selection = this.recapSelection || { className: classes[0] || '', kind: 'month', key: SchemaService.today().slice(0, 7) };
+        const rules = AttendanceService.getAlertRules();
+        const canEditRules = AuthService.hasPermission('manajemen', 'update');
+
+        return `
+            <div class="bg-white rounded-lg shadow mb-6">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">📊 Rekap Kehadiran</h3>
+                    <p class="text-sm text-gray-600 mt-1">Persentase kehadiran menghitung Hadir dan Terlambat dari seluruh hari yang tercatat</p>
+                </div>
+                <div class="px-6 py-4 flex flex-wrap items-end gap-4 border-b border-gray-200">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Kelas</label>
+                        <select id="recapClass" class="px-3 py-2 border border-gray-300 rounded-md">
+                            ${classes.map(c => `
+                                <option value="${SecurityService.sanitizeInput(c)}" ${c === selection.className ? 'selected' : ''}>${SecurityService.sanitizeInput(c)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Rekap</label>
+                        <select id="recapKind" onchange="UIService.updateRecapPeriods()" class="px-3 py-2 border border-gray-300 rounded-md">
+                            <option value="month" ${selection.kind === 'month' ? 'selected' : ''}>Bulanan</option>
+                            <option value="semester" ${selection.kind === 'semester' ? 'selected' : ''}>Semester</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Periode</label>
+                        <select id="recapPeriod" class="px-3 py-2 border border-gray-300 rounded-md">
+                            ${this.renderRecapPeriodOptions(selection.kind, selection.key)}
+                        </select>
+                    </div>
+                    <button onclick="UIService.showAttendanceRecap()" ${classes.length ? '' : 'disabled'}
+                            class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">
+                        Tampilkan Rekap
+                    </button>
+                </div>
+                <div id="attendanceRecap">
+                    ${this.recapSelection ? this.renderRecapTable(AttendanceService.recapClass(selection.className, AttendanceService.getPeriod(selection.kind, selection.key))) : ''}
+                </div>
+                <form onsubmit="event.preventDefault(); UIService.saveAttendanceRules(this)" class="px-6 py-4 border-t border-gray-200 space-y-2">
+                    <h4 class="text-sm font-medium text-gray-700">Batas Peringatan</h4>
+                    <p class="text-xs text-gray-500">Peringatan dikirim ke wali kelas dan Guru BK saat siswa mencapai batas</p>
+                    ${[...rules, ...(canEditRules ? [{ status: 'Alpha', period: 'month', count: '' }] : [])].map((rule, index) => `
+                        <div class="flex flex-wrap items-center gap-2 text-sm" data-rule="${index}">
+                            <input type="number" name="count_${index}" value="${rule.count}" min="1" placeholder="Jumlah" ${canEditRules ? '' : 'disabled'}
+                                   class="w-24 px-3 py-1 border border-gray-300 rounded-md text-right">
+                            <span class="text-gray-700">hari</span>
+                            <select name="status_${index}" ${canEditRules ? '' : 'disabled'} class="px-3 py-1 border border-gray-300 rounded-md">
+                                ${AttendanceService.recapStatuses.filter(status => status !== 'Hadir').map(status => `
+                                    <option value="${status}" ${status === rule.status ? 'selected' : ''}>${status}</option>
+                                `).join('')}
+                            </select>
+                            <span class="text-gray-700">dalam satu</span>
+                            <select name="period_${index}" ${canEditRules ? '' : 'disabled'} class="px-3 py-1 border border-gray-300 rounded-md">
+                                ${Object.entries(AttendanceService.periodLabels).map(([period, label]) => `
+                                    <option value="${period}" ${period === rule.period ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                    ${canEditRules ? `
+                        <p class="text-xs text-gray-500">Kosongkan jumlah untuk menghapus batas</p>
+                        <button type="submit" class="px-4 py-2 border border-blue-600 text-blue-600 rounded-md text-sm hover:bg-blue-50">Simpan Batas</button>
+                    ` : ''}
+                </form>
+            </div>
+        `;
+    },
+
+    /**
+     * Period options of a recap kind
+     */
+    renderRecapPeriodOptions(kind, selectedKey) {
+        return AttendanceService.getPeriodOptions(kind).map(period => `
+            <option value="${period.key}" ${period.key === selectedKey ? 'selected' : ''}>${period.label}</option>
+        `).join('');
+    },
+
+    /**
+     * Refresh the period list after the recap kind changes
+     */
+    updateRecapPeriods() {
+        const select = document.getElementById('recapPeriod');
+        if (select) {
+            select.innerHTML = this.renderRecapPeriodOptions(document.getElementById('recapKind').value);
+        }
+    },
+
+    /**
+     * Show the recap for the selected class and period
+     */
+    showAttendanceRecap() {
+        const className = document.getElementById('recapClass').value;
+        const kind = document.getElementById('recapKind').value;
+        const key = document.getElementById('recapPeriod').value;
+        if (!className || !key) {
+            NotificationService.show('Pilih kelas dan periode', 'warning');
+            return;
+        }
+
+        this.recapSelection = { className, kind, key };
+        document.getElementById('attendanceRecap').innerHTML = this.renderRecapTable(
+            AttendanceService.recapClass(className, AttendanceService.getPeriod(kind, key))
+        );
+    },
+
+    /**
+     * Render a class recap; counts that reach an alert threshold of the period are highlighted
+     */
+    renderRecapTable(recap) {
+        if (recap.students.length === 0) {
+            return '<p class="text-sm text-gray-500 text-center py-8">Belum ada siswa di kelas ini</p>';
+        }
+
+        const kind = this.recapSelection.kind;
+        const limits = {};
+        AttendanceService.getAlertRules().filter(rule => rule.period === kind).forEach(rule => {
+            limits[rule.status] = Math.min(limits[rule.status] ?? Infinity, rule.count);
+        });
+        const percentage = value => value === null ? '-' : `${value}%`;
+
+        return `
+            <div class="p-6 overflow-x-auto">
+                <p class="text-sm text-gray-600 mb-3">
+                    ${SecurityService.sanitizeInput(recap.className)} • ${recap.period.label} • kehadiran kelas ${percentage(recap.percentage)}
+                </p>
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">No</th>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Nama Siswa</th>
+                            ${AttendanceService.recapStatuses.map(status => `
+                                <th class="px-3 py-2 text-center font-medium text-gray-500">${status}</th>
+                            `).join('')}
+                            <th class="px-3 py-2 text-center font-medium text-gray-500">Hari</th>
+                            <th class="px-3 py-2 text-center font-medium text-gray-500">Kehadiran</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${recap.students.map((row, index) => `
+                            <tr>
+                                <td class="px-3 py-2 text-gray-500">${index + 1}</td>
+                                <td class="px-3 py-2">${SecurityService.sanitizeInput(row.student.title)}</td>
+                                ${AttendanceService.recapStatuses.map(status => `
+                                    <td class="px-3 py-2 text-center ${row.totals[status] >= (limits[status] ?? Infinity) ? 'bg-red-50 text-red-700 font-semibold' : ''}">${row.totals[status]}</td>
+                                `).join('')}
+                                <td class="px-3 py-2 text-center">${row.days}</td>
+                                <td class="px-3 py-2 text-center">${percentage(row.percentage)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot class="bg-gray-50 font-medium">
+                        <tr>
+                            <td class="px-3 py-2" colspan="2">Total Kelas</td>
+                            ${AttendanceService.recapStatuses.map(status => `
+                                <td class="px-3 py-2 text-center">${recap.totals[status]}</td>
+                            `).join('')}
+                            <td class="px-3 py-2 text-center">${recap.days}</td>
+                            <td class="px-3 py-2 text-center">${percentage(recap.percentage)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Save the alert thresholds; rows without a count are dropped
+     */
+    async saveAttendanceRules(form) {
+        const rules = Array.from(form.querySelectorAll('[data-rule]')).map(row => {
+            const index = row.dataset.rule;
+            return {
+                status: form.elements[`status_${index}`].value,
+                period: form.elements[`period_${index}`].value,
+                count: form.elements[`count_${index}`].value === '' ? null : Number(form.elements[`count_${index}`].value)
+            };
+        }).filter(rule => rule.count !== null);
+
+        try {
+            await AttendanceService.saveAlertRules(rules);
+            this.attendanceAlertKeys = null;
+            NotificationService.show('Batas peringatan disimpan', 'success');
+            this.showWaliTab('absensi');
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Render Bimbingan Konseling page
+     */
+    renderBimbinganKonseling() {
+        const tabs = [
+            { key: 'absensi', id: 'tabBKAbsensi', label: '📋 Absensi BK' },
+            { key: 'pelanggaran', id: 'tabBKPelanggaran', label: '⚠️ Pelanggaran' },
+            { key: 'poin', id: 'tabBKPoin', label: '📈 Poin & Tindak Lanjut' },
+            { key: 'surat', id: 'tabBKSurat', label: '✉️ Surat' },
+            { key: 'konseling', id: 'tabBKKonseling', label: '🗂️ Konseling' }
+        ];
+
+        return `
+            <div class="space-y-6">
+                <!-- Navigation Tabs -->
+                <div class="bg-white rounded-lg shadow">
+                    <div class="border-b border-gray-200">
+                        <nav class="-mb-px flex space-x-8 px-6" aria-label="Tabs">
+                            ${tabs.map(tab => `
+                                <button onclick="UIService.showBKTab('${tab.key}')" id="${tab.id}"
+                                        class="bk-tab border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm">
+                                    ${tab.label}
+                                </button>
+                            `).join('')}
+                        </nav>
+                    </div>
+                </div>
+
+                <!-- Tab Content -->
+                <div id="bkTabContent">
+                    <!-- Content will be loaded here -->
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show BK tab
+     */
+    showBKTab(tabType) {
+        this.bkTab = tabType;
+
+        // Update tab styling
+        document.querySelectorAll('.bk-tab').forEach(tab => {
+            tab.classList.remove('border-blue-500', 'text-blue-600');
+            tab.classList.add('border-transparent', 'text-gray-500');
+        });
+
+        const tabIds = { absensi: 'tabBKAbsensi', pelanggaran: 'tabBKPelanggaran', poin: 'tabBKPoin', surat: 'tabBKSurat', konseling: 'tabBKKonseling' };
+        const activeTab = document.getElementById(tabIds[tabType]);
+        if (activeTab) {
+            activeTab.classList.remove('border-transparent', 'text-gray-500');
+            activeTab.classList.add('border-blue-500', 'text-blue-600');
+        }
+
+        // Load content
+        const contentDiv = document.getElementById('bkTabContent');
+        if (!contentDiv) return;
+
+        switch (tabType) {
+            case 'pelanggaran':
+                contentDiv.innerHTML = this.renderBKRecords('bk_pelanggaran', 'Pelanggaran Siswa');
+                break;
+            case 'poin':
+                contentDiv.innerHTML = this.renderPointsPanel() + this.renderDisciplineSettings();
+                break;
+            case 'surat':
+                contentDiv.innerHTML = this.renderLetterPanel();
+                break;
+            case 'konseling':
+                contentDiv.innerHTML = this.renderCounselingPanel();
+                this.refreshCaseDetail();
+                break;
+            default:
+                contentDiv.innerHTML = this.renderBKRecords('bk_absensi', 'Absensi BK');
+        }
+    },
+
+    /**
+     * Render a BK record list with its add button
+     */
+    renderBKRecords(type, title) {
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                    <h3 class="text-lg font-medium text-gray-900">${title}</h3>
+                    ${AuthService.hasPermission('bk', 'create') ? `
+                        <button onclick="UIService.showAddForm('${type}')" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+                            Tambah Data
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="p-6">
+                    ${this.renderDataTable(DataService.getFilteredData(type), type)}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render point totals per student for a semester
+     */
+    renderPointsPanel() {
+        const semesters = RaporService.getSemesterOptions(['bk_pelanggaran']);
+        const semester = RaporService.getSemesterByKey(this.pointsSemester || semesters[0].key);
+        this.pointSummaries = DisciplineService.getSemesterSummaries(semester);
+
+        return `
+            <div class="bg-white rounded-lg shadow mb-6">
+                <div class="px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-4">
+                    <div>
+                        <h3 class="text-lg font-medium text-gray-900">📈 Poin Pelanggaran</h3>
+                        <p class="text-sm text-gray-600 mt-1">Poin dihitung ulang setiap semester sesuai tata tertib sekolah</p>
+                    </div>
+                    <select onchange="UIService.setPointsSemester(this.value)" class="px-3 py-2 border border-gray-300 rounded-md">
+                        ${semesters.map(s => `<option value="${s.key}" ${s.key === semester.key ? 'selected' : ''}>${s.label}</option>`).join('')}
+                    </select>
+                </div>
+                ${this.pointSummaries.length === 0 ? `
+                    <p class="text-sm text-gray-500 text-center py-8">Tidak ada pelanggaran pada semester ini</p>
+                ` : `
+                    <div class="p-6 overflow-x-auto">
+                        <table class="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead class="bg-gray-50">
+                                <tr>
+                                    <th class="px-3 py-2 text-left font-medium text-gray-500">Nama Siswa</th>
+                                    <th class="px-3 py-2 text-left font-medium text-gray-500">Kelas</th>
+                                    <th class="px-3 py-2 text-center font-medium text-gray-500">Poin</th>
+                                    <th class="px-3 py-2 text-left font-medium text-gray-500">Tahap</th>
+                                    <th class="px-3 py-2 text-left font-medium text-gray-500">Tindak Lanjut Wajib</th>
+                                    <th class="px-3 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody class="divide-y divide-gray-100">
+                                ${this.pointSummaries.map((summary, index) => `
+                                    <tr class="${summary.pending.length ? 'bg-red-50' : ''}">
+                                        <td class="px-3 py-2">${SecurityService.sanitizeInput(summary.student_name)}</td>
+                                        <td class="px-3 py-2">${SecurityService.sanitizeInput(summary.class)}</td>
+                                        <td class="px-3 py-2 text-center font-semibold">${summary.total}</td>
+                                        <td class="px-3 py-2">${summary.stage ? SecurityService.sanitizeInput(summary.stage.name) : '-'}</td>
+                                        <td class="px-3 py-2 text-red-700">${summary.pending.map(item => SecurityService.sanitizeInput(item.stage.name)).join(', ') || '-'}</td>
+                                        <td class="px-3 py-2 text-right">
+                                            <button onclick="UIService.showEscalationHistory(${index})" class="text-blue-600 hover:text-blue-800">Riwayat</button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `}
+            </div>
+        `;
+    },
+
+    /**
+     * Switch the semester of the points panel
+     */
+    setPointsSemester(key) {
+        this.pointsSemester = key;
+        this.showBKTab('poin');
+    },
+
+    /**
+     * Show the escalation history of a student from the points panel
+     */
+    showEscalationHistory(index) {
+        const history = this.pointSummaries[index];
+        if (!history) return;
+
+        const canIssue = AuthService.hasPermission('bk', 'create');
+        const statusClasses = {
+            Selesai: 'bg-green-100 text-green-800',
+            Wajib: 'bg-red-100 text-red-800',
+            Disarankan: 'bg-yellow-100 text-yellow-800',
+            Dilampaui: 'bg-gray-100 text-gray-600'
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-screen overflow-y-auto">
+                <h3 class="text-lg font-semibold text-gray-900">Riwayat Tindak Lanjut</h3>
+                <p class="text-sm text-gray-600 mb-4">
+                    ${SecurityService.sanitizeInput(history.student_name)} • ${SecurityService.sanitizeInput(history.class)} •
+                    ${history.semester.label} • ${history.total} poin
+                </p>
+
+                <h4 class="text-sm font-medium text-gray-700 mb-2">Tahap Tindak Lanjut</h4>
+                <table class="min-w-full divide-y divide-gray-200 text-sm mb-6">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Tahap</th>
+                            <th class="px-3 py-2 text-center font-medium text-gray-500">Batas</th>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Dicapai</th>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Tindak Lanjut</th>
+                            <th class="px-3 py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${history.ladder.length ? history.ladder.map((item, stageIndex) => `
+                            <tr>
+                                <td class="px-3 py-2">${SecurityService.sanitizeInput(item.stage.name)}</td>
+                                <td class="px-3 py-2 text-center">${item.stage.min}</td>
+                                <td class="px-3 py-2">${this.formatDate(item.reachedAt)}</td>
+                                <td class="px-3 py-2">
+                                    <span class="px-2 py-1 rounded-full text-xs font-medium ${statusClasses[item.status]}">${item.status}</span>
+                                </td>
+                                <td class="px-3 py-2 text-gray-700">
+                                    ${item.followUp ? `${this.formatDate(DisciplineService.getRecordDate(item.followUp))} • ${SecurityService.sanitizeInput(item.followUp.tindak_lanjut || '-')}` : '-'}
+                                </td>
+                                <td class="px-3 py-2 text-right">
+                                    ${canIssue && LetterService.getTemplateForStage(item.stage.name) ? `
+                                        <button onclick="this.closest('.fixed').remove(); UIService.showStageLetter(${index}, ${stageIndex})"
+                                                class="text-purple-600 hover:text-purple-800">Buat Surat</button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('') : `
+                            <tr><td colspan="6" class="px-3 py-4 text-center text-gray-500">Belum mencapai tahap tindak lanjut</td></tr>
+                        `}
+                    </tbody>
+                </table>
+
+                <h4 class="text-sm font-medium text-gray-700 mb-2">Pelanggaran</h4>
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Tanggal</th>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Pelanggaran</th>
+                            <th class="px-3 py-2 text-center font-medium text-gray-500">Poin</th>
+                            <th class="px-3 py-2 text-center font-medium text-gray-500">Total</th>
+                            <th class="px-3 py-2 text-left font-medium text-gray-500">Tahap Tercapai</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${history.entries.map(entry => `
+                            <tr>
+                                <td class="px-3 py-2">${this.formatDate(DisciplineService.getRecordDate(entry.record))}</td>
+                                <td class="px-3 py-2">${SecurityService.sanitizeInput(entry.record.jenis_pelanggaran)}</td>
+                                <td class="px-3 py-2 text-center">${entry.points}</td>
+                                <td class="px-3 py-2 text-center">${entry.total}</td>
+                                <td class="px-3 py-2">${entry.stages.map(stage => SecurityService.sanitizeInput(stage.name)).join(', ') || '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <div class="flex justify-end mt-6">
+                    <button onclick="this.closest('.fixed').remove()"
+                            class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                        Tutup
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Open the letter dialog for a stage in a student's escalation history
+     */
+    showStageLetter(index, stageIndex) {
+        const item = this.pointSummaries[index] && this.pointSummaries[index].ladder[stageIndex];
+        if (item) {
+            this.showLetterDialog(item.record.__backendId, item.stage.name);
+        }
+    },
+
+    /**
+     * Render the violation catalogue and escalation stages
+     */
+    renderDisciplineSettings() {
+        const canEdit = AuthService.hasPermission('bk', 'update');
+        const disabled = canEdit ? '' : 'disabled';
+        const catalogue = [...DisciplineService.getCatalogue(), ...(canEdit ? [{ name: '', kategori: 'Ringan', points: '' }] : [])];
+        const stages = [...DisciplineService.getStages(), ...(canEdit ? [{ name: '', min: '', required: true }] : [])];
+        const inputClass = 'px-3 py-1 border border-gray-300 rounded-md';
+
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">📘 Tata Tertib</h3>
+                    ${canEdit ? '<p class="text-sm text-gray-600 mt-1">Kosongkan nama untuk menghapus baris</p>' : ''}
+                </div>
+                <div class="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <form onsubmit="event.preventDefault(); UIService.saveDisciplineCatalogue(this)" class="space-y-2">
+                        <h4 class="text-sm font-medium text-gray-700">Jenis Pelanggaran dan Poin</h4>
+                        ${catalogue.map((item, index) => `
+                            <div class="flex gap-2 text-sm" data-item="${index}">
+                                <input type="text" name="name_${index}" value="${SecurityService.sanitizeInput(item.name)}" placeholder="Jenis pelanggaran" ${disabled}
+                                       class="flex-1 ${inputClass}">
+                                <select name="kategori_${index}" ${disabled} class="${inputClass}">
+                                    ${DisciplineService.categories.map(kategori => `
+                                        <option value="${kategori}" ${kategori === item.kategori ? 'selected' : ''}>${kategori}</option>
+                                    `).join('')}
+                                </select>
+                                <input type="number" name="points_${index}" value="${item.points}" min="0" placeholder="Poin" ${disabled}
+                                       class="w-20 text-right ${inputClass}">
+                            </div>
+                        `).join('')}
+                        ${canEdit ? `
+                            <button type="submit" class="px-4 py-2 border border-blue-600 text-blue-600 rounded-md text-sm hover:bg-blue-50">Simpan Pelanggaran</button>
+                        ` : ''}
+                    </form>
+                    <form onsubmit="event.preventDefault(); UIService.saveDisciplineStages(this)" class="space-y-2">
+                        <h4 class="text-sm font-medium text-gray-700">Tahap Tindak Lanjut</h4>
+                        ${stages.map((stage, index) => `
+                            <div class="flex items-center gap-2 text-sm" data-stage="${index}">
+                                <input type="text" name="name_${index}" value="${SecurityService.sanitizeInput(stage.name)}" placeholder="Nama tahap" ${disabled}
+                                       class="flex-1 ${inputClass}">
+                                <span class="text-gray-700">≥</span>
+                                <input type="number" name="min_${index}" value="${stage.min}" min="1" placeholder="Poin" ${disabled}
+                                       class="w-20 text-right ${inputClass}">
+                                <label class="flex items-center text-gray-700">
+                                    <input type="checkbox" name="required_${index}" ${stage.required ? 'checked' : ''} ${disabled} class="h-4 w-4 mr-1">
+                                    Wajib
+                                </label>
+                            </div>
+                        `).join('')}
+                        ${canEdit ? `
+                            <button type="submit" class="px-4 py-2 border border-blue-600 text-blue-600 rounded-md text-sm hover:bg-blue-50">Simpan Tahap</button>
+                        ` : ''}
+                    </form>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Save the violation catalogue; rows without a name are dropped
+     */
+    async saveDisciplineCatalogue(form) {
+        const items = Array.from(form.querySelectorAll('[data-item]')).map(row => {
+            const index = row.dataset.item;
+            return {
+                name: form.elements[`name_${index}`].value.trim(),
+                kategori: form.elements[`kategori_${index}`].value,
+                points: Number(form.elements[`points_${index}`].value)
+            };
+        }).filter(item => item.name);
+
+        try {
+            await DisciplineService.saveCatalogue(items);
+            NotificationService.show('Daftar pelanggaran disimpan', 'success');
+            this.showBKTab('poin');
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Save the escalation stages; rows without a name are dropped
+     */
+    async saveDisciplineStages(form) {
+        const stages = Array.from(form.querySelectorAll('[data-stage]')).map(row => {
+            const index = row.dataset.stage;
+            return {
+                name: form.elements[`name_${index}`].value.trim(),
+                min: Number(form.elements[`min_${index}`].value),
+                required: form.elements[`required_${index}`].checked
+            };
+        }).filter(stage => stage.name);
+
+        try {
+            await DisciplineService.saveStages(stages);
+            NotificationService.show('Tahap tindak lanjut disimpan', 'success');
+            this.showBKTab('poin');
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Extra row actions for record types with their own tools
+     */
+    renderRecordActions(item) {
+        const id = item.__backendId;
+        const canIssue = AuthService.hasPermission('bk', 'create');
+
+        switch (item.type) {
+            case 'bk_pelanggaran':
+                return canIssue ? `<button onclick="UIService.showLetterDialog('${id}')" class="text-purple-600 hover:text-purple-800">Surat</button>` : '';
+            case 'surat':
+                return item.isi ? `<button onclick="UIService.reprintLetter('${id}')" class="text-purple-600 hover:text-purple-800">Cetak</button>` : '';
+            case 'konseling':
+                return `<button onclick="UIService.showCaseDetail('${id}')" class="text-purple-600 hover:text-purple-800">Kasus</button>`;
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Render the letter register and the letter templates
+     */
+    renderLetterPanel() {
+        return `
+            <div class="bg-white rounded-lg shadow mb-6">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">✉️ Register Surat</h3>
+                    <p class="text-sm text-gray-600 mt-1">Surat diterbitkan dari data pelanggaran atau riwayat tindak lanjut siswa dan dinomori otomatis per tahun</p>
+                </div>
+                <div class="p-6">
+                    ${this.renderDataTable(DataService.getFilteredData('surat'), 'surat')}
+                </div>
+            </div>
+            ${this.renderLetterTemplates()}
+        `;
+    },
+
+    /**
+     * Render the letter template editor
+     */
+    renderLetterTemplates() {
+        const canEdit = AuthService.hasPermission('bk', 'update');
+        const disabled = canEdit ? '' : 'disabled';
+        const stages = DisciplineService.getStages();
+        const templates = [...LetterService.getTemplates(), ...(canEdit ? [{ key: '', title: '', subject: '', stages: [], body: '' }] : [])];
+        const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm';
+
+        return `
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">📝 Template Surat</h3>
+                    <p class="text-sm text-gray-600 mt-1">
+                        Placeholder: ${Object.entries(LetterService.placeholders).map(([name, label]) => `<code title="${label}">{{${name}}}</code>`).join(', ')}
+                    </p>
+                </div>
+                <form onsubmit="event.preventDefault(); UIService.saveLetterTemplates(this)" class="p-6 space-y-6">
+                    ${templates.map((template, index) => `
+                        <div class="space-y-2 ${index ? 'pt-6 border-t border-gray-200' : ''}" data-template="${index}">
+                            <input type="hidden" name="key_${index}" value="${SecurityService.sanitizeInput(template.key)}">
+                            <div class="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                <input type="text" name="title_${index}" value="${SecurityService.sanitizeInput(template.title)}" placeholder="${template.key ? 'Judul surat' : 'Judul template baru'}" ${disabled} class="${inputClass}">
+                                <input type="text" name="subject_${index}" value="${SecurityService.sanitizeInput(template.subject)}" placeholder="Perihal" ${disabled} class="${inputClass}">
+                            </div>
+                            <div class="flex flex-wrap gap-4 text-sm text-gray-700">
+                                <span>Untuk tahap:</span>
+                                ${stages.map(stage => `
+                                    <label class="flex items-center">
+                                        <input type="checkbox" name="stages_${index}" value="${SecurityService.sanitizeInput(stage.name)}" ${(template.stages || []).includes(stage.name) ? 'checked' : ''} ${disabled} class="h-4 w-4 mr-1">
+                                        ${SecurityService.sanitizeInput(stage.name)}
+                                    </label>
+                                `).join('')}
+                            </div>
+                            <textarea name="body_${index}" rows="8" placeholder="Isi surat" ${disabled} class="${inputClass} font-mono">${SecurityService.sanitizeInput(template.body)}</textarea>
+                        </div>
+                    `).join('')}
+                    ${canEdit ? `
+                        <p class="text-xs text-gray-500">Kosongkan judul untuk menghapus template</p>
+                        <button type="submit" class="px-4 py-2 border border-blue-600 text-blue-600 rounded-md text-sm hover:bg-blue-50">Simpan Template</button>
+                    ` : ''}
+                </form>
+            </div>
+        `;
+    },
+
+    /**
+     * Save the letter templates; templates without a title are dropped
+     */
+    async saveLetterTemplates(form) {
+        const templates = Array.from(form.querySelectorAll('[data-template]')).map(block => {
+            const index = block.dataset.template;
+            return {
+                key: form.elements[`key_${index}`].value || `surat_${Date.now().toString(36)}`,
+                title: form.elements[`title_${index}`].value.trim(),
+                subject: form.elements[`subject_${index}`].value.trim(),
+                stages: Array.from(block.querySelectorAll(`input[name="stages_${index}"]:checked`)).map(input => input.value),
+                body: form.elements[`body_${index}`].value.trim()
+            };
+        }).filter(template => template.title);
+
+        try {
+            await LetterService.saveTemplates(templates);
+            NotificationService.show('Template surat disimpan', 'success');
+            this.showBKTab('surat');
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Show the letter dialog for a violation record
+     * stageName preselects the escalation stage the letter is for
+     */
+    showLetterDialog(recordId, stageName = '') {
+        const record = DataService.getFilteredData('bk_pelanggaran').find(d => d.__backendId === recordId);
+        if (!record) {
+            NotificationService.show('Data pelanggaran tidak ditemukan', 'error');
+            return;
+        }
+
+        const templates = LetterService.getTemplates();
+        if (templates.length === 0) {
+            NotificationService.show('Belum ada template surat', 'warning');
+            return;
+        }
+
+        const stage = stageName || record.tahap_tindak_lanjut || '';
+        const template = LetterService.getTemplateForStage(stage) || templates[0];
+        this.pendingLetter = { recordId };
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-screen overflow-y-auto">
+                <h3 class="text-lg font-semibold text-gray-900">Buat Surat</h3>
+                <p class="text-sm text-gray-600 mb-4">
+                    ${SecurityService.sanitizeInput(record.student_name)} • ${SecurityService.sanitizeInput(record.class)} •
+                    ${SecurityService.sanitizeInput(record.jenis_pelanggaran)}
+                </p>
+                <form id="letterForm" onsubmit="event.preventDefault(); UIService.issueLetter(this)" class="space-y-4">
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Jenis Surat</label>
+                            <select name="template" onchange="UIService.updateLetterPreview()" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                ${templates.map(item => `
+                                    <option value="${SecurityService.sanitizeInput(item.key)}" ${item.key === template.key ? 'selected' : ''}>${SecurityService.sanitizeInput(item.title)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Tahap Tindak Lanjut</label>
+                            <select name="stage" onchange="UIService.updateLetterPreview()" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                <option value="">Sesuai poin saat ini</option>
+                                ${DisciplineService.getStages().map(item => `
+                                    <option value="${SecurityService.sanitizeInput(item.name)}" ${item.name === stage ? 'selected' : ''}>${SecurityService.sanitizeInput(item.name)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    <div id="letterPreview" class="border border-gray-200 rounded-md p-4 bg-gray-50 text-sm text-gray-800 whitespace-pre-line"></div>
+                    <div class="flex justify-end space-x-3">
+                        <button type="button" onclick="this.closest('.fixed').remove()"
+                                class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                            Batal
+                        </button>
+                        <button type="submit" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                            Terbitkan & Unduh PDF
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        this.updateLetterPreview();
+    },
+
+    /**
+     * Refresh the letter preview after the template or stage changes
+     */
+    updateLetterPreview() {
+        const form = document.getElementById('letterForm');
+        const record = this.pendingLetter && DataService.getFilteredData('bk_pelanggaran').find(d => d.__backendId === this.pendingLetter.recordId);
+        if (!form || !record) return;
+
+        try {
+            const letter = LetterService.preview(form.elements.template.value, record, form.elements.stage.value);
+            // The preview keeps line breaks, so no whitespace around the body
+            document.getElementById('letterPreview').innerHTML =
+                `<p class="font-medium mb-2">Perihal: ${SecurityService.sanitizeInput(letter.subject)}</p>${SecurityService.sanitizeInput(letter.body)}`;
+        } catch (error) {
+            document.getElementById('letterPreview').textContent = error.message;
+        }
+    },
+
+    /**
+     * Issue the letter in the dialog: register it and download the PDF
+     */
+    async issueLetter(form) {
+        const record = this.pendingLetter && DataService.getFilteredData('bk_pelanggaran').find(d => d.__backendId === this.pendingLetter.recordId);
+        if (!record) return;
+
+        // Check the PDF library before a register number is taken
+        try {
+            PdfService.create();
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Menerbitkan surat...');
+            const letter = await LetterService.issue(form.elements.template.value, record, form.elements.stage.value);
+            form.closest('.fixed').remove();
+            this.pendingLetter = null;
+            NotificationService.show(`Surat ${letter.nomor} diterbitkan`, 'success');
+        } catch (error) {
+            // DataService already notified the user
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Download a registered letter again
+     */
+    reprintLetter(id) {
+        const letter = DataService.getFilteredData('surat').find(d => d.__backendId === id);
+        if (!letter) return;
+
+        try {
+            LetterService.reprint(letter);
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Render counseling follow-ups and the case list
+     */
+    renderCounselingPanel() {
+        const mine = AuthService.currentUser.role === 'bk';
+        const followUps = CounselingService.getFollowUps(mine);
+        const today = SchemaService.today();
+
+        return `
+            <div class="bg-white rounded-lg shadow mb-6">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium text-gray-900">📅 Jadwal Tindak Lanjut</h3>
+                    <p class="text-sm text-gray-600 mt-1">${mine ? 'Kasus terbuka yang Anda tangani' : 'Semua kasus terbuka'}</p>
+                </div>
+                <div class="p-6 divide-y divide-gray-100">
+                    ${followUps.length === 0 ? `
+                        <p class="text-sm text-gray-500 text-center py-4">Tidak ada tindak lanjut terjadwal</p>
+                    ` : followUps.map(({ caseRecord, date }) => `
+                        <div class="py-3 flex items-center justify-between">
+                            <div>
+                                <p class="text-sm font-medium text-gray-900">
+                                    ${SecurityService.sanitizeInput(caseRecord.student_name)}
+                                    <span class="ml-2 text-xs text-gray-500">${SecurityService.sanitizeInput(caseRecord.class)} • ${SecurityService.sanitizeInput(caseRecord.jenis_kasus)}</span>
+                                </p>
+                                <p class="text-sm mt-1 ${date < today ? 'text-red-700' : 'text-gray-600'}">
+                                    ${this.formatDate(date)}${date < today ? ' • terlewat' : date === today ? ' • hari ini' : ''}
+                                </p>
+                            </div>
+                            <button onclick="UIService.showCaseDetail('${caseRecord.__backendId}')" class="text-blue-600 hover:text-blue-800 text-sm">Buka</button>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="bg-white rounded-lg shadow">
+                <div class="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                    <h3 class="text-lg font-medium text-gray-900">Kasus Konseling</h3>
+                    ${AuthService.hasPermission('bk', 'create') ? `
+                        <button onclick="UIService.showAddForm('konseling')" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+                            Buka Kasus
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="p-6">
+                    ${this.renderDataTable(DataService.getFilteredData('konseling'), 'konseling')}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show a counseling case with its sessions
+     */
+    showCaseDetail(caseId) {
+        const caseRecord = CounselingService.getCase(caseId);
+        if (!caseRecord) {
+            NotificationService.show('Kasus tidak ditemukan', 'error');
+            return;
+        }
+
+        document.getElementById('caseDetailModal')?.remove();
+        this.openCaseId = caseId;
+
+        const modal = document.createElement('div');
+        modal.id = 'caseDetailModal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-screen overflow-y-auto">${this.renderCaseDetail(caseRecord)}</div>`;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Refresh the open case after its data changed
+     */
+    refreshCaseDetail() {
+        const modal = document.getElementById('caseDetailModal');
+        if (!modal || !this.openCaseId) return;
+
+        const caseRecord = CounselingService.getCase(this.openCaseId);
+        if (caseRecord) {
+            modal.firstElementChild.innerHTML = this.renderCaseDetail(caseRecord);
+        } else {
+            this.closeCaseDetail();
+        }
+    },
+
+    /**
+     * Close the case modal
+     */
+    closeCaseDetail() {
+        document.getElementById('caseDetailModal')?.remove();
+        this.openCaseId = null;
+    },
+
+    /**
+     * Case details, sessions, actions and the student's other cases
+     */
+    renderCaseDetail(caseRecord) {
+        const id = caseRecord.__backendId;
+        const isOpen = CounselingService.isOpen(caseRecord);
+        const canReadNotes = CounselingService.canReadNotes(caseRecord);
+        const sessions = CounselingService.getSessions(id);
+        const nextFollowUp = CounselingService.getNextFollowUp(caseRecord);
+        const otherCases = CounselingService.getStudentCases(caseRecord).filter(other => other.__backendId !== id);
+        const counselor = AuthService.users[caseRecord.konselor];
+        const lockedNote = '<p class="text-sm text-gray-500 italic">🔒 Catatan rahasia, hanya dapat dibaca konselor yang menangani dan kepala sekolah</p>';
+        const text = value => SecurityService.sanitizeInput(value || '-');
+
+        return `
+            <div class="flex justify-between items-start mb-4">
+                <div>
+                    <h3 class="text-lg font-semibold text-gray-900">Kasus ${text(caseRecord.jenis_kasus)}: ${text(caseRecord.student_name)}</h3>
+                    <p class="text-sm text-gray-600">
+                        ${text(caseRecord.class)} • dibuka ${this.formatDate(caseRecord.date)}
+                        ${caseRecord.rahasia ? ' • <span class="text-red-700">Rahasia</span>' : ''}
+                    </p>
+                </div>
+                <span class="px-2 py-1 rounded-full text-xs font-medium ${isOpen ? 'bg-blue-100 text-blue-700' : 'bg-green-100 text-green-700'}">
+                    ${isOpen ? 'Terbuka' : `Ditutup ${this.formatDate(caseRecord.tanggal_selesai)}`}
+                </span>
+            </div>
+
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 text-sm">
+                <div>
+                    <p class="text-gray-500">Konselor</p>
+                    <p class="text-gray-900">${text(counselor ? counselor.name : caseRecord.konselor)}${counselor ? '' : ' <span class="text-red-700">(akun tidak aktif)</span>'}</p>
+                </div>
+                <div>
+                    <p class="text-gray-500">Tindak Lanjut Berikutnya</p>
+                    <p class="text-gray-900">${nextFollowUp ? this.formatDate(nextFollowUp) : '-'}</p>
+                </div>
+            </div>
+
+            <div class="mb-4">
+                <h4 class="text-sm font-medium text-gray-700 mb-1">Permasalahan</h4>
+                ${canReadNotes ? `<p class="text-sm text-gray-800 whitespace-pre-line">${text(caseRecord.permasalahan)}</p>` : lockedNote}
+            </div>
+
+            ${!isOpen ? `
+                <div class="mb-4">
+                    <h4 class="text-sm font-medium text-gray-700 mb-1">Hasil Konseling</h4>
+                    ${canReadNotes ? `<p class="text-sm text-gray-800 whitespace-pre-line">${text(caseRecord.hasil_konseling)}</p>` : lockedNote}
+                </div>
+            ` : ''}
+
+            <h4 class="text-sm font-medium text-gray-700 mb-2">Sesi (${sessions.length})</h4>
+            <div class="space-y-3 mb-6">
+                ${sessions.length === 0 ? '<p class="text-sm text-gray-500">Belum ada sesi</p>' : sessions.map(session => `
+                    <div class="border border-gray-200 rounded-md p-3 text-sm">
+                        <p class="text-xs text-gray-500 mb-1">
+                            ${this.formatDate(session.date)} • ${text(session.author)}
+                            ${session.tanggal_tindak_lanjut ? ` • tindak lanjut ${this.formatDate(session.tanggal_tindak_lanjut)}` : ''}
+                        </p>
+                        ${canReadNotes ? `
+                            <p class="text-gray-800 whitespace-pre-line">${text(session.catatan_konseling)}</p>
+                            ${session.kesepakatan ? `<p class="text-gray-700 mt-2"><span class="font-medium">Disepakati:</span> ${text(session.kesepakatan)}</p>` : ''}
+                        ` : lockedNote}
+                    </div>
+                `).join('')}
+            </div>
+
+            ${otherCases.length ? `
+                <h4 class="text-sm font-medium text-gray-700 mb-2">Riwayat Kasus Siswa</h4>
+                <div class="divide-y divide-gray-100 mb-6">
+                    ${otherCases.map(other => `
+                        <div class="py-2 flex justify-between items-center text-sm">
+                            <span>
+                                ${this.formatDate(other.date)} • ${text(other.jenis_kasus)} •
+                                ${text((AuthService.users[other.konselor] || {}).name || other.konselor)} •
+                                ${CounselingService.isOpen(other) ? 'Terbuka' : 'Ditutup'}
+                            </span>
+                            <button onclick="UIService.showCaseDetail('${other.__backendId}')" class="text-blue-600 hover:text-blue-800">Buka</button>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            ${CounselingService.canReassign(caseRecord) && isOpen ? `
+                <div class="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                    <label for="caseCounselor" class="text-gray-700">Alihkan ke</label>
+                    <select id="caseCounselor" class="px-3 py-1 border border-gray-300 rounded-md">
+                        ${CounselingService.getCounselorOptions().map(option => `
+                            <option value="${option.value}" ${option.value === caseRecord.konselor ? 'selected' : ''}>${SecurityService.sanitizeInput(option.label)}</option>
+                        `).join('')}
+                    </select>
+                    <button onclick="UIService.reassignCase('${id}')" class="px-3 py-1 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50">Alihkan</button>
+                </div>
+            ` : ''}
+
+            <div class="flex justify-end space-x-3">
+                ${isOpen && canReadNotes && AuthService.hasPermission('bk', 'create') ? `
+                    <button onclick="UIService.showSessionForm('${id}')" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">Tambah Sesi</button>
+                ` : ''}
+                ${isOpen && DataService.canUpdateData(caseRecord) ? `
+                    <button onclick="UIService.showCloseCaseForm('${id}')" class="px-4 py-2 bg-green-600 rounded-md text-sm font-medium text-white hover:bg-green-700">Tutup Kasus</button>
+                ` : ''}
+                <button onclick="UIService.closeCaseDetail()"
+                        class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                    Tutup
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Show the form for a new session on a case
+     */
+    showSessionForm(caseId) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-screen overflow-y-auto">
+                <h3 class="text-lg font-semibold text-gray-900 mb-4">Tambah Sesi Konseling</h3>
+                <form onsubmit="event.preventDefault(); UIService.submitSessionForm(this, '${caseId}')" novalidate>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        ${SchemaService.renderFields('konseling_sesi', {}, {})}
+                    </div>
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button type="button" onclick="this.closest('.fixed').remove()"
+                                class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                            Batal
+                        </button>
+                        <button type="submit" class="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700">
+                            Simpan Sesi
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Validate and save a session
+     */
+    async submitSessionForm(form, caseId) {
+        const caseRecord = CounselingService.getCase(caseId);
+        if (!caseRecord) return;
+
+        const data = SchemaService.readForm('konseling_sesi', form);
+        const validation = SchemaService.validate('konseling_sesi', CounselingService.buildSession(caseRecord, data));
+        if (!validation.valid) {
+            SchemaService.showFieldError(form, validation.field, validation.message);
+            return;
+        }
+
+        try {
+            this.showLoading('Menyimpan sesi...');
+            await CounselingService.addSession(caseId, data);
+            form.closest('.fixed')?.remove();
+        } catch (error) {
+            SchemaService.showFieldError(form, null, error.message);
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Show the form that closes a case with its outcome
+     */
+    showCloseCaseForm(caseId) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-lg w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 mb-4">Tutup Kasus</h3>
+                <form onsubmit="event.preventDefault(); UIService.closeCase(this, '${caseId}')">
+                    <label for="caseOutcome" class="block text-sm font-medium text-gray-700 mb-1">Hasil Konseling <span class="text-red-500">*</span></label>
+                    <textarea id="caseOutcome" name="hasil_konseling" rows="4" required
+                              class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"></textarea>
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button type="button" onclick="this.closest('.fixed').remove()"
+                                class="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+                            Batal
+                        </button>
+                        <button type="submit" class="px-4 py-2 bg-green-600 rounded-md text-sm font-medium text-white hover:bg-green-700">
+                            Tutup Kasus
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Close a case with the outcome from its form
+     */
+    async closeCase(form, caseId) {
+        const outcome = form.elements.hasil_konseling.value;
+        if (!outcome.trim()) {
+            SchemaService.showFieldError(form, 'hasil_konseling', 'Hasil konseling wajib diisi');
+            return;
+        }
+
+        try {
+            this.showLoading('Menutup kasus...');
+            await CounselingService.closeCase(caseId, outcome);
+            form.closest('.fixed')?.remove();
+        } catch (error) {
+            SchemaService.showFieldError(form, null, error.message);
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Hand the open case over to the counselor selected in its detail view
+     */
+    async reassignCase(caseId) {
+        const username = document.getElementById('caseCounselor').value;
+
+        try {
+            this.showLoading('Mengalihkan kasus...');
+            await CounselingService.reassign(caseId, username);
+            NotificationService.show(`Kasus dialihkan ke ${AuthService.users[username].name}`, 'success');
+        } catch (error) {
+            NotificationService.show('Error: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
     /**
      * Render Guru Wali page
      */
@@ -0,0 +1,140 @@
+/**
+ * Version History Module
+ * Keeps every saved revision of modul ajar (intra) and jurnal records
+ */
+
+const VersionService = {
+    // Record types that keep version history
+    versionedTypes: AccessPolicies.versionedTypes,
+
+    // Fields that describe the record rather than its content
+    metaFields: AccessPolicies.versionMetaFields,
+
+    /**
+     * Check if a record type keeps versions
+     */
+    isVersioned(type) {
+        return this.versionedTypes.includes(type);
+    },
+
+    /**
+     * Content fields of a record
+     */
+    getContent(record) {
+        const content = {};
+        Object.keys(record).forEach(key => {
+            if (!this.metaFields.includes(key)) {
+                content[key] = record[key];
+            }
+        });
+        return content;
+    },
+
+    /**
+     * Store the previous state of a record as a version
+     */
+    async recordVersion(previous) {
+        if (!this.isVersioned(previous.type)) return;
+
+        await DataService.insertRecord({
+            type: 'versi',
+            record_id: previous.__backendId,
+            record_type: previous.type,
+            revision: previous.revision || 1,
+            snapshot: this.getContent(previous),
+            saved_by: previous.updatedBy || previous.author,
+            saved_at: previous.updatedAt || previous.createdAt,
+            author: AuthService.currentUser.name,
+            createdAt: new Date().toISOString()
+        });
+    },
+
+    /**
+     * List all versions of a record, newest first
+     * The current state is included as the first entry
+     */
+    getVersions(recordId) {
+        const record = DataService.allData.find(d => d.__backendId === recordId);
+        if (!record || !DataService.isRecordVisible(record)) return [];
+
+        const current = {
+            __backendId: null,
+            current: true,
+            revision: record.revision || 1,
+            snapshot: this.getContent(record),
+            saved_by: record.updatedBy || record.author,
+            saved_at: record.updatedAt || record.createdAt
+        };
+
+        const versions = DataService.allData
+            .filter(d => d.type === 'versi' && d.record_id === recordId)
+            .sort((a, b) => b.revision - a.revision);
+
+        return [current, ...versions];
+    },
+
+    /**
+     * Restore an older version as a new revision
+     */
+    async restoreVersion(recordId, versionId) {
+        const record = DataService.allData.find(d => d.__backendId === recordId);
+        const version = DataService.allData.find(d => d.__backendId === versionId && d.type === 'versi');
+        if (!record || !version || version.record_id !== recordId) {
+            throw new Error('Versi tidak ditemukan');
+        }
+
+        if (!DataService.canUpdateData(record)) {
+            throw new Error('Tidak memiliki izin untuk memulihkan data ini');
+        }
+
+        // Fields added after the version was saved are cleared
+        const cleared = {};
+        Object.keys(this.getContent(record)).forEach(key => {
+            if (!(key in version.snapshot)) cleared[key] = '';
+        });
+
+        return DataService.updateData(recordId, {
+            ...cleared,
+            ...version.snapshot,
+            restored_from: version.revision
+        });
+    },
+
+    /**
+     * Line-level diff of two texts (longest common subsequence)
+     * Returns rows of { type: 'same' | 'removed' | 'added', left, right }
+     */
+    diffLines(leftText, rightText) {
+        const left = String(leftText ?? '').split('\n');
+        const right = String(rightText ?? '').split('\n');
+        const table = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+
+        for (let i = left.length - 1; i >= 0; i--) {
+            for (let j = right.length - 1; j >= 0; j--) {
+                table[i][j] = left[i] === right[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const rows = [];
+        let i = 0;
+        let j = 0;
+        while (i < left.length && j < right.length) {
+            if (left[i] === right[j]) {
+                rows.push({ type: 'same', left: left[i++], right: right[j++] });
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                rows.push({ type: 'removed', left: left[i++], right: '' });
+            } else {
+                rows.push({ type: 'added', left: '', right: right[j++] });
+            }
+        }
+        while (i < left.length) rows.push({ type: 'removed', left: left[i++], right: '' });
+        while (j < right.length) rows.push({ type: 'added', left: '', right: right[j++] });
+
+        return rows;
+    }
+};
+
+// Export for use in other modules
+window.VersionService = VersionService;
@@ -0,0 +1,207 @@
+/**
+ * Approval Workflow Module
+ * Handles review states, transitions and their history
+ */
+
+const WorkflowService = {
+    // Workflow states
+    states: {
+        draft: { label: 'Draf', badge: 'bg-gray-100 text-gray-700' },
+        submitted: { label: 'Diajukan', badge: 'bg-blue-100 text-blue-700' },
+        in_review: { label: 'Sedang Ditinjau', badge: 'bg-indigo-100 text-indigo-700' },
+        revision_requested: { label: 'Perlu Revisi', badge: 'bg-yellow-100 text-yellow-800' },
+        approved: { label: 'Disetujui', badge: 'bg-green-100 text-green-700' },
+        rejected: { label: 'Ditolak', badge: 'bg-red-100 text-red-700' }
+    },
+
+    // Allowed transitions; actor is either the record author or a reviewer
+    transitions: {
+        submit: { label: 'Ajukan', from: ['draft', 'revision_requested'], to: 'submitted', actor: 'author' },
+        review: { label: 'Tinjau', from: ['submitted'], to: 'in_review', actor: 'reviewer' },
+        request_revision: { label: 'Minta Revisi', from: ['submitted', 'in_review'], to: 'revision_requested', actor: 'reviewer', requireComment: true },
+        approve: { label: 'Setujui', from: ['submitted', 'in_review'], to: 'approved', actor: 'reviewer' },
+        reject: { label: 'Tolak', from: ['submitted', 'in_review'], to: 'rejected', actor: 'reviewer', requireComment: true },
+        reopen: { label: 'Buka Kembali', from: ['rejected'], to: 'draft', actor: 'author' }
+    },
+
+    // States waiting for a reviewer
+    pendingStates: ['submitted', 'in_review'],
+
+    // Record types that carry no workflow fields
+    exemptTypes: AccessPolicies.workflowExemptTypes,
+
+    /**
+     * Check if records of a type stay outside the workflow
+     */
+    isExempt(type) {
+        return this.exemptTypes.includes(type);
+    },
+
+    /**
+     * Get the workflow state of a record
+     * Stored as workflow_status because absensi records already use status.
+     * Records created before the workflow existed only have the approved flag.
+     */
+    getStatus(record) {
+        if (record.workflow_status && this.states[record.workflow_status]) return record.workflow_status;
+        return record.approved ? 'approved' : 'submitted';
+    },
+
+    /**
+     * Check if the current user can review records
+     */
+    canReview() {
+        return AuthService.hasPermission('persetujuan', 'approve');
+    },
+
+    /**
+     * Build a history entry for the current user
+     */
+    buildHistoryEntry(action, from, to, comment = '') {
+        return {
+            action,
+            from,
+            to,
+            by: AuthService.currentUser.username,
+            by_name: AuthService.currentUser.name,
+            role: AuthService.currentUser.role,
+            at: new Date().toISOString(),
+            comment
+        };
+    },
+
+    /**
+     * Initial workflow fields for a new record
+     */
+    getInitialFields(type, asDraft = false) {
+        if (this.isExempt(type)) return {};
+
+        const status = this.canReview() ? 'approved' : (asDraft ? 'draft' : 'submitted');
+        return {
+            workflow_status: status,
+            approved: status === 'approved',
+            workflow_history: [this.buildHistoryEntry('create', null, status)]
+        };
+    },
+
+    /**
+     * Workflow fields after an edit
+     * Approved content edited by a non-reviewer goes back for review
+     */
+    getUpdateFields(record) {
+        const status = this.getStatus(record);
+        if (this.isExempt(record.type) || status !== 'approved' || this.canReview()) return {};
+
+        return {
+            workflow_status: 'submitted',
+            approved: false,
+            workflow_history: [
+                ...(record.workflow_history || []),
+                this.buildHistoryEntry('submit', status, 'submitted', 'Diubah setelah disetujui')
+            ]
+        };
+    },
+
+    /**
+     * Check whether the current user may apply a transition to a record
+     */
+    canTransition(record, action) {
+        const transition = this.transitions[action];
+        if (!transition || !AuthService.currentUser || this.isExempt(record.type)) return false;
+        if (!transition.from.includes(this.getStatus(record))) return false;
+
+        if (transition.actor === 'reviewer') return this.canReview();
+        return record.author === AuthService.currentUser.name;
+    },
+
+    /**
+     * Apply a transition to a record
+     */
+    async transition(id, action, comment = '', options = {}) {
+        const record = DataService.allData.find(d => d.__backendId === id);
+        if (!record) {
+            throw new Error('Data tidak ditemukan');
+        }
+
+        const transition = this.transitions[action];
+        if (!this.canTransition(record, action)) {
+            throw new Error(`Tidak dapat melakukan "${transition ? transition.label : action}" pada data ini`);
+        }
+
+        if (transition.requireComment && !comment.trim()) {
+            throw new Error('Catatan wajib diisi untuk tindakan ini');
+        }
+
+        const from = this.getStatus(record);
+        const entry = this.buildHistoryEntry(action, from, transition.to, comment.trim());
+        const updated = {
+            ...record,
+            workflow_status: transition.to,
+            approved: transition.to === 'approved',
+            workflow_history: [...(record.workflow_history || []), entry]
+        };
+
+        if (transition.actor === 'reviewer') {
+            updated.reviewed_by = entry.by_name;
+            updated.reviewed_at = entry.at;
+            updated.review_comment = entry.comment;
+        }
+
+        await DataService.saveRecord(updated);
+        await AuditService.log(`workflow_${action}`, { before: record, after: updated, comment: entry.comment });
+
+        if (!options.silent) {
+            NotificationService.show(`Status diubah menjadi ${this.states[transition.to].label}`, 'success');
+        }
+        return updated;
+    },
+
+    /**
+     * Apply a transition to several records
+     * Returns the number of records that succeeded and the failures
+     */
+    async transitionMany(ids, action, comment = '') {
+        const failures = [];
+        let succeeded = 0;
+
+        for (const id of ids) {
+            try {
+                await this.transition(id, action, comment, { silent: true });
+                succeeded++;
+            } catch (error) {
+                failures.push({ id, message: error.message });
+            }
+        }
+
+        return { succeeded, failures };
+    },
+
+    /**
+     * Records waiting for review, with optional filters
+     */
+    getInbox(filters = {}) {
+        return DataService.allData
+            .filter(d => !DataService.systemTypes.includes(d.type) && !this.isExempt(d.type))
+            .filter(d => (filters.status ? [filters.status] : this.pendingStates).includes(this.getStatus(d)))
+            .filter(d => !filters.type || d.type === filters.type)
+            .filter(d => !filters.author || d.author === filters.author)
+            .filter(d => !filters.from || (d.createdAt || '') >= filters.from)
+            .filter(d => !filters.to || (d.createdAt || '').slice(0, 10) <= filters.to)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    },
+
+    /**
+     * Records of the current user that were sent back or rejected
+     */
+    getReturnedForCurrentUser() {
+        if (!AuthService.currentUser) return [];
+
+        return DataService.allData
+            .filter(d => d.author === AuthService.currentUser.name && !this.isExempt(d.type))
+            .filter(d => ['revision_requested', 'rejected'].includes(this.getStatus(d)))
+            .sort((a, b) => new Date(b.reviewed_at || 0) - new Date(a.reviewed_at || 0));
+    }
+};
+
+// Export for use in other modules
+window.WorkflowService = WorkflowService;
@@ -0,0 +1,217 @@
+/**
+ * Server-side authentication
+ * Verifies the PBKDF2 hashes written by SecurityService.hashPassword
+ * and issues opaque session tokens kept in memory
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { defaultUsers } = require('../js/policies');
+
+const sessions = new Map();
+
+/**
+ * Accounts from the defaults, guru records and student/parent accounts
+ * Same precedence as DataService.updateUsersFromData
+ */
+function getUsers(records) {
+    const users = {};
+    Object.keys(defaultUsers).forEach(username => {
+        users[username] = { ...defaultUsers[username] };
+    });
+
+    const active = records.filter(d => !d.deleted);
+
+    active.filter(d => d.type === 'guru' && d.username && (d.password_hash || d.password)).forEach(guru => {
+        users[guru.username] = {
+            password_hash: guru.password_hash,
+            password: guru.password_hash ? undefined : guru.password,
+            recordId: guru.__backendId,
+            role: guru.role || 'guru',
+            name: guru.title,
+            nip: guru.nip,
+            mapel: guru.mapel,
+            password_changed_at: guru.password_changed_at,
+            must_change_password: guru.must_change_password,
+            temp_password_expires_at: guru.temp_password_expires_at,
+            totp_enabled: guru.totp_enabled,
+            totp_secret: guru.totp_secret,
+            totp_last_counter: guru.totp_last_counter,
+            recovery_codes: guru.recovery_codes,
+            recovery_codes_remaining: guru.recovery_codes_remaining
+        };
+    });
+
+    active.filter(d => d.type === 'akun' && d.username && d.password_hash).forEach(akun => {
+        const student = active.find(d => d.type === 'siswa' && d.nisn === akun.nisn);
+        users[akun.username] = {
+            password_hash: akun.password_hash,
+            recordId: akun.__backendId,
+            role: akun.role || 'siswa',
+            name: akun.title,
+            account_kind: akun.account_kind,
+            nisn: akun.nisn,
+            student_name: student ? student.title : undefined,
+            class: student ? student.class : undefined,
+            password_changed_at: akun.password_changed_at,
+            must_change_password: akun.must_change_password,
+            temp_password_expires_at: akun.temp_password_expires_at,
+            totp_enabled: akun.totp_enabled,
+            totp_secret: akun.totp_secret,
+            totp_last_counter: akun.totp_last_counter,
+            recovery_codes: akun.recovery_codes,
+            recovery_codes_remaining: akun.recovery_codes_remaining
+        };
+    });
+
+    return users;
+}
+
+/**
+ * Update the credentials of an account
+ * Built-in accounts get an akun record that overrides the default,
+ * like DataService.updateAccount
+ */
+function updateAccount(store, username, fields) {
+    const active = store.all().filter(d => !d.deleted && d.username === username);
+    const record = active.find(d => d.type === 'akun') || active.find(d => d.type === 'guru');
+    const now = new Date().toISOString();
+
+    if (record) {
+        // A new hash replaces a legacy plaintext password
+        const { password, ...rest } = record;
+        return store.update(record.__backendId, { ...(fields.password_hash ? rest : record), ...fields, updatedAt: now });
+    }
+
+    const user = getUsers(store.all())[username];
+    return store.create({
+        type: 'akun',
+        title: user.name,
+        username,
+        role: user.role,
+        account_kind: 'staf',
+        password_hash: user.password_hash,
+        ...fields,
+        createdAt: now
+    });
+}
+
+/**
+ * Hash a password in the pbkdf2-sha256$<iterations>$<salt>$<hash> format
+ * Asynchronous so other requests are served while it runs
+ */
+function hashPassword(password, iterations = 150000) {
+    const salt = crypto.randomBytes(16);
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(password, salt, iterations, 32, 'sha256', (error, hash) => {
+            if (error) return reject(error);
+            resolve(['pbkdf2-sha256', iterations, salt.toString('base64'), hash.toString('base64')].join('$'));
+        });
+    });
+}
+
+/**
+ * Verify a password against a stored hash
+ */
+function verifyPassword(password, storedHash) {
+    if (!password || typeof storedHash !== 'string' || !/^pbkdf2-sha256\$\d+\$[^$]+\$[^$]+$/.test(storedHash)) {
+        return Promise.resolve(false);
+    }
+
+    const [, rounds, salt, expected] = storedHash.split('$');
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(password, Buffer.from(salt, 'base64'), parseInt(rounds, 10), 32, 'sha256', (error, hash) => {
+            if (error) return reject(error);
+
+            const expectedBytes = Buffer.from(expected, 'base64');
+            resolve(expectedBytes.length === hash.length && crypto.timingSafeEqual(hash, expectedBytes));
+        });
+    });
+}
+
+/**
+ * Check credentials; returns the profile or null
+ * A legacy plaintext password is accepted once and reported for migration
+ */
+async function authenticate(records, { role, username, password }) {
+    const user = getUsers(records)[username];
+    if (!user || user.role !== role) return null;
+
+    let migrate = false;
+    if (user.password_hash) {
+        if (!(await verifyPassword(password, user.password_hash))) return null;
+    } else if (user.password) {
+        const a = Buffer.from(String(user.password));
+        const b = Buffer.from(String(password));
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+        migrate = true;
+    } else {
+        return null;
+    }
+
+    const { password: _password, password_hash: _hash, totp_secret: _secret, recovery_codes: _codes, ...profile } = user;
+    return { user: { username, ...profile }, migrate };
+}
+
+/**
+ * Start a session and return its token
+ * timeout slides with every request the user makes; maxLength (0 = none) does not
+ */
+function createSession(user, timeout, maxLength = 0) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    sessions.set(token, { user, timeout, expiresAt: now + timeout, endsAt: maxLength > 0 ? now + maxLength : Infinity });
+    return token;
+}
+
+/**
+ * Look up a session, extending it unless extend is false
+ * Background requests (the record poll) must not keep an idle session alive
+ */
+function getSession(token, { extend = true } = {}) {
+    const session = token && sessions.get(token);
+    if (!session) return null;
+
+    const now = Date.now();
+    if (session.expiresAt < now || session.endsAt < now) {
+        sessions.delete(token);
+        return null;
+    }
+
+    if (extend) {
+        session.expiresAt = Math.min(now + session.timeout, session.endsAt);
+    }
+    return session;
+}
+
+/**
+ * End a session
+ */
+function endSession(token) {
+    sessions.delete(token);
+}
+
+/**
+ * End every session of a user, except the one given
+ */
+function endUserSessions(username, exceptToken = null) {
+    sessions.forEach((session, token) => {
+        if (session.user.username === username && token !== exceptToken) {
+            sessions.delete(token);
+        }
+    });
+}
+
+module.exports = {
+    defaultUsers,
+    getUsers,
+    updateAccount,
+    hashPassword,
+    verifyPassword,
+    authenticate,
+    createSession,
+    getSession,
+    endSession,
+    endUserSessions
+};
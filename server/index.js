@@ -0,0 +1,693 @@
+/**
+ * SISPIN reference backend
+ * Serves the front end and a REST API for the "rest" storage adapter
+ * (see js/storage.js). Uses only Node.js built-ins:
+ *
+ *   node server/index.js
+ *
+ * Environment: SISPIN_DATA_KEY (required, the deployment secret, see
+ * server/secrets.js), PORT (8080), HOST (127.0.0.1), SISPIN_DATA_FILE
+ * (server/data/records.json), SISPIN_SESSION_TIMEOUT in ms (1800000),
+ * SISPIN_SESSION_MAX_LENGTH in ms, 0 for no limit (43200000), lockout
+ * settings in server/lockout.js, password policy in server/passwords.js,
+ * two-factor policy in server/totp.js. Session, password expiry and
+ * two-factor settings saved in the app override these (server/settings.js).
+ *
+ * Set AppConfig storage.adapter to 'rest' and storage.rest_url to '/api'.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const Store = require('./store');
+const auth = require('./auth');
+const lockout = require('./lockout');
+const passwords = require('./passwords');
+const totp = require('./totp');
+const permissions = require('./permissions');
+const secrets = require('./secrets');
+const SchemaService = require('../js/schemas');
+const settings = require('./settings');
+const { versionMetaFields } = require('../js/policies');
+
+const config = {
+    port: parseInt(process.env.PORT || '8080', 10),
+    host: process.env.HOST || '127.0.0.1',
+    dataFile: process.env.SISPIN_DATA_FILE || path.join(__dirname, 'data', 'records.json'),
+    sessionTimeout: parseInt(process.env.SISPIN_SESSION_TIMEOUT || '1800000', 10),
+    sessionMaxLength: parseInt(process.env.SISPIN_SESSION_MAX_LENGTH || '43200000', 10),
+    maxBodySize: 2 * 1024 * 1024,
+    staticRoot: path.join(__dirname, '..')
+};
+
+const staticTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+/**
+ * Error with an HTTP status
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > config.maxBodySize) {
+                reject(new HttpError(413, 'Data terlalu besar'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (error) {
+                reject(new HttpError(400, 'JSON tidak valid'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Resolve the session of a request or fail with 401
+ * A user with a pending sign-in step (new password, two-factor enrollment)
+ * can only finish that step until they have. Requests the browser marks as
+ * background (X-Sispin-Background: 1) do not extend the session.
+ */
+function requireSession(req, { allowIncomplete = false } = {}) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const session = auth.getSession(token, { extend: req.headers['x-sispin-background'] !== '1' });
+    if (!session) {
+        throw new HttpError(401, 'Sesi tidak valid atau telah berakhir');
+    }
+    if (!allowIncomplete && (session.user.must_change_password || session.user.password_expired)) {
+        throw new HttpError(403, 'Password harus diganti sebelum melanjutkan');
+    }
+    if (!allowIncomplete && session.user.totp_setup_required) {
+        throw new HttpError(403, 'Verifikasi dua langkah harus diaktifkan sebelum melanjutkan');
+    }
+    return { token, session, context: permissions.createContext(session.user, Store.all()) };
+}
+
+/**
+ * Write an audit entry on behalf of the server
+ * target names the account an admin acted on
+ */
+function logAuth(action, actor, user = null, target = '') {
+    Store.create({
+        type: 'audit',
+        action,
+        actor,
+        actor_name: user ? user.name : actor,
+        role: user ? user.role : '-',
+        record_id: '',
+        record_type: target ? 'akun' : '',
+        record_label: target,
+        comment: '',
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Fields the client may not set directly
+ */
+async function stampCreate(record, user) {
+    const { __backendId, ...fields } = secrets.openRecord(record);
+    const stamped = { ...fields, author: user.name, createdAt: fields.createdAt || new Date().toISOString() };
+    permissions.accountFields.forEach(field => delete stamped[field]);
+
+    if (stamped.type === 'audit') {
+        stamped.actor = user.username;
+        stamped.actor_name = user.name;
+        stamped.role = user.role;
+    }
+    if (stamped.type === 'versi') {
+        stampVersion(stamped);
+    }
+    if (typeof stamped.password === 'string' && stamped.password) {
+        Object.assign(stamped, await passwordFields(stamped.password, fields));
+        delete stamped.password;
+    }
+    stampWorkflow(stamped, null, user);
+    return stamped;
+}
+
+/**
+ * A version holds the stored state of its record, as VersionService.recordVersion
+ * saves it before the update is sent; the client only names the record
+ */
+function stampVersion(record) {
+    const target = Store.get(record.record_id);
+    if (!target) return;
+
+    record.record_type = target.type;
+    record.revision = target.revision || 1;
+    record.snapshot = {};
+    Object.keys(target)
+        .filter(field => !versionMetaFields.includes(field))
+        .forEach(field => {
+            record.snapshot[field] = target[field];
+        });
+    record.saved_by = target.updatedBy || target.author;
+    record.saved_at = target.updatedAt || target.createdAt;
+}
+
+/**
+ * Keep ownership and fields the client never receives (credentials, restricted fields)
+ */
+async function mergeUpdate(existing, record, context) {
+    const visible = context.redact(existing);
+    const merged = { ...secrets.openRecord(record), author: existing.author, createdAt: existing.createdAt };
+
+    permissions.accountFields.forEach(field => {
+        if (field in existing) {
+            merged[field] = existing[field];
+        } else {
+            delete merged[field];
+        }
+    });
+    Object.keys(existing)
+        .filter(field => !(field in visible) && !(field in merged))
+        .forEach(field => {
+            merged[field] = existing[field];
+        });
+
+    if (typeof merged.password === 'string' && merged.password) {
+        Object.assign(merged, await passwordFields(merged.password, {}));
+        delete merged.password;
+    }
+    stampWorkflow(merged, existing, context.user);
+    return merged;
+}
+
+/**
+ * Account fields for a password typed into a record form
+ * A generated password the client marks as temporary expires like a reset one
+ */
+async function passwordFields(password, requested) {
+    const invalid = passwords.validate(password);
+    if (invalid) throw new HttpError(400, invalid);
+
+    const fields = {
+        password_hash: await auth.hashPassword(password),
+        password_changed_at: new Date().toISOString()
+    };
+    if (requested.must_change_password === true) {
+        fields.must_change_password = true;
+        if (requested.temp_password_expires_at) {
+            fields.temp_password_expires_at = new Date(Date.now() + securityPolicy().tempPasswordTtl).toISOString();
+        }
+    }
+    return fields;
+}
+
+/**
+ * Workflow history and reviewer fields come from the session: stored
+ * history entries stay as they are, new ones are signed by the user, and
+ * only a move into a reviewer state records the reviewer
+ */
+function stampWorkflow(record, existing, user) {
+    const previous = (existing && existing.workflow_history) || [];
+    if (Array.isArray(record.workflow_history)) {
+        const at = new Date().toISOString();
+        record.workflow_history = [
+            ...previous,
+            ...record.workflow_history.slice(previous.length).map(entry => ({
+                action: String(entry.action || ''),
+                from: entry.from ?? null,
+                to: entry.to ?? null,
+                by: user.username,
+                by_name: user.name,
+                role: user.role,
+                at,
+                comment: String(entry.comment || '')
+            }))
+        ];
+    } else if (existing && 'workflow_history' in existing) {
+        record.workflow_history = existing.workflow_history;
+    }
+
+    const reviewed = existing && record.workflow_status !== existing.workflow_status &&
+        permissions.reviewerStates.includes(record.workflow_status);
+    if (reviewed) {
+        record.reviewed_by = user.name;
+        record.reviewed_at = new Date().toISOString();
+        record.review_comment = String(record.review_comment || '');
+        return;
+    }
+    ['reviewed_by', 'reviewed_at', 'review_comment'].forEach(field => {
+        if (existing && field in existing) {
+            record[field] = existing[field];
+        } else {
+            delete record[field];
+        }
+    });
+}
+
+/**
+ * Formats of the stored values, as checked by SchemaService in the browser
+ */
+function checkSchema(record, existing = null) {
+    const error = SchemaService.checkStored(record.type, record, existing);
+    if (error) throw new HttpError(400, error.message);
+}
+
+/**
+ * Compare records the way the client sees them (without secrets)
+ */
+function withoutSecrets(record) {
+    const result = { ...record };
+    permissions.secretFields.forEach(field => delete result[field]);
+    return result;
+}
+
+/**
+ * Check the signed-in user's password before a sensitive change
+ * A wrong password counts towards the lockout
+ */
+async function confirmPassword(user, password) {
+    const account = auth.getUsers(Store.all())[user.username];
+    if (!account || !(await auth.verifyPassword(password, account.password_hash))) {
+        lockout.recordFailure(Store, user.username);
+        throw new HttpError(403, 'Password salah');
+    }
+}
+
+/**
+ * Fields that turn two-factor authentication off
+ */
+const totpCleared = {
+    totp_enabled: false,
+    totp_secret: null,
+    totp_last_counter: null,
+    recovery_codes: [],
+    recovery_codes_remaining: 0
+};
+
+/**
+ * Security settings: shared settings over the environment defaults
+ */
+function securityPolicy() {
+    const records = Store.all();
+    return {
+        sessionTimeout: settings.get(records, 'session_timeout', config.sessionTimeout),
+        sessionMaxLength: settings.get(records, 'session_max_length', config.sessionMaxLength),
+        passwordMaxAgeDays: settings.get(records, 'security.password_max_age_days', passwords.settings.maxAgeDays),
+        tempPasswordTtl: settings.get(records, 'security.temp_password_ttl', passwords.settings.tempTtl),
+        totpRequiredRoles: settings.get(records, 'security.totp_required_roles', totp.settings.requiredRoles)
+    };
+}
+
+/**
+ * Start a session and log the login
+ */
+function startSession(res, user) {
+    const policy = securityPolicy();
+    const token = auth.createSession(user, policy.sessionTimeout, policy.sessionMaxLength);
+    logAuth('login', user.username, user);
+    sendJson(res, 200, { token, user, data_key: secrets.clientSecret(), device_key: secrets.deviceSecret(user) });
+}
+
+/**
+ * Message for a locked account
+ */
+function lockMessage(until) {
+    const time = new Date(until).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+    return `Akun terkunci karena terlalu banyak percobaan login. Coba lagi setelah pukul ${time} atau hubungi administrator.`;
+}
+
+const routes = {
+    'POST /api/login': async (req, res) => {
+        const credentials = await readBody(req);
+        const username = String(credentials.username || '');
+
+        const until = lockout.lockedUntil(Store, username);
+        if (until) throw new HttpError(423, lockMessage(until));
+
+        const result = await auth.authenticate(Store.all(), credentials);
+        if (!result) {
+            const lock = lockout.recordFailure(Store, username);
+            logAuth('login_failed', username || '-');
+            if (lockout.lockedUntil(Store, username)) throw new HttpError(423, lockMessage(lock.locked_until));
+            throw new HttpError(401, 'Role, username, atau password tidak sesuai!');
+        }
+        if (result.migrate && result.user.recordId) {
+            const passwordHash = await auth.hashPassword(credentials.password);
+            const { password, ...migrated } = Store.get(result.user.recordId);
+            Store.update(migrated.__backendId, { ...migrated, password_hash: passwordHash });
+        }
+
+        if (passwords.isTemporaryExpired(result.user)) {
+            throw new HttpError(403, 'Password sementara telah kedaluwarsa. Hubungi administrator untuk reset password.');
+        }
+        const policy = securityPolicy();
+        result.user.password_expired = passwords.isExpired(result.user, policy.passwordMaxAgeDays);
+        result.user.totp_setup_required = !result.user.totp_enabled && totp.isRequired(result.user.role, policy.totpRequiredRoles);
+
+        // Failures are cleared only after the second step, so the code cannot be guessed
+        // by repeating a known password
+        if (result.user.totp_enabled) {
+            sendJson(res, 200, { challenge: totp.createChallenge(result.user), user: result.user });
+            return;
+        }
+
+        lockout.clear(Store, username);
+        startSession(res, result.user);
+    },
+
+    'POST /api/login/totp': async (req, res) => {
+        const body = await readBody(req);
+        const challenge = totp.takeChallenge(body.challenge);
+        if (!challenge) throw new HttpError(403, 'Waktu verifikasi habis. Silakan login kembali.');
+
+        const username = challenge.user.username;
+        const until = lockout.lockedUntil(Store, username);
+        if (until) {
+            totp.endChallenge(body.challenge);
+            throw new HttpError(423, lockMessage(until));
+        }
+
+        const account = auth.getUsers(Store.all())[username];
+        const counter = account && account.totp_secret ? await totp.verify(account.totp_secret, body.code, account.totp_last_counter ?? -1) : null;
+        const remaining = counter === null && account ? await totp.useRecoveryCode(account.recovery_codes, body.code) : null;
+
+        if (counter === null && !remaining) {
+            const lock = lockout.recordFailure(Store, username);
+            logAuth('login_failed', username);
+            if (lockout.lockedUntil(Store, username)) {
+                totp.endChallenge(body.challenge);
+                throw new HttpError(423, lockMessage(lock.locked_until));
+            }
+            throw new HttpError(401, 'Kode verifikasi tidak sesuai!');
+        }
+
+        totp.endChallenge(body.challenge);
+        const user = { ...challenge.user };
+        if (counter !== null) {
+            auth.updateAccount(Store, username, { totp_last_counter: counter });
+        } else {
+            auth.updateAccount(Store, username, { recovery_codes: remaining, recovery_codes_remaining: remaining.length });
+            user.recovery_codes_remaining = remaining.length;
+        }
+
+        lockout.clear(Store, username);
+        startSession(res, user);
+    },
+
+    'POST /api/logout': async (req, res) => {
+        const { token, session } = requireSession(req, { allowIncomplete: true });
+        auth.endSession(token);
+        logAuth('logout', session.user.username, session.user);
+        sendJson(res, 204);
+    },
+
+    'GET /api/session': async (req, res) => {
+        const { session } = requireSession(req, { allowIncomplete: true });
+        sendJson(res, 200, {
+            user: session.user,
+            data_key: secrets.clientSecret(),
+            device_key: secrets.deviceSecret(session.user)
+        });
+    },
+
+    // User activity in the browser; requireSession extends the session
+    'POST /api/session/extend': async (req, res) => {
+        requireSession(req, { allowIncomplete: true });
+        sendJson(res, 204);
+    },
+
+    'POST /api/password': async (req, res) => {
+        const { token, session } = requireSession(req, { allowIncomplete: true });
+        const body = await readBody(req);
+        const username = session.user.username;
+
+        const user = auth.getUsers(Store.all())[username];
+        if (!user || !(await auth.verifyPassword(body.current_password, user.password_hash))) {
+            // Counts towards the lockout so a left-open session cannot be used to guess
+            lockout.recordFailure(Store, username);
+            throw new HttpError(403, 'Password saat ini salah');
+        }
+        const invalid = passwords.validate(body.new_password);
+        if (invalid) throw new HttpError(400, invalid);
+        if (body.new_password === body.current_password) {
+            throw new HttpError(400, 'Password baru harus berbeda dari password saat ini');
+        }
+
+        const record = await passwords.setPassword(Store, username, body.new_password);
+        lockout.clear(Store, username);
+        auth.endUserSessions(username, token);
+        session.user = {
+            ...session.user,
+            password_changed_at: record.password_changed_at,
+            must_change_password: false,
+            temp_password_expires_at: null,
+            password_expired: false
+        };
+        logAuth('password_change', username, session.user, username);
+        sendJson(res, 200, { user: session.user });
+    },
+
+    'POST /api/totp/setup': async (req, res) => {
+        const { session } = requireSession(req, { allowIncomplete: true });
+        session.totpPending = totp.generateSecret();
+        sendJson(res, 200, {
+            secret: session.totpPending,
+            uri: totp.buildUri(process.env.SISPIN_TOTP_ISSUER || 'SISPIN', session.user.username, session.totpPending)
+        });
+    },
+
+    'POST /api/totp/enable': async (req, res) => {
+        const { session } = requireSession(req, { allowIncomplete: true });
+        const { code } = await readBody(req);
+
+        const counter = session.totpPending ? await totp.verify(session.totpPending, code) : null;
+        if (counter === null) throw new HttpError(400, 'Kode verifikasi tidak sesuai');
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        auth.updateAccount(Store, session.user.username, {
+            totp_enabled: true,
+            totp_secret: session.totpPending,
+            totp_last_counter: counter,
+            totp_enabled_at: new Date().toISOString(),
+            recovery_codes: await Promise.all(recoveryCodes.map(item => totp.hashRecoveryCode(item))),
+            recovery_codes_remaining: recoveryCodes.length
+        });
+        session.totpPending = null;
+        session.user = { ...session.user, totp_enabled: true, totp_setup_required: false, recovery_codes_remaining: recoveryCodes.length };
+        logAuth('totp_enable', session.user.username, session.user, session.user.username);
+        sendJson(res, 200, { recovery_codes: recoveryCodes, user: session.user });
+    },
+
+    'POST /api/totp/disable': async (req, res) => {
+        const { session } = requireSession(req);
+        const { password } = await readBody(req);
+
+        if (totp.isRequired(session.user.role, securityPolicy().totpRequiredRoles)) throw new HttpError(403, 'Verifikasi dua langkah wajib untuk role Anda');
+        await confirmPassword(session.user, password);
+
+        auth.updateAccount(Store, session.user.username, totpCleared);
+        session.user = { ...session.user, totp_enabled: false, recovery_codes_remaining: 0 };
+        logAuth('totp_disable', session.user.username, session.user, session.user.username);
+        sendJson(res, 200, { user: session.user });
+    },
+
+    'POST /api/totp/recovery-codes': async (req, res) => {
+        const { session } = requireSession(req);
+        const { password } = await readBody(req);
+
+        if (!session.user.totp_enabled) throw new HttpError(400, 'Verifikasi dua langkah belum aktif');
+        await confirmPassword(session.user, password);
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        auth.updateAccount(Store, session.user.username, {
+            recovery_codes: await Promise.all(recoveryCodes.map(item => totp.hashRecoveryCode(item))),
+            recovery_codes_remaining: recoveryCodes.length
+        });
+        session.user = { ...session.user, recovery_codes_remaining: recoveryCodes.length };
+        logAuth('totp_recovery', session.user.username, session.user, session.user.username);
+        sendJson(res, 200, { recovery_codes: recoveryCodes });
+    },
+
+    'POST /api/totp/reset': async (req, res) => {
+        const { session, context } = requireSession(req);
+        const { username } = await readBody(req);
+
+        if (!context.hasPermission('manajemen', 'update')) {
+            throw new HttpError(403, 'Tidak memiliki izin untuk mereset verifikasi dua langkah');
+        }
+        if (!username || !auth.getUsers(Store.all())[username]) throw new HttpError(404, 'Akun tidak ditemukan');
+        if (username === session.user.username) {
+            throw new HttpError(400, 'Gunakan halaman Profil untuk mengatur verifikasi dua langkah Anda sendiri');
+        }
+
+        auth.updateAccount(Store, username, totpCleared);
+        auth.endUserSessions(username);
+        logAuth('totp_reset', session.user.username, session.user, username);
+        sendJson(res, 200, { username });
+    },
+
+    'POST /api/password/reset': async (req, res) => {
+        const { session, context } = requireSession(req);
+        const { username } = await readBody(req);
+
+        if (!context.hasPermission('manajemen', 'update')) {
+            throw new HttpError(403, 'Tidak memiliki izin untuk mereset password');
+        }
+        if (!username || !auth.getUsers(Store.all())[username]) throw new HttpError(404, 'Akun tidak ditemukan');
+        if (username === session.user.username) {
+            throw new HttpError(400, 'Gunakan halaman Profil untuk mengganti password Anda sendiri');
+        }
+
+        const password = passwords.generate();
+        const expiresAt = new Date(Date.now() + securityPolicy().tempPasswordTtl).toISOString();
+        await passwords.setPassword(Store, username, password, { must_change_password: true, temp_password_expires_at: expiresAt });
+        lockout.clear(Store, username);
+        auth.endUserSessions(username);
+        logAuth('password_reset', session.user.username, session.user, username);
+        sendJson(res, 200, { username, password, expires_at: expiresAt });
+    },
+
+    'GET /api/records': async (req, res) => {
+        const { session, context } = requireSession(req);
+        const etag = `W/"${Store.version}-${Buffer.from(session.user.username).toString('hex')}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag });
+            res.end();
+            return;
+        }
+        sendJson(res, 200, context.readable(Store.all()), { ETag: etag });
+    },
+
+    'POST /api/records': async (req, res) => {
+        const { session, context } = requireSession(req);
+        const record = await stampCreate(await readBody(req), session.user);
+
+        const error = context.checkCreate(record);
+        if (error) throw new HttpError(403, error);
+        checkSchema(record);
+
+        sendJson(res, 201, context.redact(Store.create(record)));
+    },
+
+    'PUT /api/records/:id': async (req, res, id) => {
+        const { context } = requireSession(req);
+        const existing = Store.get(id);
+        if (!existing || !context.isVisible(existing)) throw new HttpError(404, 'Data tidak ditemukan');
+
+        const record = await mergeUpdate(existing, await readBody(req), context);
+        const error = context.checkUpdate(withoutSecrets(existing), withoutSecrets(record));
+        if (error) throw new HttpError(403, error);
+        checkSchema(record, existing);
+
+        sendJson(res, 200, context.redact(Store.update(id, record)));
+    },
+
+    'DELETE /api/records/:id': async (req, res, id) => {
+        const { context } = requireSession(req);
+        const existing = Store.get(id);
+        if (!existing || !context.isVisible(existing)) throw new HttpError(404, 'Data tidak ditemukan');
+
+        const error = context.checkDelete(existing);
+        if (error) throw new HttpError(403, error);
+
+        Store.remove(id);
+        sendJson(res, 204);
+    }
+};
+
+/**
+ * Find the handler for a request
+ */
+function matchRoute(method, pathname) {
+    const exact = routes[`${method} ${pathname}`];
+    if (exact) return { handler: exact, params: [] };
+
+    const match = pathname.match(/^\/api\/records\/([^/]+)$/);
+    if (match && routes[`${method} /api/records/:id`]) {
+        return { handler: routes[`${method} /api/records/:id`], params: [decodeURIComponent(match[1])] };
+    }
+    return null;
+}
+
+/**
+ * Serve index.html, js/ and css/ from the repository root
+ */
+function serveStatic(pathname, res) {
+    const relative = pathname === '/' ? 'index.html' : pathname.slice(1);
+    const file = path.normalize(path.join(config.staticRoot, relative));
+    const allowed = relative === 'index.html' || /^(js|css)\//.test(relative);
+
+    if (!allowed || !file.startsWith(config.staticRoot + path.sep) || !fs.existsSync(file)) {
+        sendJson(res, 404, { error: 'Tidak ditemukan' });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': staticTypes[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Create the HTTP server
+ */
+function createServer() {
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (!pathname.startsWith('/api/')) {
+            serveStatic(pathname, res);
+            return;
+        }
+
+        const route = matchRoute(req.method, pathname);
+        try {
+            if (!route) throw new HttpError(404, 'Endpoint tidak ditemukan');
+            await route.handler(req, res, ...route.params);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(error);
+            }
+            sendJson(res, error.status || 500, { error: error.status ? error.message : 'Kesalahan server' });
+        }
+    });
+}
+
+if (require.main === module) {
+    if (!secrets.isConfigured()) {
+        console.error('SISPIN_DATA_KEY wajib diisi: rahasia deployment untuk enkripsi data');
+        process.exit(1);
+    }
+
+    Store.open(config.dataFile);
+    createServer().listen(config.port, config.host, () => {
+        console.log(`SISPIN server berjalan di http://${config.host}:${config.port}`);
+    });
+}
+
+module.exports = { createServer, config };
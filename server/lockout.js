@@ -0,0 +1,77 @@
+/**
+ * Account lockout
+ * Same rules as AuthService.recordFailedLogin: failed logins inside the
+ * window lock the account, each further lock lasting twice as long
+ */
+
+'use strict';
+
+const settings = {
+    maxAttempts: parseInt(process.env.SISPIN_MAX_LOGIN_ATTEMPTS || '5', 10),
+    window: parseInt(process.env.SISPIN_LOCKOUT_WINDOW || '900000', 10),
+    duration: parseInt(process.env.SISPIN_LOCKOUT_DURATION || '60000', 10),
+    maxDuration: parseInt(process.env.SISPIN_LOCKOUT_MAX_DURATION || '3600000', 10)
+};
+
+/**
+ * Find the lockout record of a username
+ */
+function getLock(store, username) {
+    return store.all().find(d => d.type === 'login_lock' && d.username === username) || null;
+}
+
+/**
+ * Time the account stays locked, or null
+ */
+function lockedUntil(store, username) {
+    const lock = getLock(store, username);
+    if (!lock || !lock.locked_until || new Date(lock.locked_until).getTime() <= Date.now()) return null;
+    return lock.locked_until;
+}
+
+/**
+ * Record a failed login; returns the updated record
+ */
+function recordFailure(store, username) {
+    const now = Date.now();
+    const existing = getLock(store, username);
+    const lock = existing ? { ...existing } : {
+        type: 'login_lock',
+        username,
+        failures: [],
+        lock_count: 0,
+        locked_until: null,
+        createdAt: new Date(now).toISOString()
+    };
+
+    lock.failures = [...(lock.failures || []), new Date(now).toISOString()]
+        .filter(time => now - new Date(time).getTime() < settings.window)
+        .slice(-20);
+    lock.last_failure_at = new Date(now).toISOString();
+    lock.updatedAt = lock.last_failure_at;
+
+    if (lock.failures.length >= settings.maxAttempts) {
+        const duration = Math.min(settings.duration * Math.pow(2, lock.lock_count || 0), settings.maxDuration);
+        lock.locked_until = new Date(now + duration).toISOString();
+        lock.lock_count = (lock.lock_count || 0) + 1;
+    }
+
+    return existing ? store.update(existing.__backendId, lock) : store.create(lock);
+}
+
+/**
+ * Reset the lockout state after a successful login
+ */
+function clear(store, username) {
+    const lock = getLock(store, username);
+    if (!lock || ((lock.failures || []).length === 0 && !lock.lock_count)) return;
+
+    store.update(lock.__backendId, { ...lock, failures: [], lock_count: 0, locked_until: null, updatedAt: new Date().toISOString() });
+}
+
+module.exports = {
+    settings,
+    lockedUntil,
+    recordFailure,
+    clear
+};
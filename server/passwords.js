@@ -0,0 +1,85 @@
+/**
+ * Password policy
+ * Same rules as SecurityService.validatePassword and AuthService's
+ * expiry and temporary password handling
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const auth = require('./auth');
+
+const settings = {
+    minLength: parseInt(process.env.SISPIN_PASSWORD_MIN_LENGTH || '6', 10),
+    maxAgeDays: parseInt(process.env.SISPIN_PASSWORD_MAX_AGE_DAYS || '0', 10),
+    tempTtl: parseInt(process.env.SISPIN_TEMP_PASSWORD_TTL || '259200000', 10)
+};
+
+/**
+ * Check password strength; returns an error message or null
+ */
+function validate(password) {
+    if (typeof password !== 'string' || password.length < settings.minLength) return `Password minimal ${settings.minLength} karakter`;
+    if (!/[a-z]/.test(password)) return 'Password harus mengandung huruf kecil';
+    if (!/[A-Z]/.test(password)) return 'Password harus mengandung huruf besar';
+    if (!/[0-9]/.test(password)) return 'Password harus mengandung angka';
+    return null;
+}
+
+/**
+ * Whether a password is older than the maximum age
+ * Passwords without a change date (built-in accounts) count as expired
+ */
+function isExpired(user, maxAgeDays = settings.maxAgeDays) {
+    if (!maxAgeDays) return false;
+    if (!user.password_changed_at) return true;
+    return Date.now() - new Date(user.password_changed_at).getTime() > maxAgeDays * 86400000;
+}
+
+/**
+ * Whether a temporary password can no longer be used
+ */
+function isTemporaryExpired(user) {
+    return Boolean(user.must_change_password && user.temp_password_expires_at &&
+        new Date(user.temp_password_expires_at).getTime() <= Date.now());
+}
+
+/**
+ * Generate a temporary password, same alphabet as SecurityService.generatePassword
+ */
+function generate(length = 10) {
+    const sets = ['abcdefghjkmnpqrstuvwxyz', 'ABCDEFGHJKLMNPQRSTUVWXYZ', '23456789'];
+    const all = sets.join('');
+    const chars = sets.map(set => set[crypto.randomInt(set.length)]);
+    while (chars.length < Math.max(length, settings.minLength)) {
+        chars.push(all[crypto.randomInt(all.length)]);
+    }
+
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
+}
+
+/**
+ * Store a new password for an account
+ */
+async function setPassword(store, username, password, fields = {}) {
+    return auth.updateAccount(store, username, {
+        password_hash: await auth.hashPassword(password),
+        password_changed_at: new Date().toISOString(),
+        must_change_password: false,
+        temp_password_expires_at: null,
+        ...fields
+    });
+}
+
+module.exports = {
+    settings,
+    validate,
+    isExpired,
+    isTemporaryExpired,
+    generate,
+    setPassword
+};
@@ -0,0 +1,270 @@
+/**
+ * Server-side authorization
+ * Enforces the role, ownership and record policy rules of AuthService and
+ * DataService so they cannot be bypassed from the browser console. Record
+ * types, built-in roles, pages and policies come from js/policies.js, which
+ * the browser loads too; the role logic mirrors js/auth,js and the notes of
+ * confidential counseling cases follow CounselingService.canReadNotes.
+ */
+
+'use strict';
+
+const settings = require('./settings');
+const { defaultRoles, typePages, settingPages, recordPolicies, appendOnlyTypes, workflowExemptTypes, versionedTypes } = require('../js/policies');
+
+// Readable by every signed-in user: the client needs them to build menus and
+// class lists, and to apply the shared settings
+const referenceTypes = ['kelas', 'role', 'pengaturan'];
+
+// Written by every signed-in user as a side effect of their own changes;
+// other append-only types (surat) need the create permission of their page
+const sideEffectTypes = ['audit', 'versi'];
+
+// Never sent to the browser
+const secretFields = ['password', 'password_hash', 'totp_secret', 'recovery_codes'];
+
+// Written only by the password and two-factor routes; record payloads can neither set nor change them
+const accountFields = ['password_hash', 'password_changed_at', 'must_change_password', 'temp_password_expires_at',
+    'totp_enabled', 'totp_enabled_at', 'totp_secret', 'totp_last_counter', 'recovery_codes', 'recovery_codes_remaining', 'totp_payload'];
+
+// Fields only reviewers may set
+const workflowFields = ['workflow_status', 'workflow_history', 'approved', 'reviewed_by', 'reviewed_at', 'review_comment'];
+const reviewerStates = ['in_review', 'revision_requested', 'approved', 'rejected'];
+
+/**
+ * Active roles: defaults merged with role records
+ */
+function getRoles(records) {
+    const roles = {};
+    Object.keys(defaultRoles).forEach(key => {
+        roles[key] = { ...defaultRoles[key], key };
+    });
+
+    records.filter(d => d.type === 'role' && d.role_key && !d.deleted).forEach(record => {
+        roles[record.role_key] = {
+            ...roles[record.role_key],
+            key: record.role_key,
+            name: record.title,
+            data_scope: record.data_scope || 'own',
+            pages: record.pages || {}
+        };
+    });
+    return roles;
+}
+
+/**
+ * Authorization context for one request
+ */
+function createContext(user, records) {
+    const roles = getRoles(records);
+    const role = roles[user.role];
+
+    const hasPermission = (page, action = 'read') => Boolean(role && role.pages[page] && role.pages[page].includes(action));
+    const scope = role ? role.data_scope : 'approved';
+    const waliClasses = records
+        .filter(d => d.type === 'kelas' && !d.deleted && d.wali_kelas && (d.wali_kelas === user.username || d.wali_kelas === user.name))
+        .map(d => d.title);
+
+    const getPage = record => record.type === 'pengaturan'
+        ? settingPages[record.key] || 'manajemen'
+        : typePages[record.type] || record.type;
+    const canReview = () => hasPermission('persetujuan', 'approve');
+
+    const matchesLinkedStudent = record => {
+        if (!user.nisn) return false;
+        if (record.nisn) return record.nisn === user.nisn;
+        return Boolean(user.student_name) && record.student_name === user.student_name && record.class === user.class;
+    };
+
+    const isVisible = record => {
+        if (referenceTypes.includes(record.type)) return true;
+
+        const policy = recordPolicies[record.type];
+        if (!policy) {
+            if (scope === 'approved') return record.approved === true;
+            if (scope === 'own') return record.author === user.name;
+            return true;
+        }
+
+        if (scope === 'all' || policy.fullAccessRoles.includes(user.role)) return true;
+        if (scope === 'approved') return (record.approved === true || Boolean(policy.shownWithoutReview)) && matchesLinkedStudent(record);
+        return record.author === user.name || waliClasses.includes(record.class);
+    };
+
+    // Case of a counseling record: the case itself or the case of a session,
+    // trash included so deleting the case does not reveal its notes
+    const getCaseOf = record => {
+        const id = record.type === 'konseling' ? record.__backendId : record.case_id;
+        return records.find(d => d.type === 'konseling' && d.__backendId === id) || null;
+    };
+
+    const canReadNotes = record => {
+        const caseRecord = getCaseOf(record);
+        if (!caseRecord) {
+            return record.type === 'konseling' || user.role === 'kepsek' || record.author === user.name;
+        }
+        if (!caseRecord.rahasia) return true;
+        return user.role === 'kepsek' || caseRecord.konselor === user.username;
+    };
+
+    const redact = record => {
+        const result = { ...record };
+        secretFields.forEach(field => delete result[field]);
+
+        const policy = recordPolicies[record.type];
+        if (policy) {
+            Object.entries(policy.restrictedFields).forEach(([field, allowed]) => {
+                if (!allowed.includes(user.role)) delete result[field];
+            });
+            if (policy.confidentialFields && !canReadNotes(record)) {
+                policy.confidentialFields.forEach(field => delete result[field]);
+            }
+        }
+        return result;
+    };
+
+    const canAccess = (record, action) => {
+        if (appendOnlyTypes.includes(record.type)) return false;
+        if (!hasPermission(getPage(record), action)) return false;
+        if (record.type === 'pengaturan') return true;
+
+        // Records whose hidden notes would be lost on save stay read-only
+        const policy = recordPolicies[record.type];
+        if (policy && policy.confidentialFields && !canReadNotes(record)) return false;
+
+        if (scope === 'all') return true;
+        return record.author === user.name ||
+            Boolean(policy && policy.ownerField && record[policy.ownerField] === user.username);
+    };
+
+    // An audit entry must describe a record its author can see; only purged
+    // records are gone, their entry still has to name a well-formed record
+    const checkAuditSubject = record => {
+        const knownType = !record.record_type || Object.prototype.hasOwnProperty.call(typePages, record.record_type);
+        if (typeof record.action !== 'string' || !/^[a-z_]+$/.test(record.action)) return 'Aksi log tidak valid';
+        if (!record.record_id) return knownType ? null : 'Jenis data log tidak dikenal';
+
+        const subject = records.find(d => d.__backendId === record.record_id);
+        if (subject) {
+            return isVisible(subject) && subject.type === record.record_type ? null : 'Data log tidak sesuai';
+        }
+        const wellFormed = typeof record.record_id === 'string' && /^[\w-]+$/.test(record.record_id) && record.record_type && knownType;
+        return record.action === 'purge' && wellFormed ? null : 'Data log tidak ditemukan';
+    };
+
+    // A version is saved just before its record is updated, so only users
+    // who may update that record can add one
+    const checkVersionTarget = record => {
+        const target = records.find(d => d.__backendId === record.record_id);
+        if (!target || !versionedTypes.includes(target.type)) return 'Data versi tidak ditemukan';
+        return canAccess(target, 'update') ? null : 'Tidak memiliki izin untuk mengubah data ini';
+    };
+
+    // Handing a case over, as CounselingService.canReassign
+    const canReassign = record => user.role === 'kepsek' ||
+        (scope === 'all' && hasPermission('bk', 'update')) ||
+        record.konselor === user.username;
+
+    const changedFields = (before, after) => Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+    return {
+        user,
+        scope,
+        hasPermission,
+        canReview,
+        isVisible,
+        redact,
+
+        /**
+         * Records the user may read, with restricted fields removed
+         */
+        readable(all) {
+            return all.filter(isVisible).map(redact);
+        },
+
+        /**
+         * Check a new record; returns an error message or null
+         */
+        checkCreate(record) {
+            if (!record.type) return 'Jenis data wajib diisi';
+            if (record.type === 'audit') return checkAuditSubject(record);
+            if (record.type === 'versi') return checkVersionTarget(record);
+            if (sideEffectTypes.includes(record.type)) return null;
+            if (!hasPermission(getPage(record), 'create')) return 'Tidak memiliki izin untuk menambah data ini';
+            if (workflowExemptTypes.includes(record.type) && workflowFields.some(field => field in record)) {
+                return 'Data ini tidak melalui persetujuan';
+            }
+            if (record.type === 'pengaturan') {
+                if (!settings.isKnown(record.key)) return 'Pengaturan tidak dikenal';
+                if (records.some(d => d.type === 'pengaturan' && d.key === record.key && !d.deleted)) return 'Pengaturan sudah ada';
+                const invalid = settings.check(record.key, record.value);
+                if (invalid) return invalid;
+            }
+            if (!canReview() && (record.approved === true || reviewerStates.includes(record.workflow_status))) {
+                return 'Hanya peninjau yang dapat menyetujui data';
+            }
+            return null;
+        },
+
+        /**
+         * Check a change to an existing record; returns an error message or null
+         */
+        checkUpdate(before, after) {
+            if (appendOnlyTypes.includes(before.type)) return 'Data ini tidak dapat diubah';
+            if (after.type !== before.type) return 'Jenis data tidak dapat diubah';
+            if (after.type === 'pengaturan') {
+                if (after.key !== before.key) return 'Kunci pengaturan tidak dapat diubah';
+                const invalid = settings.check(after.key, after.value);
+                if (invalid) return invalid;
+            }
+
+            const changed = changedFields(before, after).filter(field => !['updatedAt', 'updatedBy'].includes(field));
+            if (changed.length === 0) return null;
+
+            if (workflowExemptTypes.includes(before.type) && changed.some(field => workflowFields.includes(field))) {
+                return 'Data ini tidak melalui persetujuan';
+            }
+            if (before.type === 'konseling' && changed.every(field => field === 'konselor')) {
+                return canReassign(before) ? null : 'Tidak memiliki izin untuk mengalihkan kasus ini';
+            }
+
+            // Reviewers may move any visible record through the workflow
+            if (changed.every(field => workflowFields.includes(field))) {
+                if (canReview() && isVisible(before)) return null;
+                if (!canAccess(before, 'update')) return 'Tidak memiliki izin untuk mengubah data ini';
+                if (!reviewerStates.includes(after.workflow_status) && after.approved !== true) return null;
+                return 'Hanya peninjau yang dapat menyetujui data';
+            }
+
+            if (changed.some(field => ['deleted', 'deleted_at', 'deleted_by'].includes(field))) {
+                return canAccess(before, 'delete') ? null : 'Tidak memiliki izin untuk menghapus data ini';
+            }
+
+            if (!canAccess(before, 'update')) return 'Tidak memiliki izin untuk mengubah data ini';
+            const reviewed = (after.approved === true && before.approved !== true) ||
+                (after.workflow_status !== before.workflow_status && reviewerStates.includes(after.workflow_status));
+            if (!canReview() && reviewed) {
+                return 'Hanya peninjau yang dapat menyetujui data';
+            }
+            return null;
+        },
+
+        /**
+         * Check a permanent removal; returns an error message or null
+         */
+        checkDelete(record) {
+            return canAccess(record, 'delete') ? null : 'Tidak memiliki izin untuk menghapus data ini';
+        }
+    };
+}
+
+module.exports = {
+    defaultRoles,
+    appendOnlyTypes,
+    secretFields,
+    accountFields,
+    reviewerStates,
+    getRoles,
+    createContext
+};
@@ -0,0 +1,126 @@
+/**
+ * Deployment secret
+ * SISPIN_DATA_KEY is required. It keys the encryption of sensitive fields
+ * in the data file, and browsers derive their encryption key (sessions,
+ * drafts, backups) from a value computed from it, so every account opens
+ * the same data and the secret itself never leaves the server.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { encryptedFields } = require('../js/policies');
+
+// Same envelope and key derivation as SecurityService, so records a browser
+// sealed with security.encryption_passphrase set to SISPIN_DATA_KEY still open
+const ENCRYPTION_PREFIX = 'sispin-enc:v1:';
+
+const settings = {
+    secret: process.env.SISPIN_DATA_KEY || '',
+    salt: 'sispin-sman20-medan',
+    iterations: 150000
+};
+
+let dataKey = null;
+
+/**
+ * Whether the deployment secret is set
+ */
+function isConfigured() {
+    return settings.secret.length > 0;
+}
+
+/**
+ * Secret handed to signed-in browsers for SecurityService.unlockEncryption
+ */
+function clientSecret() {
+    return crypto.createHmac('sha256', settings.secret).update('sispin-client').digest('base64');
+}
+
+/**
+ * Secret for what one account keeps in its browser's offline storage
+ * (SecurityService.unlockDeviceKey); other accounts get a different one
+ */
+function deviceSecret(user) {
+    return crypto.createHmac('sha256', settings.secret).update(`sispin-device:${user.role}:${user.username}`).digest('base64');
+}
+
+/**
+ * AES-256 key for the data file, derived once
+ */
+function getDataKey() {
+    if (!dataKey) {
+        dataKey = crypto.pbkdf2Sync(settings.secret, settings.salt, settings.iterations, 32, 'sha256');
+    }
+    return dataKey;
+}
+
+/**
+ * Encrypt a value into an envelope: sispin-enc:v1:<iv>:<ciphertext and tag>
+ */
+function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getDataKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    return ENCRYPTION_PREFIX + iv.toString('base64') + ':' + ciphertext.toString('base64');
+}
+
+/**
+ * Decrypt an envelope written by encrypt or by SecurityService.encryptData
+ */
+function decrypt(envelope) {
+    const [iv, data] = envelope.slice(ENCRYPTION_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getDataKey(), iv);
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    return JSON.parse(Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Move the sensitive fields of a record into an encrypted payload for storage
+ * Fields are kept in the clear in memory so permission checks and
+ * redaction can read them
+ */
+function sealRecord(record) {
+    const fields = encryptedFields[record.type];
+    if (!fields || !isConfigured()) return record;
+
+    const sealed = { ...record };
+    const payload = {};
+    fields.forEach(field => {
+        if (field in sealed) {
+            payload[field] = sealed[field];
+            delete sealed[field];
+        }
+    });
+
+    if (Object.keys(payload).length > 0) {
+        sealed.encrypted_payload = encrypt(payload);
+    }
+    return sealed;
+}
+
+/**
+ * Restore the sensitive fields of a stored record
+ * Payloads sealed with another key are kept as they are
+ */
+function openRecord(record) {
+    if (typeof record.encrypted_payload !== 'string' || !record.encrypted_payload.startsWith(ENCRYPTION_PREFIX) || !isConfigured()) {
+        return record;
+    }
+
+    try {
+        const { encrypted_payload, ...rest } = record;
+        return { ...rest, ...decrypt(encrypted_payload) };
+    } catch (error) {
+        return record;
+    }
+}
+
+module.exports = {
+    settings,
+    isConfigured,
+    clientSecret,
+    deviceSecret,
+    sealRecord,
+    openRecord
+};
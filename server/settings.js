@@ -0,0 +1,69 @@
+/**
+ * Shared settings
+ * Values administrators store in pengaturan records (AppConfig.saveShared),
+ * so the server enforces what every browser shows. Unset or malformed
+ * values fall back to the environment defaults of each module.
+ */
+
+'use strict';
+
+const { settingPages } = require('../js/policies');
+
+// Lowest values the settings forms accept; anything lower would sign every
+// user out or expire passwords at once. unlimited allows 0 for "no limit"
+const limits = {
+    session_timeout: { min: 300000 },
+    session_warning: { min: 60000 },
+    session_max_length: { min: 3600000, unlimited: true },
+    trash_retention_days: { min: 0 },
+    'security.password_max_age_days': { min: 0 },
+    'security.temp_password_ttl': { min: 3600000 }
+};
+
+/**
+ * Whether a stored value has the shape of its fallback
+ */
+function isValid(value, fallback) {
+    if (Array.isArray(fallback)) return Array.isArray(value);
+    if (typeof fallback === 'number') return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    return typeof value === typeof fallback;
+}
+
+/**
+ * Value of a shared setting; the newest record wins, as in AppConfig.loadShared
+ */
+function get(records, key, fallback) {
+    const record = records
+        .filter(d => d.type === 'pengaturan' && d.key === key && !d.deleted)
+        .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))[0];
+    return record && isValid(record.value, fallback) && !check(key, record.value) ? record.value : fallback;
+}
+
+/**
+ * Check a value before it is stored; returns an error message or null
+ */
+function check(key, value) {
+    const limit = limits[key];
+    if (limit) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'Nilai pengaturan harus berupa angka';
+        if (value === 0 && limit.unlimited) return null;
+        if (value < limit.min) return 'Nilai pengaturan di bawah batas minimum';
+    }
+    if (key === 'security.totp_required_roles' && !(Array.isArray(value) && value.every(role => typeof role === 'string'))) {
+        return 'Nilai pengaturan tidak valid';
+    }
+    return null;
+}
+
+/**
+ * Whether a key can be stored as a shared setting
+ */
+function isKnown(key) {
+    return Object.prototype.hasOwnProperty.call(settingPages, key);
+}
+
+module.exports = {
+    get,
+    check,
+    isKnown
+};
@@ -0,0 +1,96 @@
+/**
+ * File-backed record store
+ * Keeps all records in memory and writes them to a JSON file on every
+ * change (write to a temporary file, then rename, so a crash never
+ * leaves a half-written file behind). Sensitive fields are encrypted in
+ * the file and in the clear in memory.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const secrets = require('./secrets');
+
+const Store = {
+    file: null,
+    records: [],
+    version: 0,
+
+    /**
+     * Load records from disk, creating the file when missing
+     */
+    open(file) {
+        this.file = file;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        if (fs.existsSync(file)) {
+            this.records = JSON.parse(fs.readFileSync(file, 'utf8')).map(record => secrets.openRecord(record));
+        } else {
+            this.records = [];
+            this.flush();
+        }
+        this.version = Date.now();
+    },
+
+    /**
+     * Find a record by id
+     */
+    get(id) {
+        return this.records.find(record => record.__backendId === id) || null;
+    },
+
+    /**
+     * All records
+     */
+    all() {
+        return this.records;
+    },
+
+    /**
+     * Add a record and assign it an id
+     */
+    create(record) {
+        const created = { ...record, __backendId: crypto.randomUUID() };
+        this.records.push(created);
+        this.flush();
+        return created;
+    },
+
+    /**
+     * Replace a record
+     */
+    update(id, record) {
+        const index = this.records.findIndex(d => d.__backendId === id);
+        if (index === -1) return null;
+
+        this.records[index] = { ...record, __backendId: id };
+        this.flush();
+        return this.records[index];
+    },
+
+    /**
+     * Remove a record
+     */
+    remove(id) {
+        const before = this.records.length;
+        this.records = this.records.filter(d => d.__backendId !== id);
+        if (this.records.length === before) return false;
+
+        this.flush();
+        return true;
+    },
+
+    /**
+     * Write all records to disk and bump the version used for ETags
+     */
+    flush() {
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(this.records.map(record => secrets.sealRecord(record))));
+        fs.renameSync(temp, this.file);
+        this.version++;
+    }
+};
+
+module.exports = Store;
@@ -0,0 +1,71 @@
+/**
+ * Two-factor authentication
+ * Codes and recovery codes come from TotpService (js/totp.js), which the
+ * browser loads too; this module adds the required roles and the pending
+ * login challenges between the password and the code step
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const TotpService = require('../js/totp');
+
+const settings = {
+    requiredRoles: (process.env.SISPIN_TOTP_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+    challengeTtl: 300000,
+    challengeAttempts: 5
+};
+
+const challenges = new Map();
+
+/**
+ * Whether a role must enroll before using the app
+ */
+function isRequired(role, requiredRoles = settings.requiredRoles) {
+    return requiredRoles.includes(role);
+}
+
+/**
+ * Remember a login that passed the password step
+ */
+function createChallenge(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    challenges.set(token, { user, attempts: 0, expiresAt: Date.now() + settings.challengeTtl });
+    return token;
+}
+
+/**
+ * Look up a pending login; counts the attempt and drops it when used up
+ */
+function takeChallenge(token) {
+    const challenge = token && challenges.get(token);
+    if (!challenge) return null;
+
+    challenge.attempts++;
+    if (challenge.expiresAt < Date.now() || challenge.attempts > settings.challengeAttempts) {
+        challenges.delete(token);
+        return null;
+    }
+    return challenge;
+}
+
+/**
+ * Finish a pending login
+ */
+function endChallenge(token) {
+    challenges.delete(token);
+}
+
+module.exports = {
+    settings,
+    generateSecret: () => TotpService.generateSecret(),
+    verify: (secret, code, lastCounter) => TotpService.verify(secret, code, lastCounter),
+    buildUri: (issuer, username, secret) => TotpService.buildUri(issuer, username, secret),
+    generateRecoveryCodes: count => TotpService.generateRecoveryCodes(count),
+    hashRecoveryCode: code => TotpService.hashRecoveryCode(code),
+    useRecoveryCode: (hashes, code) => TotpService.useRecoveryCode(hashes, code),
+    isRequired,
+    createChallenge,
+    takeChallenge,
+    endChallenge
+};